@@ -1,11 +1,28 @@
 import React from 'react'
-// import Sheet from './app copy/SheetCopy'
-import Sheet from './app/Sheet'
+import Sheet from './app copy/SheetCopy'
+import SheetTabs from './app copy/SheetTabs'
+import Toolbar from './app copy/Toolbar'
+import RecoveryPrompt from './app copy/RecoveryPrompt'
+import { useSheetModel } from './app copy/useSheetModel'
+import { usePersistence } from './app copy/usePersistence'
 import './App.css'
 
 function App() {
+  const model = useSheetModel()
+  const persistence = usePersistence(model)
+  const loaded = persistence.status === 'ready' || persistence.status === 'unavailable'
+
   return (
-    <Sheet />
+    <div style={{ height: '100vh', display: 'flex', flexDirection: 'column' }}>
+      <Toolbar model={model} />
+      <div style={{ flex: 1, minHeight: 0 }}>
+        {loaded && <Sheet key={model.activeSheet.id} {...model.sheetProps} />}
+      </div>
+      <SheetTabs model={model} />
+      {['outdated', 'unsupported', 'error'].includes(persistence.status) && (
+        <RecoveryPrompt persistence={persistence} />
+      )}
+    </div>
   )
 }
 
@@ -0,0 +1,50 @@
+const menuStyle = {
+    display: 'flex',
+    flexDirection: 'column',
+    minWidth: 180,
+    padding: '4px 0',
+    zIndex: 8,
+    background: '#fff',
+    border: '1px solid #ccc',
+    boxShadow: '0 2px 6px rgba(0, 0, 0, 0.2)',
+    fontSize: 13,
+    fontFamily: 'sans-serif',
+};
+
+const itemStyle = {
+    display: 'flex',
+    justifyContent: 'space-between',
+    gap: 16,
+    padding: '6px 12px',
+    border: 'none',
+    background: 'none',
+    textAlign: 'left',
+    font: 'inherit',
+    color: '#333',
+    cursor: 'pointer',
+};
+
+// Commands shown where the grid was right-clicked. items are { label, shortcut, onClick }; picking
+// one closes the menu through onClose before running it.
+function ContextMenu(props) {
+    return (
+        <div role="menu" style={{ ...props.style, ...menuStyle }} onMouseDown={(e) => e.stopPropagation()}>
+            {props.items.map((item) => (
+                <button
+                    key={item.label}
+                    role="menuitem"
+                    style={itemStyle}
+                    onClick={() => {
+                        props.onClose();
+                        item.onClick();
+                    }}
+                >
+                    <span>{item.label}</span>
+                    <span style={{ color: '#888' }}>{item.shortcut}</span>
+                </button>
+            ))}
+        </div>
+    );
+}
+
+export default ContextMenu;
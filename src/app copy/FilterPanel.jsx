@@ -0,0 +1,150 @@
+import { useState } from 'react';
+import { parseNumber } from './formula/values.js';
+
+const panelStyle = {
+    width: 240,
+    padding: 8,
+    zIndex: 7,
+    background: '#fff',
+    border: '1px solid #ccc',
+    boxShadow: '0 2px 6px rgba(0, 0, 0, 0.2)',
+    fontSize: 13,
+    fontFamily: 'sans-serif',
+    color: '#333',
+};
+
+const sectionStyle = {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 4,
+    paddingBottom: 8,
+    marginBottom: 8,
+    borderBottom: '1px solid #eee',
+};
+
+const checklistStyle = {
+    maxHeight: 160,
+    overflowY: 'auto',
+};
+
+const swatchStyle = {
+    width: 18,
+    height: 18,
+    border: '1px solid #ccc',
+    cursor: 'pointer',
+};
+
+// Edits the filter criterion of one column (see filter.js): a condition, the values to show and
+// a color to filter by. values and colors come from the column, criterion is the current one.
+function FilterPanel(props) {
+    const criterion = props.criterion || {};
+    const [conditionType, setConditionType] = useState(criterion.condition ? criterion.condition.type : '');
+    const [text, setText] = useState(criterion.condition?.text ?? '');
+    const [bounds, setBounds] = useState(
+        (criterion.condition?.values || [null, null]).map((v) => (v === null ? '' : v))
+    );
+    const [hidden, setHidden] = useState(() => new Set(criterion.hiddenValues || []));
+    const [color, setColor] = useState(criterion.color || null);
+    const [search, setSearch] = useState('');
+    const values = props.values.filter((value) => value.toLowerCase().includes(search.toLowerCase()));
+
+    const toggleValue = (value) => {
+        const next = new Set(hidden);
+        if (next.has(value)) {
+            next.delete(value);
+        } else {
+            next.add(value);
+        }
+        setHidden(next);
+    };
+
+    const apply = () => {
+        let condition = null;
+        if (conditionType === 'textContains') {
+            condition = { type: conditionType, text };
+        } else if (conditionType === 'numberBetween') {
+            condition = { type: conditionType, values: bounds.map((bound) => parseNumber(String(bound))) };
+        } else if (conditionType === 'isEmpty') {
+            condition = { type: conditionType };
+        }
+        props.onApply({ hiddenValues: [...hidden], condition, color });
+    };
+
+    const swatches = (list, field) =>
+        list.map((value) => (
+            <div
+                key={field + value}
+                title={value}
+                onClick={() => setColor(color && color[field] === value ? null : { [field]: value })}
+                style={{
+                    ...swatchStyle,
+                    background: field === 'fillColor' ? value : '#fff',
+                    color: value,
+                    textAlign: 'center',
+                    outline: color && color[field] === value ? '2px solid #1b73e7' : 'none',
+                }}
+            >
+                {field === 'color' ? 'A' : ''}
+            </div>
+        ));
+
+    return (
+        <div style={{ ...props.style, ...panelStyle }} role="dialog">
+            <div style={sectionStyle}>
+                <strong>Filter by condition</strong>
+                <select value={conditionType} onChange={(e) => setConditionType(e.target.value)}>
+                    <option value="">None</option>
+                    <option value="textContains">Text contains</option>
+                    <option value="numberBetween">Number between</option>
+                    <option value="isEmpty">Is empty</option>
+                </select>
+                {conditionType === 'textContains' && <input value={text} onChange={(e) => setText(e.target.value)} />}
+                {conditionType === 'numberBetween' && (
+                    <div style={{ display: 'flex', gap: 4 }}>
+                        {bounds.map((bound, index) => (
+                            <input
+                                key={index}
+                                style={{ width: '50%' }}
+                                placeholder={index === 0 ? 'min' : 'max'}
+                                value={bound}
+                                onChange={(e) => setBounds(bounds.map((b, i) => (i === index ? e.target.value : b)))}
+                            />
+                        ))}
+                    </div>
+                )}
+            </div>
+            <div style={sectionStyle}>
+                <strong>Filter by values</strong>
+                <div style={{ display: 'flex', gap: 8 }}>
+                    <button onClick={() => setHidden(new Set())}>Select all</button>
+                    <button onClick={() => setHidden(new Set(props.values))}>Deselect all</button>
+                </div>
+                <input placeholder="Search" value={search} onChange={(e) => setSearch(e.target.value)} />
+                <div style={checklistStyle}>
+                    {values.map((value) => (
+                        <label key={value} style={{ display: 'block', whiteSpace: 'nowrap' }}>
+                            <input type="checkbox" checked={!hidden.has(value)} onChange={() => toggleValue(value)} />
+                            {value === '' ? '(Blanks)' : value}
+                        </label>
+                    ))}
+                </div>
+            </div>
+            {(props.colors.fillColors.length > 0 || props.colors.colors.length > 0) && (
+                <div style={sectionStyle}>
+                    <strong>Filter by color</strong>
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4 }}>
+                        {swatches(props.colors.fillColors, 'fillColor')}
+                        {swatches(props.colors.colors, 'color')}
+                    </div>
+                </div>
+            )}
+            <div style={{ display: 'flex', gap: 8, justifyContent: 'flex-end' }}>
+                <button onClick={() => props.onApply(null)}>Clear</button>
+                <button onClick={props.onClose}>Cancel</button>
+                <button onClick={apply}>OK</button>
+            </div>
+        </div>
+    );
+}
+
+export default FilterPanel;
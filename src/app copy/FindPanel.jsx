@@ -0,0 +1,116 @@
+const panelStyle = {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 6,
+    width: 300,
+    padding: 8,
+    zIndex: 7,
+    background: '#fff',
+    border: '1px solid #ccc',
+    boxShadow: '0 2px 6px rgba(0, 0, 0, 0.2)',
+    fontSize: 13,
+    fontFamily: 'sans-serif',
+    color: '#333',
+};
+
+const rowStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 6,
+};
+
+// Find / replace box. query is the find query of find.js, edited through onQueryChange; position
+// is the 0-based index of the current match among count matches, or -1.
+function FindPanel(props) {
+    const { query } = props;
+    const set = (fields) => props.onQueryChange({ ...query, ...fields });
+
+    const onKeyDown = (e) => {
+        if (e.key === 'Escape') {
+            props.onClose();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (e.target.name === 'replacement') {
+                props.onReplace();
+            } else if (e.shiftKey) {
+                props.onPrevious();
+            } else {
+                props.onNext();
+            }
+        }
+    };
+
+    return (
+        <div style={{ ...props.style, ...panelStyle }} role="search" onKeyDown={onKeyDown}>
+            <div style={rowStyle}>
+                <input
+                    name="text"
+                    autoFocus
+                    placeholder="Find"
+                    style={{ flex: 1 }}
+                    value={query.text}
+                    onChange={(e) => set({ text: e.target.value })}
+                />
+                <span style={{ minWidth: 50, color: props.invalid ? '#d93025' : '#666' }}>
+                    {props.invalid
+                        ? 'Invalid'
+                        : props.position >= 0
+                          ? props.position + 1 + ' of ' + props.count
+                          : props.count + ' found'}
+                </span>
+            </div>
+            <div style={rowStyle}>
+                <input
+                    name="replacement"
+                    placeholder="Replace with"
+                    style={{ flex: 1 }}
+                    value={query.replacement}
+                    onChange={(e) => set({ replacement: e.target.value })}
+                />
+            </div>
+            <div style={{ ...rowStyle, flexWrap: 'wrap' }}>
+                <label>
+                    <input
+                        type="checkbox"
+                        checked={query.matchCase}
+                        onChange={(e) => set({ matchCase: e.target.checked })}
+                    />
+                    Match case
+                </label>
+                <label>
+                    <input
+                        type="checkbox"
+                        checked={query.wholeCell}
+                        onChange={(e) => set({ wholeCell: e.target.checked })}
+                    />
+                    Entire cell
+                </label>
+                <label>
+                    <input type="checkbox" checked={query.regex} onChange={(e) => set({ regex: e.target.checked })} />
+                    Regex
+                </label>
+                <select value={query.searchIn} onChange={(e) => set({ searchIn: e.target.value })}>
+                    <option value="values">In values</option>
+                    <option value="formulas">In formulas</option>
+                </select>
+            </div>
+            <div style={{ ...rowStyle, justifyContent: 'flex-end' }}>
+                <button onClick={props.onPrevious} disabled={props.count === 0}>
+                    ↑
+                </button>
+                <button onClick={props.onNext} disabled={props.count === 0}>
+                    ↓
+                </button>
+                <button onClick={props.onReplace} disabled={props.count === 0}>
+                    Replace
+                </button>
+                <button onClick={props.onReplaceAll} disabled={props.count === 0}>
+                    Replace all
+                </button>
+                <button onClick={props.onClose}>Close</button>
+            </div>
+        </div>
+    );
+}
+
+export default FindPanel;
@@ -0,0 +1,102 @@
+import { useState } from 'react';
+import { defaultPasteOptions } from './clipboard.js';
+
+const panelStyle = {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 8,
+    width: 220,
+    padding: 8,
+    zIndex: 7,
+    background: '#fff',
+    border: '1px solid #ccc',
+    boxShadow: '0 2px 6px rgba(0, 0, 0, 0.2)',
+    fontSize: 13,
+    fontFamily: 'sans-serif',
+    color: '#333',
+};
+
+const sectionStyle = {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 4,
+    paddingBottom: 8,
+    borderBottom: '1px solid #eee',
+};
+
+const pasteKinds = [
+    ['all', 'All'],
+    ['values', 'Values only'],
+    ['formulas', 'Formulas only'],
+    ['formats', 'Formats only'],
+];
+
+// Picks how to paste (see pasteChanges in clipboard.js); onPaste gets the options chosen
+function PasteSpecialPanel(props) {
+    const [options, setOptions] = useState(defaultPasteOptions);
+    const set = (fields) => setOptions({ ...options, ...fields });
+
+    const onKeyDown = (e) => {
+        if (e.key === 'Escape') {
+            props.onClose();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            props.onPaste(options);
+        }
+    };
+
+    return (
+        <div style={{ ...props.style, ...panelStyle }} role="dialog" aria-label="Paste special" onKeyDown={onKeyDown}>
+            <div style={sectionStyle}>
+                {pasteKinds.map(([kind, label]) => (
+                    <label key={kind}>
+                        <input
+                            type="radio"
+                            name="paste"
+                            autoFocus={kind === 'all'}
+                            checked={options.paste === kind}
+                            onChange={() => set({ paste: kind })}
+                        />
+                        {label}
+                    </label>
+                ))}
+            </div>
+            <div style={sectionStyle}>
+                <label>
+                    Operation{' '}
+                    <select
+                        value={options.operation || ''}
+                        disabled={options.paste === 'formats'}
+                        onChange={(e) => set({ operation: e.target.value || null })}
+                    >
+                        <option value="">None</option>
+                        <option value="add">Add</option>
+                        <option value="multiply">Multiply</option>
+                    </select>
+                </label>
+                <label>
+                    <input
+                        type="checkbox"
+                        checked={options.skipBlanks}
+                        onChange={(e) => set({ skipBlanks: e.target.checked })}
+                    />
+                    Skip blanks
+                </label>
+                <label>
+                    <input
+                        type="checkbox"
+                        checked={options.transpose}
+                        onChange={(e) => set({ transpose: e.target.checked })}
+                    />
+                    Transpose
+                </label>
+            </div>
+            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 6 }}>
+                <button onClick={props.onClose}>Cancel</button>
+                <button onClick={() => props.onPaste(options)}>Paste</button>
+            </div>
+        </div>
+    );
+}
+
+export default PasteSpecialPanel;
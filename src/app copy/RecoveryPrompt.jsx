@@ -0,0 +1,62 @@
+import { documentSchemaVersion } from './persistence.js';
+
+const backdropStyle = {
+    position: 'fixed',
+    inset: 0,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    background: 'rgba(0, 0, 0, 0.3)',
+    zIndex: 10,
+};
+
+const dialogStyle = {
+    maxWidth: 420,
+    padding: 20,
+    borderRadius: 8,
+    background: '#fff',
+    boxShadow: '0 4px 16px rgba(0, 0, 0, 0.25)',
+    fontFamily: 'sans-serif',
+    fontSize: 14,
+    color: '#333',
+};
+
+// Asks what to do with a saved workbook that was written by another version of the app, or that
+// could not be discarded
+function RecoveryPrompt(props) {
+    const { persistence } = props;
+    const outdated = persistence.status === 'outdated';
+
+    let message;
+    if (persistence.status === 'error') {
+        message = 'Your saved workbook could not be discarded.';
+    } else if (outdated) {
+        message =
+            'Your saved workbook was stored by an older version of this app (format ' +
+            persistence.storedVersion +
+            ', current ' +
+            documentSchemaVersion +
+            '). It can be upgraded to open here.';
+    } else {
+        message =
+            'Your saved workbook was stored by a newer version of this app (format ' +
+            persistence.storedVersion +
+            ') and cannot be opened here.';
+    }
+
+    return (
+        <div style={backdropStyle}>
+            <div style={dialogStyle} role="alertdialog" aria-modal="true">
+                <p style={{ marginTop: 0 }}>{message}</p>
+                {persistence.error && <p style={{ color: '#c5221f' }}>{persistence.error.message}</p>}
+                <div style={{ display: 'flex', gap: 8, justifyContent: 'flex-end' }}>
+                    <button onClick={persistence.downloadBackup}>Download backup</button>
+                    <button onClick={persistence.discard}>Start over</button>
+                    {outdated && <button onClick={persistence.upgrade}>Upgrade</button>}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default RecoveryPrompt;
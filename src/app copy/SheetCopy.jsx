@@ -1,6 +1,48 @@
 import styles from './styles.module.css';
-import React, { useRef, useEffect, useState, useMemo } from 'react';
+import React, { forwardRef, useRef, useEffect, useState, useMemo, useImperativeHandle } from 'react';
 import useResizeObserver from 'use-resize-observer';
+import { columnToLetters, forEachCellInRanges, normalizeRange, rangeContains } from './addressing.js';
+import { createHistory } from './history.js';
+import { createFillSeries } from './seriesFill.js';
+import { currentRegion, cycleInRange, jumpTarget } from './navigation.js';
+import { createMergeIndex, rangesIntersect } from './merges.js';
+import { formatValue } from './numberFormat.js';
+import { createConditionalFormatter } from './conditionalFormat.js';
+import { createValidator } from './dataValidation.js';
+import { builtinEditors, keyChord, resolveEditor } from './editors/index.js';
+import { createRowFilter, withCriterion } from './filter.js';
+import FilterPanel from './FilterPanel.jsx';
+import { createMatcher, defaultFindQuery, findMatches, nextMatchIndex } from './find.js';
+import FindPanel from './FindPanel.jsx';
+import { parseNumber } from './formula/values.js';
+import { isFormulaText } from './formula/engine.js';
+import { moveReferences } from './formula/rewrite.js';
+import { sortRangeChanges } from './sort.js';
+import {
+    blockToHtml,
+    blockToJson,
+    blockToText,
+    clipboardJsonType,
+    defaultPasteOptions,
+    htmlToBlock,
+    parseBlockJson,
+    pasteChanges,
+    textToBlock,
+} from './clipboard.js';
+import PasteSpecialPanel from './PasteSpecialPanel.jsx';
+import ContextMenu from './ContextMenu.jsx';
+import { invertStructuralChange, isStructuralChange, shiftFilter, shiftIndex } from './structure.js';
+import {
+    addGroup,
+    createLineVisibility,
+    expandGroups,
+    groupLevels,
+    hideLines,
+    outlineDepth,
+    removeGroup,
+    showLevel,
+    unhideLines,
+} from './outline.js';
 
 function resizeCanvas(canvas) {
     const { width, height } = canvas.getBoundingClientRect();
@@ -40,6 +82,21 @@ function createRowOrColumnPropFunction(sizeProp, defaultValue) {
     };
 }
 
+// steps of the arrow keys over the grid
+const arrowDirections = {
+    ArrowRight: { dx: 1, dy: 0 },
+    ArrowLeft: { dx: -1, dy: 0 },
+    ArrowUp: { dx: 0, dy: -1 },
+    ArrowDown: { dx: 0, dy: 1 },
+};
+
+// how the selection moves after an edit is committed with these keys
+const commitMoves = {
+    Enter: { dx: 0, dy: 1 },
+    Tab: { dx: 1, dy: 0 },
+    ...arrowDirections,
+};
+
 function createCellPropFunction(cellProp, defaultValue) {
     return (x, y) => {
         if (Array.isArray(cellProp)) {
@@ -62,7 +119,39 @@ function createCellPropFunction(cellProp, defaultValue) {
     };
 }
 
-function drawCell(context, cellContent, style, defaultCellStyle, xCoord, yCoord, cellWidth, cellHeight) {
+// Breaks text into lines that fit maxWidth, on spaces where possible and inside long words otherwise
+function wrapText(context, text, maxWidth) {
+    const lines = [];
+    for (const paragraph of text.split('\n')) {
+        let line = '';
+        for (const word of paragraph.split(/(?<= )/)) {
+            const candidate = line + word;
+            if (line === '' || context.measureText(candidate.trimEnd()).width <= maxWidth) {
+                line = candidate;
+            } else {
+                lines.push(line.trimEnd());
+                line = word;
+            }
+            // a single word wider than the cell is broken by characters
+            while (line.length > 1 && context.measureText(line.trimEnd()).width > maxWidth) {
+                let fit = line.length - 1;
+                while (fit > 1 && context.measureText(line.slice(0, fit)).width > maxWidth) {
+                    fit--;
+                }
+                lines.push(line.slice(0, fit));
+                line = line.slice(fit);
+            }
+        }
+        lines.push(line.trimEnd());
+    }
+    return lines;
+}
+
+// Draws a cell. style.wrap picks what happens to text wider than the cell: 'overflow' (default)
+// spills into the empty neighbours that overflowSpace() reports as { left, right } pixels,
+// 'clip' cuts it at the cell border and 'wrap' breaks it into lines.
+// Returns the height wrapped text needs, or null.
+function drawCell(context, cellContent, style, defaultCellStyle, xCoord, yCoord, cellWidth, cellHeight, overflowSpace) {
     style.color = style.color || defaultCellStyle.color;
     style.fontSize = style.fontSize || defaultCellStyle.fontSize;
     style.fontFamily = style.fontFamily || defaultCellStyle.fontFamily;
@@ -70,18 +159,35 @@ function drawCell(context, cellContent, style, defaultCellStyle, xCoord, yCoord,
     style.marginRight = style.marginRight || defaultCellStyle.marginRight;
     style.marginLeft = style.marginLeft || defaultCellStyle.marginLeft;
     style.weight = style.weight || defaultCellStyle.weight;
+    style.wrap = style.wrap || defaultCellStyle.wrap;
 
     context.fillStyle = style.color;
     context.font = style.weight + style.fontSize + 'px ' + style.fontFamily;
     context.textAlign = style.textAlign;
 
-    const adjustment = style.textAlign === 'right' ? cellWidth - style.marginRight : style.marginLeft;
+    let adjustment = style.marginLeft;
+    if (style.textAlign === 'right') {
+        adjustment = cellWidth - style.marginRight;
+    } else if (style.textAlign === 'center') {
+        adjustment = cellWidth * 0.5;
+    }
     const xx = xCoord + adjustment;
     const yy = yCoord + cellHeight * 0.5;
+    const isText = !Array.isArray(cellContent);
+    const text = isText ? String(cellContent) : '';
+    const textWidth = cellWidth - style.marginLeft - style.marginRight;
+
+    let clipX = xCoord;
+    let clipWidth = cellWidth;
+    if (isText && style.wrap === 'overflow' && overflowSpace && context.measureText(text).width > textWidth) {
+        const space = overflowSpace();
+        clipX -= space.left;
+        clipWidth += space.left + space.right;
+    }
 
     context.save();
     context.beginPath();
-    context.rect(xCoord, yCoord, cellWidth, cellHeight);
+    context.rect(clipX, yCoord, clipWidth, cellHeight);
     context.clip();
 
     if (style.backgroundColor) {
@@ -89,8 +195,15 @@ function drawCell(context, cellContent, style, defaultCellStyle, xCoord, yCoord,
         context.fillRect(xCoord, yCoord, cellWidth, cellHeight);
         context.fillStyle = style.color;
     }
+    // in-cell bar from conditional formatting, ratio is its share of the cell width
+    if (style.dataBar) {
+        context.fillStyle = style.dataBar.color;
+        context.fillRect(xCoord + 2, yCoord + 3, Math.max(0, (cellWidth - 4) * style.dataBar.ratio), cellHeight - 6);
+        context.fillStyle = style.color;
+    }
 
-    if (Array.isArray(cellContent)) {
+    let neededHeight = null;
+    if (!isText) {
         for (const obj of cellContent) {
             if (obj.content instanceof HTMLImageElement) {
                 context.drawImage(obj.content, xCoord + obj.x, yy + obj.y, obj.width, obj.height);
@@ -98,45 +211,51 @@ function drawCell(context, cellContent, style, defaultCellStyle, xCoord, yCoord,
                 context.fillText(obj.content, xCoord + obj.x, yy + obj.y);
             }
         }
+    } else if (style.wrap === 'wrap') {
+        const lines = wrapText(context, text, textWidth);
+        const lineHeight = Math.round(style.fontSize * 1.3);
+        neededHeight = lines.length * lineHeight + 6;
+        let lineY = yy - ((lines.length - 1) * lineHeight) / 2;
+        for (const line of lines) {
+            context.fillText(line, xx, lineY);
+            lineY += lineHeight;
+        }
     } else {
-        context.fillText(cellContent, xx, yy);
+        context.fillText(text, xx, yy);
     }
     context.restore();
+    return neededHeight;
 }
 
-function calculateRowsOrColsSizes(freezeCount, size, startingSize, startingIndex, visibleArea) {
+// Lays out the rows or columns that fit visibleArea: the frozen ones first, then the ones from
+// startingIndex on. Hidden ones (filtered out rows) are skipped.
+function calculateRowsOrColsSizes(freezeCount, size, startingSize, startingIndex, visibleArea, isHidden = () => false) {
     const visible = [];
     const start = [];
     const end = [];
-    let prev = 0;
-
-    start.push(startingSize);
-    visible.push(freezeCount > 0 ? 0 : startingIndex);
-    let firstSize = freezeCount > 0 ? size(0) : size(startingIndex);
-    prev = startingSize + firstSize;
-    end.push(prev);
-
-    let ind = freezeCount > 0 ? 1 : startingIndex + 1;
-
-    if (freezeCount > 0) {
-        for (; ind < freezeCount; ind++) {
-            visible.push(ind);
-            start.push(prev);
-            prev = prev + size(ind);
-            end.push(prev);
-        }
-        ind = Math.max(startingIndex, freezeCount);
-    }
+    let prev = startingSize;
 
-    while (true) {
+    const add = (ind) => {
         visible.push(ind);
         start.push(prev);
         prev = prev + size(ind);
         end.push(prev);
+    };
+
+    for (let ind = 0; ind < freezeCount; ind++) {
+        if (!isHidden(ind)) {
+            add(ind);
+        }
+    }
+
+    for (let ind = Math.max(startingIndex, freezeCount); ; ind++) {
+        if (isHidden(ind)) {
+            continue;
+        }
+        add(ind);
         if (end[end.length - 1] >= visibleArea) {
             break;
         }
-        ind++;
     }
     return {
         visible,
@@ -145,24 +264,41 @@ function calculateRowsOrColsSizes(freezeCount, size, startingSize, startingIndex
     };
 }
 
-function Sheet(props) {
+function Sheet(props, ref) {
     const canvasRef = useRef(null);
     const overlayRef = useRef(null);
     const copyPasteTextAreaRef = useRef(null);
+    const lastCopied = useRef(null); // block of the last copy or cut
+    const pasteSpecialRequested = useRef(false); // Ctrl+Shift+V until its paste event comes
+    const copyVisibleOnly = useRef(false); // "Copy visible cells only" until its copy event comes
     const [maxScroll, setMaxScroll] = useState({ x: 5000, y: 5000 });
     const [dataOffset, setDataOffset] = useState({ x: 0, y: 0 });
     const [selection, setSelection] = useState({ x1: -1, y1: -1, x2: -1, y2: -1 });
+    const [otherRanges, setOtherRanges] = useState([]); // earlier blocks of a Ctrl / Cmd-click selection
+    const [rangeCursor, setRangeCursor] = useState(null); // active cell once Enter / Tab moved it inside the range
     const [knobArea, setKnobArea] = useState({ x1: -1, y1: -1, x2: -1, y2: -1 });
     const [editCell, setEditCell] = useState({ x: -1, y: -1 });
     const [editValue, setEditValue] = useState('');
+    const [editCaretAtEnd, setEditCaretAtEnd] = useState(false);
+    const [validationNotice, setValidationNotice] = useState(null); // { x, y, message, reject, rule }
+    const [filterPanel, setFilterPanel] = useState(null); // { x } of the column whose filter is edited
+    const [findQuery, setFindQuery] = useState(null); // see find.js, null while the find panel is closed
+    const [pasteSpecial, setPasteSpecial] = useState(null); // { block } waiting for paste special options
+    const [contextMenu, setContextMenu] = useState(null); // { x, y, axis } of the built-in context menu
     const [arrowKeyCommitMode, setArrowKeyCommitMode] = useState(false);
     const [shiftKeyDown, setShiftKeyDown] = useState(false);
     const [knobDragInProgress, setKnobDragInProgress] = useState(false);
+    const [moveDrag, setMoveDrag] = useState(null); // { range, grab, target } while the selection is dragged by its outline
+    const [ownCutArea, setOwnCutArea] = useState(null); // { range, id } of cut cells waiting to be pasted
+    const [antsOffset, setAntsOffset] = useState(0);
     const [selectionInProgress, setSelectionInProgress] = useState(false);
     const [columnResize, setColumnResize] = useState(null);
     const [rowResize, setRowResize] = useState(null);
     const [rowSelectionInProgress, setRowSelectionInProgress] = useState(false);
     const [columnSelectionInProgress, setColumnSelectionInProgress] = useState(false);
+    const [formulaVersion, setFormulaVersion] = useState(0);
+    const [ownHistory] = useState(() => createHistory());
+    const [autoSizedRows] = useState(() => new Set());
     const [buttonClickMouseDownCoordinates, setButtonClickMouseDownCoordinates] = useState({
         x: -1,
         y: -1,
@@ -173,13 +309,22 @@ function Sheet(props) {
     const selBorderColor = '#1b73e7';
     const selBackColor = '#e9f0fd';
     const knobSize = 6;
+    const chevronWidth = 16; // dropdown chevron of list validated cells
+    const filterButtonWidth = 16; // funnel button of filter header cells
     const gridColor = '#e2e3e3';
     const knobAreaBorderColor = '#707070';
-    const rowHeaderWidth = 50;
+    const outlineStep = 14; // width of one level of the outline gutters
+    // outline groups (see outline.js) get gutters beside the headers: a step per level, and one
+    // more for the buttons that show a level
+    const rowGroups = props.rowGroups || [];
+    const columnGroups = props.columnGroups || [];
+    const rowGutterWidth = rowGroups.length > 0 ? (outlineDepth(rowGroups) + 1) * outlineStep : 0;
+    const columnGutterHeight = columnGroups.length > 0 ? (outlineDepth(columnGroups) + 1) * outlineStep : 0;
+    const rowHeaderWidth = rowGutterWidth + 50;
     const rowHeaderBackgroundColor = '#f8f9fa';
     const rowHeaderTextColor = '#666666';
     const rowHeaderSelectedBackgroundColor = '#e8eaed';
-    const columnHeaderHeight = 22;
+    const columnHeaderHeight = columnGutterHeight + 22;
     const columnHeaderBackgroundColor = rowHeaderBackgroundColor;
     const columnHeaderSelectedBackgroundColor = rowHeaderSelectedBackgroundColor;
     const columnHeaderTextColor = rowHeaderTextColor;
@@ -187,9 +332,38 @@ function Sheet(props) {
     const yBinSize = 10;
     const scrollSpeed = 30;
     const resizeColumnRowMouseThreshold = 4;
+    const moveBorderThreshold = 3; // how close to the selection outline dragging moves the cells
     const minimumColumnWidth = 50;
     const minimumRowHeight = 22;
 
+    // hosts can pass their own history to group several batches into one undo step
+    const history = props.history || ownHistory;
+
+    // hosts can keep the cut cells (cutArea / onCutAreaChange) so they outlive the Sheet, e.g. to be
+    // pasted on another sheet; onCutPaste(id) then gets the id of a cut pasted here from elsewhere
+    const cutArea = props.onCutAreaChange ? props.cutArea || null : ownCutArea;
+    const setCutArea = (area) => (props.onCutAreaChange ? props.onCutAreaChange(area) : setOwnCutArea(area));
+
+    // scroll to the first row / column given by initialScroll when mounted, e.g. after a reload;
+    // later values are the host keeping track of the scrolling and are not applied
+    const [initialScroll] = useState(() => props.initialScroll);
+    useEffect(() => {
+        if (!initialScroll || !overlayRef.current || (initialScroll.x === 0 && initialScroll.y === 0)) {
+            return;
+        }
+        setMaxScroll({
+            x: Math.max(5000, initialScroll.x * scrollSpeed * 1.5),
+            y: Math.max(5000, initialScroll.y * scrollSpeed * 1.5),
+        });
+        setDataOffset({ x: initialScroll.x, y: initialScroll.y });
+        setTimeout(() => {
+            if (overlayRef.current) {
+                overlayRef.current.scrollLeft = initialScroll.x * scrollSpeed;
+                overlayRef.current.scrollTop = initialScroll.y * scrollSpeed;
+            }
+        }, 0);
+    }, [initialScroll]);
+
     const freezeColumns = props.freezeColumns || 0;
     const freezeRows = props.freezeRows || 0;
 
@@ -201,18 +375,180 @@ function Sheet(props) {
         color: '#000',
         fontFamily: 'sans-serif',
         weight: '',
+        wrap: 'overflow',
     };
 
-    const cellWidth = createRowOrColumnPropFunction(props.cellWidth, 100);
-    const cellHeight = createRowOrColumnPropFunction(props.cellHeight, 22);
+    const baseCellWidth = createRowOrColumnPropFunction(props.cellWidth, 100);
+    const baseCellHeight = createRowOrColumnPropFunction(props.cellHeight, 22);
     const columnHeaders = createRowOrColumnPropFunction(props.columnHeaders, null);
 
     const cellReadOnly = createCellPropFunction(props.readOnly, false);
 
-    const sourceData = createCellPropFunction(props.sourceData, null);
-    const displayData = createCellPropFunction(props.displayData, null);
-    const editData = createCellPropFunction(props.editData, null);
-    const cellStyle = createCellPropFunction(props.cellStyle, defaultCellStyle);
+    // merged blocks, given as normalized ranges; the top-left cell of each holds its content
+    const mergeIndex = createMergeIndex(props.mergedCells);
+
+    // when a formula engine is given it stores the inputs and computes the displayed values
+    const formulaEngine = props.formulaEngine || null;
+    const sourceData = createCellPropFunction(props.sourceData ?? formulaEngine?.sourceData, null);
+    const displayData = createCellPropFunction(props.displayData ?? formulaEngine?.displayData, null);
+    const editData = createCellPropFunction(props.editData ?? formulaEngine?.editData, null);
+    const baseCellStyle = createCellPropFunction(props.cellStyle, defaultCellStyle);
+
+    // raw cell values for formats and conditional formatting: valueData, the formula engine's
+    // values, or else the displayed text read as a number
+    const valueData = createCellPropFunction(props.valueData ?? formulaEngine?.getValue, undefined);
+    const rawValue = (x, y) => {
+        const value = valueData(x, y);
+        if (value !== undefined) {
+            return value;
+        }
+        const content = displayData(x, y);
+        return typeof content === 'string' ? (parseNumber(content) ?? content) : content;
+    };
+
+    // conditional formatting rules (see conditionalFormat.js) restyle cells by their values; their
+    // style goes over the cell's own style everywhere the grid draws
+    const conditionalFormatter = createConditionalFormatter(
+        props.conditionalFormats,
+        rawValue,
+        props.evaluateFormula ?? formulaEngine?.evaluateFormula
+    );
+    // data validation rules (see dataValidation.js) check what gets typed into cells
+    const validator = createValidator(
+        props.dataValidations,
+        rawValue,
+        props.evaluateFormula ?? formulaEngine?.evaluateFormula
+    );
+    const listRule = (x, y) => {
+        const rule = validator.ruleAt(x, y);
+        return rule && rule.type === 'list' ? rule : null;
+    };
+
+    // editors (see editors/index.js): cellEditor or columnEditor declare one per cell as 'checkbox'
+    // or { type: 'select', options }, list validated cells get the list picker, the rest plain text.
+    // Hosts add their own editor types through the editors prop.
+    const editorRegistry = { ...builtinEditors, ...props.editors };
+    const cellEditor = createCellPropFunction(props.cellEditor, null);
+    const columnEditor =
+        Array.isArray(props.columnEditor) || typeof props.columnEditor === 'function'
+            ? createRowOrColumnPropFunction(props.columnEditor, null)
+            : () => props.columnEditor || null;
+    const editorFor = (x, y) => {
+        const declaration = cellEditor(x, y) ?? columnEditor(x);
+        const rule = listRule(x, y);
+        if (!declaration && rule) {
+            return resolveEditor(editorRegistry, { type: 'list', options: { choices: validator.listValues(rule) } });
+        }
+        return resolveEditor(editorRegistry, declaration || 'text');
+    };
+
+    const cellStyle = (x, y) => {
+        const style = baseCellStyle(x, y);
+        const conditional = conditionalFormatter.styleFor(x, y);
+        return conditional ? { ...style, ...conditional } : style;
+    };
+
+    // display formats like '#,##0.00' or 'yyyy-mm-dd' apply to the raw value at render time
+    const cellFormat = createCellPropFunction(props.cellFormat, null);
+
+    // Content to draw for a cell. Sets the format's color on style, and right-aligns numbers
+    // unless the style has its own alignment.
+    const formattedContent = (x, y, style) => {
+        let content = displayData(x, y);
+        if (Array.isArray(content)) {
+            return content;
+        }
+        const value = rawValue(x, y);
+        const format = cellFormat(x, y);
+        if (format && value !== null && value !== undefined) {
+            const formatted = formatValue(value, format);
+            content = formatted.text;
+            if (formatted.color) {
+                style.color = formatted.color;
+            }
+        }
+        if (typeof value === 'number' && !style.textAlign) {
+            style.textAlign = 'right';
+        }
+        return content;
+    };
+
+    // changes whenever the data does: the host's dataVersion, else the identity of displayData
+    const dataVersion = props.dataVersion ?? props.displayData;
+
+    // filter (see filter.js): rows it filters out get no height and are left out of the layout, the
+    // others keep their row numbers. onFilterChange gets the filter edited with the header buttons.
+    const rowFilter = useMemo(
+        () =>
+            props.filter
+                ? createRowFilter(
+                      props.filter,
+                      rawValue,
+                      (x, y) => {
+                          const content = formattedContent(x, y, {});
+                          return Array.isArray(content) ? '' : content;
+                      },
+                      cellStyle
+                  )
+                : null,
+        [props.filter, dataVersion, formulaVersion, props.conditionalFormats]
+    );
+
+    // hidden rows and columns, by hiddenRows / hiddenColumns or a collapsed group, are left out of
+    // the layout like filtered out rows
+    const rowVisibility = createLineVisibility(props.hiddenRows || [], rowGroups);
+    const columnVisibility = createLineVisibility(props.hiddenColumns || [], columnGroups);
+    const rowHidden = (row) => (rowFilter !== null && rowFilter.isHidden(row)) || rowVisibility.isHidden(row);
+    const columnHidden = columnVisibility.isHidden;
+    const cellHeight = (row) => (rowHidden(row) ? 0 : baseCellHeight(row));
+    const cellWidth = (column) => (columnHidden(column) ? 0 : baseCellWidth(column));
+
+    // the last used column and row, else as far as the sheet has been scrolled
+    const dataExtent = props.dataExtent || {
+        x: Math.ceil(maxScroll.x / scrollSpeed),
+        y: Math.ceil(maxScroll.y / scrollSpeed),
+    };
+
+    // fn(x, y) for every cell that may hold data: the host's forEachCell walks just the cells it
+    // stores, without it every cell up to dataExtent is visited
+    const forEachUsedCell = (fn) => {
+        if (props.forEachCell) {
+            props.forEachCell(fn);
+            return;
+        }
+        for (let y = 0; y <= dataExtent.y; y++) {
+            for (let x = 0; x <= dataExtent.x; x++) {
+                fn(x, y);
+            }
+        }
+    };
+
+    // find / replace: every used cell that matches the query, except hidden rows and columns
+    const findMatcher = useMemo(() => createMatcher(findQuery), [findQuery]);
+    const findText = (x, y) => {
+        if (rowHidden(y) || columnHidden(x)) {
+            return null;
+        }
+        if (findQuery?.searchIn === 'formulas') {
+            return editData(x, y);
+        }
+        const content = formattedContent(x, y, {});
+        return Array.isArray(content) ? null : content;
+    };
+    const foundCells = useMemo(
+        () => (findMatcher ? findMatches(findMatcher, forEachUsedCell, findText) : []),
+        [
+            findMatcher,
+            findQuery?.searchIn,
+            dataVersion,
+            formulaVersion,
+            props.filter,
+            props.hiddenRows,
+            props.hiddenColumns,
+            props.rowGroups,
+            props.columnGroups,
+        ]
+    );
 
     // todo: somehow memoize, or only recalculate when inputs change...
     const { visible: visibleColumns, start: columnXStart, end: columnXEnd } = calculateRowsOrColsSizes(
@@ -220,7 +556,8 @@ function Sheet(props) {
         cellWidth,
         rowHeaderWidth,
         dataOffset.x,
-        canvasWidth
+        canvasWidth,
+        columnHidden
     );
 
     const { visible: visibleRows, start: rowYStart, end: rowYEnd } = calculateRowsOrColsSizes(
@@ -228,11 +565,22 @@ function Sheet(props) {
         cellHeight,
         columnHeaderHeight,
         dataOffset.y,
-        canvasHeight
+        canvasHeight,
+        rowHidden
     );
 
-    const changeSelection = (x1, y1, x2, y2, scrollToP2 = true) => {
+    // Selects x1, y1 to x2, y2 with x1, y1 the active cell. others are the normalized ranges selected
+    // along with it, e.g. by Ctrl / Cmd-click; onSelectionChanged gets them all as its last argument.
+    const changeSelection = (x1, y1, x2, y2, scrollToP2 = true, others = []) => {
+        // a selection touching part of a merged block grows to cover all of it
+        if (mergeIndex.list.length > 0 && x1 !== -1 && y1 !== -1) {
+            const range = mergeIndex.expand(normalizeRange(x1, y1, x2, y2));
+            [x1, x2] = x1 <= x2 ? [range.x1, range.x2] : [range.x2, range.x1];
+            [y1, y2] = y1 <= y2 ? [range.y1, range.y2] : [range.y2, range.y1];
+        }
         setSelection({ x1, y1, x2, y2 });
+        setOtherRanges(others);
+        setRangeCursor(null);
 
         if (scrollToP2) {
             const newDataOffset = { x: dataOffset.x, y: dataOffset.y };
@@ -281,7 +629,153 @@ function Sheet(props) {
                 sy1 = y2;
                 sy2 = y1;
             }
-            props.onSelectionChanged(sx1, sy1, sx2, sy2);
+            props.onSelectionChanged(sx1, sy1, sx2, sy2, [...others, { x1: sx1, y1: sy1, x2: sx2, y2: sy2 }]);
+        }
+    };
+
+    // every selected range, normalized, the active one last
+    const selectedRanges = () =>
+        selection.x1 === -1 || selection.y1 === -1
+            ? []
+            : [...otherRanges, normalizeRange(selection.x1, selection.y1, selection.x2, selection.y2)];
+
+    // the cell typing goes into: the x1, y1 corner unless Enter / Tab moved on inside the range
+    const activeCell = rangeCursor || { x: selection.x1, y: selection.y1 };
+    const rangeSelected = selection.x1 !== selection.x2 || selection.y1 !== selection.y2;
+
+    // The sheet as data in the shape of sheetStore.js serialize, for undoing a structural change.
+    // Sizes are only those the cellWidth / cellHeight props give for the lines the change deletes.
+    const sheetData = (change) => {
+        const cells = [];
+        forEachUsedCell((x, y) => {
+            const value = sourceData(x, y);
+            const style = props.cellStyle ? baseCellStyle(x, y) : null;
+            const format = cellFormat(x, y);
+            if ((value !== null && value !== '') || (style && Object.keys(style).length > 0) || format) {
+                cells.push({ x, y, value, style, format });
+            }
+        });
+        const sizes = {};
+        if (change.delete) {
+            const { axis, index, count } = change.delete;
+            const lineSize = createRowOrColumnPropFunction(axis === 'rows' ? props.cellHeight : props.cellWidth, null);
+            for (let i = index; i < index + count; i++) {
+                const size = lineSize(i);
+                if (size !== null && size !== undefined) {
+                    sizes[i] = size;
+                }
+            }
+        }
+        const rows = (change.insert || change.delete).axis === 'rows';
+        return {
+            cells,
+            columnWidths: rows ? {} : sizes,
+            rowHeights: rows ? sizes : {},
+            merges: mergeIndex.list,
+            conditionalFormats: props.conditionalFormats || [],
+            dataValidations: props.dataValidations || [],
+            hiddenRows: props.hiddenRows || [],
+            hiddenColumns: props.hiddenColumns || [],
+            rowGroups,
+            columnGroups,
+        };
+    };
+
+    const invertChanges = (changes) => {
+        const inverse = [];
+        for (const change of changes) {
+            if (isStructuralChange(change)) {
+                inverse.push(...invertStructuralChange(sheetData(change), change).reverse());
+                continue;
+            }
+            if (change.merge) {
+                inverse.push({ unmerge: change.merge });
+                continue;
+            }
+            if (change.unmerge) {
+                inverse.push(...mergeIndex.intersecting(change.unmerge).map((merge) => ({ merge })));
+                continue;
+            }
+            if (change.conditionalFormats) {
+                inverse.push({ conditionalFormats: props.conditionalFormats || [] });
+                continue;
+            }
+            if (change.dataValidations) {
+                inverse.push({ dataValidations: props.dataValidations || [] });
+                continue;
+            }
+            const outlineKey = ['hiddenRows', 'hiddenColumns', 'rowGroups', 'columnGroups'].find((key) => change[key]);
+            if (outlineKey) {
+                inverse.push({ [outlineKey]: props[outlineKey] || [] });
+                continue;
+            }
+            const undoChange = { x: change.x, y: change.y };
+            if ('value' in change) {
+                undoChange.value = sourceData(change.x, change.y);
+            }
+            if ('style' in change) {
+                undoChange.style = props.cellStyle ? baseCellStyle(change.x, change.y) : null;
+            }
+            if ('format' in change) {
+                undoChange.format = cellFormat(change.x, change.y);
+            }
+            inverse.push(undoChange);
+        }
+        // applied in reverse so a cell changed twice gets its original value back
+        return inverse.reverse();
+    };
+
+    // Every edit goes through here. onChange may return the batch that reverts the change,
+    // which is then recorded instead of the inverse computed from sourceData.
+    const applyChanges = (changes, recordHistory = true) => {
+        const inverse = recordHistory ? invertChanges(changes) : null;
+        const selectionBefore = { ...selection, others: otherRanges };
+        if (formulaEngine) {
+            formulaEngine.applyChanges(changes);
+            setFormulaVersion(formulaVersion + 1);
+        }
+        let returned = null;
+        if (props.onChange) {
+            returned = props.onChange(changes);
+        }
+        // the filter moves along with inserted and deleted rows and columns
+        const structural = changes.filter(isStructuralChange);
+        if (structural.length > 0) {
+            setCutArea(null);
+            if (props.filter && props.onFilterChange) {
+                props.onFilterChange(
+                    structural.reduce((filter, change) => filter && shiftFilter(change, filter), props.filter)
+                );
+            }
+        }
+        if (recordHistory) {
+            history.record({
+                changes,
+                inverse: Array.isArray(returned) ? returned : inverse,
+                selection: selectionBefore,
+            });
+        }
+    };
+
+    const restoreSelection = (sel) => {
+        if (sel && sel.x1 !== -1 && sel.y1 !== -1) {
+            changeSelection(sel.x1, sel.y1, sel.x2, sel.y2, true, sel.others || []);
+        }
+    };
+
+    const undo = () => {
+        const entry = history.undo();
+        if (entry) {
+            applyChanges(entry.inverse, false);
+            restoreSelection(entry.selection);
+        }
+    };
+
+    const redo = () => {
+        const entry = history.redo();
+        if (entry) {
+            applyChanges(entry.changes, false);
+            restoreSelection(entry.selection);
         }
     };
 
@@ -334,6 +828,395 @@ function Sheet(props) {
         return { x: absX, y: absY };
     };
 
+    // screen rectangle of a merged block, which may start above or left of the visible area
+    const mergeRect = (merge) => {
+        const p = cellToAbsCoordinate(merge.x1, merge.y1);
+        let w = 0;
+        let h = 0;
+        for (let x = merge.x1; x <= merge.x2; x++) {
+            w += cellWidth(x);
+        }
+        for (let y = merge.y1; y <= merge.y2; y++) {
+            h += cellHeight(y);
+        }
+        return { x: p.x, y: p.y, w, h };
+    };
+
+    const visibleMerges = () =>
+        mergeIndex.list.filter(
+            (merge) =>
+                visibleColumns.some((x) => x >= merge.x1 && x <= merge.x2) &&
+                visibleRows.some((y) => y >= merge.y1 && y <= merge.y2)
+        );
+
+    // the cell next to x, y in direction dx / dy, jumping over the merged block x, y belongs to
+    // and over hidden rows and columns
+    const stepCell = (x, y, dx, dy) => {
+        const merge = mergeIndex.find(x, y);
+        if (merge) {
+            x = dx > 0 ? merge.x2 : dx < 0 ? merge.x1 : x;
+            y = dy > 0 ? merge.y2 : dy < 0 ? merge.y1 : y;
+        }
+        let nextY = Math.max(0, y + dy);
+        while (dy !== 0 && rowHidden(nextY) && nextY + dy >= 0) {
+            nextY += dy;
+        }
+        let nextX = Math.max(0, x + dx);
+        while (dx !== 0 && columnHidden(nextX) && nextX + dx >= 0) {
+            nextX += dx;
+        }
+        return { x: columnHidden(nextX) ? x : nextX, y: rowHidden(nextY) ? y : nextY };
+    };
+
+    // Scrolls so that x, y is on screen; a cell out of view becomes the first scrolled column / row
+    const scrollCellIntoView = (x, y) => {
+        const offset = { x: dataOffset.x, y: dataOffset.y };
+        if (x >= freezeColumns && (!visibleColumns.includes(x) || visibleColumns[visibleColumns.length - 1] === x)) {
+            offset.x = x;
+        }
+        if (y >= freezeRows && (!visibleRows.includes(y) || visibleRows[visibleRows.length - 1] === y)) {
+            offset.y = y;
+        }
+        if (offset.x === dataOffset.x && offset.y === dataOffset.y) {
+            return;
+        }
+        setMaxScroll({
+            x: Math.max(maxScroll.x, offset.x * scrollSpeed * 1.5),
+            y: Math.max(maxScroll.y, offset.y * scrollSpeed * 1.5),
+        });
+        setDataOffset(offset);
+        setTimeout(() => {
+            if (overlayRef.current) {
+                overlayRef.current.scrollLeft = offset.x * scrollSpeed;
+                overlayRef.current.scrollTop = offset.y * scrollSpeed;
+            }
+        }, 0);
+    };
+
+    // whether a cell has content, for Ctrl+Arrow and Ctrl+A
+    const cellFilled = (x, y) => {
+        const value = sourceData(x, y) ?? displayData(x, y);
+        return value !== null && value !== undefined && value !== '';
+    };
+
+    // selects x1, y1 to x2, y2 and brings x2, y2 on screen however far away it is
+    const selectAndReveal = (x1, y1, x2, y2) => {
+        changeSelection(x1, y1, x2, y2, false);
+        scrollCellIntoView(x2, y2);
+    };
+
+    // moves the active cell on inside the selected range, wrapping around and passing over
+    // hidden rows and columns and the covered cells of merged blocks
+    const cycleActiveCell = (byRow, backwards) => {
+        const range = normalizeRange(selection.x1, selection.y1, selection.x2, selection.y2);
+        const count = (range.x2 - range.x1 + 1) * (range.y2 - range.y1 + 1);
+        let next = activeCell;
+        for (let i = 0; i < count; i++) {
+            next = cycleInRange(range, next.x, next.y, byRow, backwards);
+            const merge = mergeIndex.find(next.x, next.y);
+            const hidden = rowHidden(next.y) || columnHidden(next.x);
+            if (!hidden && (!merge || (merge.x1 === next.x && merge.y1 === next.y))) {
+                break;
+            }
+        }
+        setRangeCursor(next);
+        scrollCellIntoView(next.x, next.y);
+    };
+
+    // Pasting or filling over merged blocks unmerges them so every written value shows,
+    // a single value keeps the block and goes into its top-left cell
+    const unmergeChanges = (range) => {
+        if (range.x1 === range.x2 && range.y1 === range.y2) {
+            return [];
+        }
+        return mergeIndex.intersecting(range).map((merge) => ({ unmerge: merge }));
+    };
+
+    // Moves the cells of range so that its top-left cell lands on toX, toY, in one undo step. The
+    // cells keep their inputs, styles, formats and merges, the ones left behind are cleared, and
+    // references into the range follow it, from its own formulas as well as from the rest of the sheet.
+    const moveCells = (range, toX, toY) => {
+        const dx = toX - range.x1;
+        const dy = toY - range.y1;
+        if (dx === 0 && dy === 0) {
+            return;
+        }
+        const target = { x1: toX, y1: toY, x2: range.x2 + dx, y2: range.y2 + dy };
+
+        const unmerges = new Set([...mergeIndex.intersecting(range), ...mergeIndex.intersecting(target)]);
+        const changes = [...unmerges].map((merge) => ({ unmerge: merge }));
+        const moved = [];
+        for (let y = range.y1; y <= range.y2; y++) {
+            for (let x = range.x1; x <= range.x2; x++) {
+                moved.push({
+                    x: x + dx,
+                    y: y + dy,
+                    value: moveReferences(sourceData(x, y), range, dx, dy),
+                    style: props.cellStyle ? baseCellStyle(x, y) : null,
+                    format: cellFormat(x, y),
+                });
+                if (!rangeContains(target, x, y)) {
+                    changes.push({ x, y, value: null, style: null, format: null });
+                }
+            }
+        }
+        // formulas elsewhere that point into the moved cells follow them
+        forEachUsedCell((x, y) => {
+            if (rangeContains(range, x, y) || rangeContains(target, x, y)) {
+                return;
+            }
+            const input = sourceData(x, y);
+            if (!isFormulaText(input)) {
+                return;
+            }
+            const rewritten = moveReferences(input, range, dx, dy);
+            if (rewritten !== input) {
+                changes.push({ x, y, value: rewritten });
+            }
+        });
+        changes.push(...moved);
+        for (const merge of unmerges) {
+            if (merge.x1 >= range.x1 && merge.x2 <= range.x2 && merge.y1 >= range.y1 && merge.y2 <= range.y2) {
+                changes.push({ merge: { x1: merge.x1 + dx, y1: merge.y1 + dy, x2: merge.x2 + dx, y2: merge.y2 + dy } });
+            }
+        }
+        applyChanges(changes);
+        changeSelection(target.x1, target.y1, target.x2, target.y2, false);
+    };
+
+    // Sorts the rows of range by keys (see sort.js) as one batch, read from the cell props. Like
+    // other spreadsheets it refuses ranges that cut through merged cells.
+    const sortRows = (range, keys, sortOptions) => {
+        if (mergeIndex.intersecting(range).length > 0) {
+            throw new Error('Ranges with merged cells cannot be sorted');
+        }
+        const cells = {
+            getInput: sourceData,
+            getValue: rawValue,
+            getStyle: (x, y) => (props.cellStyle ? baseCellStyle(x, y) : null),
+            getFormat: cellFormat,
+        };
+        const changes = sortRangeChanges(cells, range, keys, sortOptions);
+        if (changes.length > 0) {
+            applyChanges(changes);
+        }
+    };
+
+    // sortRange / sortSheet for hosts, through a ref to the Sheet: the selected range, or every row
+    // up to dataExtent; a header row is detected unless sortOptions.header says otherwise
+    useImperativeHandle(ref, () => ({
+        sortRange: (keys, sortOptions = {}) => {
+            if (selection.x1 !== -1 && selection.y1 !== -1) {
+                sortRows(normalizeRange(selection.x1, selection.y1, selection.x2, selection.y2), keys, sortOptions);
+            }
+        },
+        sortSheet: (keys, sortOptions = {}) => {
+            if (dataExtent.y >= 0) {
+                sortRows({ x1: 0, y1: 0, x2: dataExtent.x, y2: dataExtent.y }, keys, sortOptions);
+            }
+        },
+    }));
+
+    // Rows (axis 'rows') or columns spanned by the selected range, as { index, count }
+    const selectedLines = (axis) => {
+        const range = normalizeRange(selection.x1, selection.y1, selection.x2, selection.y2);
+        return axis === 'rows'
+            ? { index: range.y1, count: range.y2 - range.y1 + 1 }
+            : { index: range.x1, count: range.x2 - range.x1 + 1 };
+    };
+
+    // Inserts as many rows or columns as the selection spans before it or after it, as one
+    // structural change (see structure.js) hosts apply to their own stores; the new lines get selected
+    const insertLines = (axis, after) => {
+        if (selection.x1 === -1 || selection.y1 === -1) {
+            return;
+        }
+        const range = normalizeRange(selection.x1, selection.y1, selection.x2, selection.y2);
+        const lines = selectedLines(axis);
+        const index = after ? lines.index + lines.count : lines.index;
+        applyChanges([{ insert: { axis, index, count: lines.count } }]);
+        if (axis === 'rows') {
+            changeSelection(range.x1, index, range.x2, index + lines.count - 1, false);
+        } else {
+            changeSelection(index, range.y1, index + lines.count - 1, range.y2, false);
+        }
+    };
+
+    // Deletes the rows or columns the selection spans; what pointed into them becomes #REF!
+    const deleteLines = (axis) => {
+        if (selection.x1 === -1 || selection.y1 === -1) {
+            return;
+        }
+        const { index, count } = selectedLines(axis);
+        const change = { delete: { axis, index, count } };
+        applyChanges([change]);
+        // the cell after the deleted lines takes the place of the selection
+        const range = normalizeRange(selection.x1, selection.y1, selection.x2, selection.y2);
+        const x = axis === 'rows' ? range.x1 : shiftIndex(change, range.x2 + 1);
+        const y = axis === 'rows' ? shiftIndex(change, range.y2 + 1) : range.y1;
+        changeSelection(x, y, x, y, false);
+    };
+
+    // the props holding the hidden lines and the outline groups of an axis (see outline.js)
+    const outlineKeys = (axis) =>
+        axis === 'rows'
+            ? { hidden: 'hiddenRows', groups: 'rowGroups' }
+            : { hidden: 'hiddenColumns', groups: 'columnGroups' };
+
+    // Hides the rows or columns the selection spans, or shows the hidden ones among them and
+    // expands the groups they are collapsed in
+    const hideSelectedLines = (axis, hide) => {
+        if (selection.x1 === -1 || selection.y1 === -1) {
+            return;
+        }
+        const { index, count } = selectedLines(axis);
+        const keys = outlineKeys(axis);
+        const hidden = props[keys.hidden] || [];
+        if (hide) {
+            applyChanges([{ [keys.hidden]: hideLines(hidden, index, index + count - 1) }]);
+        } else {
+            applyChanges([
+                { [keys.hidden]: unhideLines(hidden, index, index + count - 1) },
+                { [keys.groups]: expandGroups(props[keys.groups] || [], index, index + count - 1) },
+            ]);
+        }
+    };
+
+    // Groups the rows or columns the selection spans one level deeper, or ungroups the innermost
+    // group among them
+    const groupSelectedLines = (axis, group) => {
+        if (selection.x1 === -1 || selection.y1 === -1) {
+            return;
+        }
+        const { index, count } = selectedLines(axis);
+        const key = outlineKeys(axis).groups;
+        const groups = props[key] || [];
+        const end = index + count - 1;
+        const changed = group ? addGroup(groups, index, end) : removeGroup(groups, index, end);
+        if (changed !== groups) {
+            applyChanges([{ [key]: changed }]);
+        }
+    };
+
+    const setGroups = (axis, groups) => applyChanges([{ [outlineKeys(axis).groups]: groups }]);
+
+    // Buttons in the headers and outline gutters, as { x, y, onClick } around their canvas center
+    // plus what drawing them needs: markers where explicitly hidden lines sit ({ marker: axis }),
+    // the +/- of every group with its bracket ({ group: axis, label, line }) and the level buttons
+    // ({ label }).
+    const headerButtons = () => {
+        const buttons = [];
+        const axes = [
+            {
+                axis: 'rows',
+                visible: visibleRows,
+                starts: rowYStart,
+                isHidden: rowHidden,
+                visibility: rowVisibility,
+                groups: rowGroups,
+                lineStart: (y) => cellToAbsCoordinate(0, y).y,
+                lineSize: cellHeight,
+                // canvas point of a position across the gutter and along the header
+                point: (across, along) => ({ x: across, y: along }),
+                markerAcross: rowHeaderWidth - 6,
+                levelsAlong: (columnGutterHeight + columnHeaderHeight) * 0.5,
+            },
+            {
+                axis: 'columns',
+                visible: visibleColumns,
+                starts: columnXStart,
+                isHidden: columnHidden,
+                visibility: columnVisibility,
+                groups: columnGroups,
+                lineStart: (x) => cellToAbsCoordinate(x, 0).x,
+                lineSize: cellWidth,
+                point: (across, along) => ({ x: along, y: across }),
+                markerAcross: columnHeaderHeight - 6,
+                levelsAlong: (rowGutterWidth + rowHeaderWidth) * 0.5,
+            },
+        ];
+
+        for (const { axis, visible, starts, isHidden, visibility, groups, lineStart, lineSize, point, ...at } of axes) {
+            const keys = outlineKeys(axis);
+
+            // a marker sits at the start of a shown line after a run of hidden ones
+            visible.forEach((line, i) => {
+                const previous = i > 0 ? visible[i - 1] : -1;
+                let explicit = false;
+                for (let j = previous + 1; j < line; j++) {
+                    if (!isHidden(j)) {
+                        return;
+                    }
+                    explicit = explicit || visibility.isExplicitlyHidden(j);
+                }
+                if (explicit) {
+                    const hidden = unhideLines(props[keys.hidden] || [], previous + 1, line - 1);
+                    const onClick = () => applyChanges([{ [keys.hidden]: hidden }]);
+                    buttons.push({ marker: axis, ...point(at.markerAcross, starts[i]), onClick });
+                }
+            });
+
+            // the +/- of a group sits on the line after it, the bracket runs along the group
+            const levels = groupLevels(groups);
+            groups.forEach((group, i) => {
+                const toggled = groups.map((g) => (g === group ? { ...g, collapsed: !g.collapsed } : g));
+                const end = lineStart(group.end + 1);
+                buttons.push({
+                    group: axis,
+                    ...point((levels[i] - 0.5) * outlineStep, end + lineSize(group.end + 1) * 0.5),
+                    label: group.collapsed ? '+' : '-',
+                    line: group.collapsed ? null : { start: lineStart(group.start), end },
+                    onClick: () => setGroups(axis, toggled),
+                });
+            });
+
+            for (let level = 1; groups.length > 0 && level <= outlineDepth(groups) + 1; level++) {
+                const onClick = () => setGroups(axis, showLevel(groups, level));
+                buttons.push({ ...point((level - 0.5) * outlineStep, at.levelsAlong), label: String(level), onClick });
+            }
+        }
+        return buttons;
+    };
+
+    // group buttons scrolled under the headers are not shown
+    const buttonShown = (button) =>
+        !button.group || (button.group === 'rows' ? button.y >= columnHeaderHeight : button.x >= rowHeaderWidth);
+
+    // the header button at canvas point x, y, or null
+    const headerButtonAt = (x, y) => {
+        const near = (button) =>
+            Math.abs(button.x - x) <= outlineStep * 0.5 && Math.abs(button.y - y) <= outlineStep * 0.5;
+        return headerButtons().find((button) => buttonShown(button) && near(button)) || null;
+    };
+
+    // whether canvas point x, y is on the outline of the selected range, where dragging moves it
+    const onSelectionBorder = (x, y) => {
+        if (selection.x1 === -1 || selection.y1 === -1 || otherRanges.length > 0 || editMode) {
+            return false;
+        }
+        if (x < rowHeaderWidth || y < columnHeaderHeight) {
+            return false;
+        }
+        const range = normalizeRange(selection.x1, selection.y1, selection.x2, selection.y2);
+        const a = cellToAbsCoordinate(range.x1, range.y1);
+        const b = cellToAbsCoordinate(range.x2 + 1, range.y2 + 1);
+        const near = (value, edge) => Math.abs(value - edge) <= moveBorderThreshold;
+        const alongX = x >= a.x - moveBorderThreshold && x <= b.x + moveBorderThreshold;
+        const alongY = y >= a.y - moveBorderThreshold && y <= b.y + moveBorderThreshold;
+        return (alongY && (near(x, a.x) || near(x, b.x))) || (alongX && (near(y, a.y) || near(y, b.y)));
+    };
+
+    // marching ants: the dashes around cut cells move until they are pasted
+    useEffect(() => {
+        if (!cutArea) {
+            return;
+        }
+        const timer = setInterval(() => setAntsOffset((offset) => (offset + 1) % 8), 100);
+        return () => {
+            clearInterval(timer);
+        };
+    }, [cutArea]);
+
     const knobCoordinates = useMemo(() => {
         if (selection.x2 !== -1 && selection.y2 !== -1) {
             let selx2 = selection.x2;
@@ -416,7 +1299,19 @@ function Sheet(props) {
             yCoord += cellHeight(y);
         }
         return hitM;
-    }, [displayData, props.cellWidth, props.cellHeight, dataOffset.x, dataOffset.y]);
+    }, [
+        displayData,
+        props.cellWidth,
+        props.cellHeight,
+        props.filter,
+        props.hiddenRows,
+        props.hiddenColumns,
+        props.rowGroups,
+        props.columnGroups,
+        dataOffset.x,
+        dataOffset.y,
+        formulaVersion,
+    ]);
 
     useEffect(() => {
         const canvas = canvasRef.current;
@@ -432,7 +1327,7 @@ function Sheet(props) {
             for (const y of visibleRows) {
                 let xCoord1 = rowHeaderWidth;
                 for (const x of visibleColumns) {
-                    const style = cellStyle(x, y);
+                    const style = mergeIndex.find(x, y) ? {} : cellStyle(x, y);
                     if (style.fillColor) {
                         context.fillStyle = style.fillColor;
                         context.fillRect(xCoord1, yCoord1, cellWidth(x), cellHeight(y));
@@ -489,10 +1384,43 @@ function Sheet(props) {
                 hideKnob = true;
             }
 
+            // the other blocks of a multi-selection, as screen rectangles
+            const otherRects = otherRanges.map((range) => {
+                const a = cellToAbsCoordinate(range.x1, range.y1);
+                const b = cellToAbsCoordinate(range.x2, range.y2);
+                return { x: a.x, y: a.y, w: b.x + cellWidth(range.x2) - a.x, h: b.y + cellHeight(range.y2) - a.y };
+            });
+
             // selection fill
             if (selectionActive) {
                 context.fillStyle = selBackColor;
                 context.fillRect(p1.x, p1.y, p2.x - p1.x, p2.y - p1.y);
+                for (const rect of otherRects) {
+                    context.fillRect(rect.x, rect.y, rect.w, rect.h);
+                }
+            }
+
+            // the active cell of a range stays white
+            if (
+                selectionActive &&
+                rangeSelected &&
+                visibleRows.includes(activeCell.y) &&
+                visibleColumns.includes(activeCell.x)
+            ) {
+                const p = cellToAbsCoordinate(activeCell.x, activeCell.y);
+                const style = cellStyle(activeCell.x, activeCell.y);
+                context.fillStyle = style.fillColor || 'white';
+                context.fillRect(p.x, p.y, cellWidth(activeCell.x), cellHeight(activeCell.y));
+            }
+
+            // find matches, the one at the active cell stronger
+            for (const match of foundCells) {
+                if (visibleRows.includes(match.y) && visibleColumns.includes(match.x)) {
+                    const p = cellToAbsCoordinate(match.x, match.y);
+                    const current = match.x === activeCell.x && match.y === activeCell.y;
+                    context.fillStyle = current ? '#fbbc04' : '#fce8b2';
+                    context.fillRect(p.x, p.y, cellWidth(match.x), cellHeight(match.y));
+                }
             }
 
             // row header background
@@ -502,7 +1430,10 @@ function Sheet(props) {
             // row header selection
             if (selectionActive) {
                 context.fillStyle = rowHeaderSelectedBackgroundColor;
-                context.fillRect(0, p1.y, rowHeaderWidth, p2.y - p1.y);
+                context.fillRect(rowGutterWidth, p1.y, rowHeaderWidth - rowGutterWidth, p2.y - p1.y);
+                for (const rect of otherRects) {
+                    context.fillRect(rowGutterWidth, rect.y, rowHeaderWidth - rowGutterWidth, rect.h);
+                }
             }
 
             // column header background
@@ -512,7 +1443,10 @@ function Sheet(props) {
             // column header selection
             if (selectionActive) {
                 context.fillStyle = columnHeaderSelectedBackgroundColor;
-                context.fillRect(p1.x, 0, p2.x - p1.x, columnHeaderHeight);
+                context.fillRect(p1.x, columnGutterHeight, p2.x - p1.x, columnHeaderHeight - columnGutterHeight);
+                for (const rect of otherRects) {
+                    context.fillRect(rect.x, columnGutterHeight, rect.w, columnHeaderHeight - columnGutterHeight);
+                }
             }
 
             // grid
@@ -537,6 +1471,20 @@ function Sheet(props) {
                 startY += cellHeight(row);
             }
 
+            // merged blocks: cover the grid lines inside them
+            const mergesInView = visibleMerges();
+            context.save();
+            context.beginPath();
+            context.rect(rowHeaderWidth, columnHeaderHeight, context.canvas.width, context.canvas.height);
+            context.clip();
+            for (const merge of mergesInView) {
+                const rect = mergeRect(merge);
+                const selected = selectionActive && selectedRanges().some((range) => rangesIntersect(merge, range));
+                context.fillStyle = selected ? selBackColor : cellStyle(merge.x1, merge.y1).fillColor || 'white';
+                context.fillRect(rect.x + 0.5, rect.y + 0.5, rect.w - 1, rect.h - 1);
+            }
+            context.restore();
+
             // row header text
             startY = columnHeaderHeight;
             context.textBaseline = 'middle';
@@ -544,7 +1492,7 @@ function Sheet(props) {
             context.font = defaultCellStyle.fontSize + 'px ' + defaultCellStyle.fontFamily;
             context.fillStyle = rowHeaderTextColor;
             for (const row of visibleRows) {
-                const xx = rowHeaderWidth * 0.5;
+                const xx = (rowGutterWidth + rowHeaderWidth) * 0.5;
                 const yy = startY + cellHeight(row) * 0.5;
                 const cellContent = row + 1;
                 context.fillText(cellContent, xx, yy);
@@ -557,7 +1505,7 @@ function Sheet(props) {
             context.textAlign = 'center';
             for (const col of visibleColumns) {
                 const xx = startX + cellWidth(col) * 0.5;
-                const yy = columnHeaderHeight * 0.5;
+                const yy = (columnGutterHeight + columnHeaderHeight) * 0.5;
                 const ch = columnHeaders(col);
                 let headerCellStyle = {};
                 let cellContent = null;
@@ -577,18 +1525,123 @@ function Sheet(props) {
                 context.font = headerCellStyle.weight + headerCellStyle.fontSize + 'px ' + headerCellStyle.fontFamily;
                 context.fillStyle = headerCellStyle.color;
                 if (cellContent === null || cellContent === undefined) {
-                    cellContent = col + 1;
+                    cellContent = columnToLetters(col);
                 }
                 context.fillText(cellContent, xx, yy);
                 startX += cellWidth(col);
             }
 
+            // outline gutters with the group brackets and buttons, and markers for hidden lines
+            context.fillStyle = rowHeaderBackgroundColor;
+            context.fillRect(0, 0, rowGutterWidth, context.canvas.height);
+            context.fillRect(0, 0, context.canvas.width, columnGutterHeight);
+            context.strokeStyle = gridColor;
+            context.lineWidth = 1;
+            context.beginPath();
+            if (rowGutterWidth > 0) {
+                context.moveTo(rowGutterWidth, 0);
+                context.lineTo(rowGutterWidth, context.canvas.height);
+            }
+            if (columnGutterHeight > 0) {
+                context.moveTo(0, columnGutterHeight);
+                context.lineTo(context.canvas.width, columnGutterHeight);
+            }
+            context.stroke();
+            const buttonSize = outlineStep - 4;
+            context.font = '10px ' + defaultCellStyle.fontFamily;
+            for (const button of headerButtons()) {
+                if (button.line) {
+                    context.save();
+                    context.beginPath();
+                    if (button.group === 'rows') {
+                        context.rect(0, columnHeaderHeight, rowGutterWidth, context.canvas.height);
+                    } else {
+                        context.rect(rowHeaderWidth, 0, context.canvas.width, columnGutterHeight);
+                    }
+                    context.clip();
+                    context.strokeStyle = rowHeaderTextColor;
+                    context.beginPath();
+                    if (button.group === 'rows') {
+                        context.moveTo(button.x + buttonSize * 0.5, button.line.start + 1.5);
+                        context.lineTo(button.x + 0.5, button.line.start + 1.5);
+                        context.lineTo(button.x + 0.5, button.y - buttonSize * 0.5);
+                    } else {
+                        context.moveTo(button.line.start + 1.5, button.y + buttonSize * 0.5);
+                        context.lineTo(button.line.start + 1.5, button.y + 0.5);
+                        context.lineTo(button.x - buttonSize * 0.5, button.y + 0.5);
+                    }
+                    context.stroke();
+                    context.restore();
+                }
+                if (!buttonShown(button)) {
+                    continue;
+                }
+                context.fillStyle = rowHeaderTextColor;
+                if (button.marker) {
+                    // two small arrows pointing away from where the lines are hidden
+                    const [dx, dy] = button.marker === 'rows' ? [0, 1] : [1, 0];
+                    for (const side of [-1, 1]) {
+                        const tipX = button.x + side * dx * 6;
+                        const tipY = button.y + side * dy * 6;
+                        const baseX = button.x + side * dx * 2;
+                        const baseY = button.y + side * dy * 2;
+                        context.beginPath();
+                        context.moveTo(tipX, tipY);
+                        context.lineTo(baseX + dy * 4, baseY + dx * 4);
+                        context.lineTo(baseX - dy * 4, baseY - dx * 4);
+                        context.closePath();
+                        context.fill();
+                    }
+                    continue;
+                }
+                const left = Math.round(button.x - buttonSize * 0.5) + 0.5;
+                const top = Math.round(button.y - buttonSize * 0.5) + 0.5;
+                context.fillStyle = 'white';
+                context.fillRect(left, top, buttonSize, buttonSize);
+                context.strokeStyle = rowHeaderTextColor;
+                context.strokeRect(left, top, buttonSize, buttonSize);
+                context.fillStyle = rowHeaderTextColor;
+                context.textAlign = 'center';
+                context.textBaseline = 'middle';
+                context.fillText(button.label, button.x, button.y + 1);
+            }
+
             // selection outline
             if (selectionActive) {
                 context.strokeStyle = selBorderColor;
                 context.lineWidth = 1;
                 context.beginPath();
                 context.rect(p1.x, p1.y, p2.x - p1.x, p2.y - p1.y);
+                for (const rect of otherRects) {
+                    context.rect(rect.x, rect.y, rect.w, rect.h);
+                }
+                context.stroke();
+            }
+
+            // cut cells, with marching ants
+            if (cutArea) {
+                const a = cellToAbsCoordinate(cutArea.range.x1, cutArea.range.y1);
+                const b = cellToAbsCoordinate(cutArea.range.x2 + 1, cutArea.range.y2 + 1);
+                context.strokeStyle = selBorderColor;
+                context.lineWidth = 2;
+                context.setLineDash([4, 4]);
+                context.lineDashOffset = -antsOffset;
+                context.beginPath();
+                context.rect(a.x, a.y, b.x - a.x, b.y - a.y);
+                context.stroke();
+                context.setLineDash([]);
+                context.lineDashOffset = 0;
+            }
+
+            // where cells dragged by the selection outline go
+            if (moveDrag) {
+                const { range, target } = moveDrag;
+                const a = cellToAbsCoordinate(target.x, target.y);
+                const b = cellToAbsCoordinate(target.x + range.x2 - range.x1 + 1, target.y + range.y2 - range.y1 + 1);
+                context.strokeStyle = knobAreaBorderColor;
+                context.lineWidth = 2;
+                context.beginPath();
+                context.rect(a.x, a.y, b.x - a.x, b.y - a.y);
                 context.stroke();
             }
 
@@ -627,40 +1680,206 @@ function Sheet(props) {
             // content
             context.textBaseline = 'middle';
 
+            const isEmptyCell = (x, y) => {
+                const content = displayData(x, y);
+                return (content === null || content === undefined || content === '') && !mergeIndex.find(x, y);
+            };
+
+            // room for overflowing text: the adjacent empty cells on the side(s) the text runs to
+            const overflowSpace = (index, y, textAlign) => {
+                const space = { left: 0, right: 0 };
+                if (textAlign !== 'right') {
+                    for (let i = index + 1; i < visibleColumns.length; i++) {
+                        if (visibleColumns[i] !== visibleColumns[i - 1] + 1 || !isEmptyCell(visibleColumns[i], y)) {
+                            break;
+                        }
+                        space.right += cellWidth(visibleColumns[i]);
+                    }
+                }
+                if (textAlign === 'right' || textAlign === 'center') {
+                    for (let i = index - 1; i >= 0; i--) {
+                        if (visibleColumns[i] !== visibleColumns[i + 1] - 1 || !isEmptyCell(visibleColumns[i], y)) {
+                            break;
+                        }
+                        space.left += cellWidth(visibleColumns[i]);
+                    }
+                }
+                if (textAlign === 'center') {
+                    // centered text spills evenly on both sides
+                    space.left = space.right = Math.min(space.left, space.right);
+                }
+                return space;
+            };
+
             // draw content
+            const wrappedRowHeights = new Map();
             let yCoord = columnHeaderHeight;
             for (const y of visibleRows) {
                 let xCoord = rowHeaderWidth;
                 const ch = cellHeight(y);
-                for (const x of visibleColumns) {
-                    const cellContent = displayData(x, y);
+                visibleColumns.forEach((x, index) => {
                     const cw = cellWidth(x);
+                    const cellContent = mergeIndex.find(x, y) ? null : displayData(x, y);
                     if (cellContent !== null && cellContent !== undefined) {
                         const style = cellStyle(x, y);
-                        drawCell(context, cellContent, style, defaultCellStyle, xCoord, yCoord, cw, ch);
+                        const content = formattedContent(x, y, style);
+                        const neededHeight = drawCell(
+                            context,
+                            content,
+                            style,
+                            defaultCellStyle,
+                            xCoord,
+                            yCoord,
+                            cw,
+                            ch,
+                            () => overflowSpace(index, y, style.textAlign)
+                        );
+                        if (neededHeight !== null) {
+                            wrappedRowHeights.set(y, Math.max(neededHeight, wrappedRowHeights.get(y) || 0));
+                        }
                     }
                     xCoord += cw;
-                }
+                });
                 yCoord += ch;
             }
-        });
 
-        return () => {
-            window.cancelAnimationFrame(animationFrameId);
-        };
-    }, [
-        props.displayData,
-        dataOffset.x,
-        dataOffset.y,
-        selection,
-        knobDragInProgress,
-        knobArea,
-        canvasWidth,
-        canvasHeight,
-        columnResize,
-        cellWidth,
-        cellHeight,
-    ]);
+            // rows with wrapped text grow to fit it, and go back once nothing in them wraps;
+            // the third argument tells the host the height was not set by the user. Rows the host
+            // sized itself keep their height: those off the default that were not fitted here or,
+            // by the host's autoRowHeight(row), before.
+            if (props.onCellHeightChange) {
+                for (const y of visibleRows) {
+                    const fitted = autoSizedRows.has(y) || (props.autoRowHeight && props.autoRowHeight(y));
+                    if (!fitted && baseCellHeight(y) !== minimumRowHeight) {
+                        continue;
+                    }
+                    let height = null;
+                    if (wrappedRowHeights.has(y)) {
+                        height = Math.max(wrappedRowHeights.get(y), minimumRowHeight);
+                        autoSizedRows.add(y);
+                    } else if (fitted) {
+                        height = minimumRowHeight;
+                        autoSizedRows.delete(y);
+                    }
+                    if (height !== null && height !== cellHeight(y)) {
+                        props.onCellHeightChange(y, height, true);
+                    }
+                }
+            }
+
+            // merged blocks draw their top-left cell's content centered across the block
+            for (const merge of mergesInView) {
+                const cellContent = displayData(merge.x1, merge.y1);
+                if (cellContent === null || cellContent === undefined) {
+                    continue;
+                }
+                const rect = mergeRect(merge);
+                const style = cellStyle(merge.x1, merge.y1);
+                style.textAlign = style.textAlign || 'center';
+                const content = formattedContent(merge.x1, merge.y1, style);
+                context.save();
+                context.beginPath();
+                context.rect(rowHeaderWidth, columnHeaderHeight, context.canvas.width, context.canvas.height);
+                context.clip();
+                drawCell(context, content, style, defaultCellStyle, rect.x, rect.y, rect.w, rect.h);
+                context.restore();
+            }
+
+            // data validation: list cells get a dropdown chevron, values breaking their rule a red corner
+            if (props.dataValidations && props.dataValidations.length > 0) {
+                context.save();
+                context.beginPath();
+                context.rect(rowHeaderWidth, columnHeaderHeight, context.canvas.width, context.canvas.height);
+                context.clip();
+                for (const y of visibleRows) {
+                    for (const x of visibleColumns) {
+                        const merge = mergeIndex.find(x, y);
+                        const rule = validator.ruleAt(x, y);
+                        if (!rule || (merge && (merge.x1 !== x || merge.y1 !== y))) {
+                            continue;
+                        }
+                        const rect = merge
+                            ? mergeRect(merge)
+                            : { ...cellToAbsCoordinate(x, y), w: cellWidth(x), h: cellHeight(y) };
+                        if (rule.type === 'list') {
+                            const cx = rect.x + rect.w - chevronWidth * 0.5;
+                            const cy = rect.y + rect.h * 0.5;
+                            context.fillStyle = '#5f6368';
+                            context.beginPath();
+                            context.moveTo(cx - 4, cy - 2);
+                            context.lineTo(cx + 4, cy - 2);
+                            context.lineTo(cx, cy + 3);
+                            context.fill();
+                        }
+                        if (validator.isInvalid(x, y)) {
+                            context.fillStyle = '#d93025';
+                            context.beginPath();
+                            context.moveTo(rect.x + rect.w - 7, rect.y + 1);
+                            context.lineTo(rect.x + rect.w - 1, rect.y + 1);
+                            context.lineTo(rect.x + rect.w - 1, rect.y + 7);
+                            context.fill();
+                        }
+                    }
+                }
+                context.restore();
+            }
+
+            // filter: a funnel button on each header cell, green where the column is filtered
+            if (rowFilter && visibleRows.includes(rowFilter.range.y1)) {
+                const { range } = rowFilter;
+                context.save();
+                context.beginPath();
+                context.rect(rowHeaderWidth, columnHeaderHeight, context.canvas.width, context.canvas.height);
+                context.clip();
+                for (const x of visibleColumns) {
+                    if (x < range.x1 || x > range.x2) {
+                        continue;
+                    }
+                    const p = cellToAbsCoordinate(x, range.y1);
+                    const cx = p.x + cellWidth(x) - filterButtonWidth * 0.5;
+                    const cy = p.y + cellHeight(range.y1) * 0.5;
+                    context.fillStyle = 'white';
+                    context.fillRect(
+                        cx - filterButtonWidth * 0.5 + 1,
+                        p.y + 1,
+                        filterButtonWidth - 2,
+                        cellHeight(range.y1) - 2
+                    );
+                    context.fillStyle = rowFilter.isActive(x) ? '#188038' : '#5f6368';
+                    context.beginPath();
+                    context.moveTo(cx - 5, cy - 4);
+                    context.lineTo(cx + 5, cy - 4);
+                    context.lineTo(cx + 1, cy);
+                    context.lineTo(cx + 1, cy + 5);
+                    context.lineTo(cx - 1, cy + 4);
+                    context.lineTo(cx - 1, cy);
+                    context.fill();
+                }
+                context.restore();
+            }
+        });
+
+        return () => {
+            window.cancelAnimationFrame(animationFrameId);
+        };
+    }, [
+        props.displayData,
+        formulaVersion,
+        dataOffset.x,
+        dataOffset.y,
+        selection,
+        rangeCursor,
+        knobDragInProgress,
+        knobArea,
+        moveDrag,
+        cutArea,
+        antsOffset,
+        canvasWidth,
+        canvasHeight,
+        columnResize,
+        cellWidth,
+        cellHeight,
+    ]);
 
     const setFocusToTextArea = () => {
         if (copyPasteTextAreaRef.current) {
@@ -690,192 +1909,245 @@ function Sheet(props) {
         }
     });
 
-    const onPaste = (e) => {
-        if (!copyPasteTextAreaRef) {
-            return;
-        }
-        if (e.target !== copyPasteTextAreaRef.current) {
-            return;
+    // The block to paste from what the clipboard holds: a block copied from a Sheet, else the one
+    // this Sheet copied last while the clipboard still has its text (the private type can get lost,
+    // e.g. with Ctrl+Shift+V), else an HTML table or tab separated text
+    const clipboardBlock = (json, html, text) => {
+        const block = json ? parseBlockJson(json) : null;
+        if (block) {
+            return block;
         }
-        e.preventDefault();
-
-        const clipboardData = e.clipboardData || window.clipboardData;
-
-        const types = clipboardData.types;
-        if (types.includes('text/html')) {
-            const pastedHtml = clipboardData.getData('text/html');
-            parsePastedHtml(pastedHtml);
-        } else if (types.includes('text/plain')) {
-            const text = clipboardData.getData('text/plain');
-            parsePastedText(text);
+        if (lastCopied.current && text === blockToText(lastCopied.current)) {
+            return lastCopied.current;
         }
+        return (html && htmlToBlock(html)) || (text ? textToBlock(text) : null);
     };
 
-    useEffect(() => {
-        window.document.addEventListener('paste', onPaste);
-        return () => {
-            window.document.removeEventListener('paste', onPaste);
-        };
-    });
-
-    const findTable = (element) => {
-        for (const child of element.children) {
-            if (child.nodeName === 'TABLE') {
-                return child;
-            }
-            const maybeTable = findTable(child);
-            if (maybeTable) {
-                return maybeTable;
+    // pasting what was cut moves it, the cut cells only clear now
+    const pasteFromClipboard = (block) => {
+        if (cutArea && block.cut === cutArea.id) {
+            moveCells(cutArea.range, Math.min(selection.x1, selection.x2), Math.min(selection.y1, selection.y2));
+            setCutArea(null);
+        } else {
+            pasteBlock(block);
+            if (block.cut && props.onCutPaste) {
+                props.onCutPaste(block.cut);
             }
         }
     };
 
-    const parsePastedHtml = (html) => {
-        const div = document.createElement('div');
-        div.innerHTML = html.trim();
-        let pasteLocX = -1;
-        let pasteLocY = -1;
-        if (selection.x1 !== -1 && selection.x2 === -1) {
-            pasteLocX = selection.x1;
-        }
-        if (selection.y1 !== -1 && selection.y2 === -1) {
-            pasteLocY = selection.y1;
-        }
-        if (selection.x1 !== -1 && selection.x2 !== -1) {
-            pasteLocX = Math.min(selection.x1, selection.x2);
-        }
-        if (selection.y1 !== -1 && selection.y2 !== -1) {
-            pasteLocY = Math.min(selection.y1, selection.y2);
+    const onPaste = (e) => {
+        if (!copyPasteTextAreaRef) {
+            return;
         }
-        if (pasteLocX === -1 || pasteLocY === -1) {
+        if (e.target !== copyPasteTextAreaRef.current) {
             return;
         }
+        e.preventDefault();
 
-        let x = pasteLocX;
-        let y = pasteLocY;
-        const changes = [];
-
-        const tableNode = findTable(div);
-        if (!tableNode) {
+        const clipboardData = e.clipboardData || window.clipboardData;
+        const types = clipboardData.types;
+        const block = clipboardBlock(
+            types.includes(clipboardJsonType) ? clipboardData.getData(clipboardJsonType) : null,
+            types.includes('text/html') ? clipboardData.getData('text/html') : null,
+            types.includes('text/plain') ? clipboardData.getData('text/plain') : null
+        );
+        if (!block) {
             return;
         }
+        // Ctrl+Shift+V asks how to paste first
+        if (pasteSpecialRequested.current) {
+            pasteSpecialRequested.current = false;
+            setPasteSpecial({ block });
+        } else {
+            pasteFromClipboard(block);
+        }
+    };
 
-        for (const tableChild of tableNode.children) {
-            if (tableChild.nodeName === 'TBODY') {
-                for (const tr of tableChild.children) {
-                    x = pasteLocX;
-                    if (tr.nodeName === 'TR') {
-                        for (const td of tr.children) {
-                            if (td.nodeName === 'TD') {
-                                changes.push({ y: y, x: x, value: td.innerHTML });
-                                x++;
-                            }
-                        }
-                        y++;
+    // The context menu gets no paste event, so it reads the clipboard itself (the browser may ask the
+    // user first, and does not give out the private type); special opens the paste special panel
+    const pasteFromMenu = async (special) => {
+        let html = null;
+        let text = null;
+        try {
+            if (navigator.clipboard.read) {
+                for (const item of await navigator.clipboard.read()) {
+                    if (item.types.includes('text/html')) {
+                        html = await (await item.getType('text/html')).text();
+                    }
+                    if (item.types.includes('text/plain')) {
+                        text = await (await item.getType('text/plain')).text();
                     }
                 }
+            } else {
+                text = await navigator.clipboard.readText();
             }
+        } catch {
+            return; // reading the clipboard was not allowed
         }
-
-        if (props.onChange) {
-            props.onChange(changes);
+        const block = clipboardBlock(null, html, text);
+        if (!block) {
+            return;
+        }
+        if (special) {
+            setPasteSpecial({ block });
+        } else {
+            pasteFromClipboard(block);
         }
-        let pasteX2 = x - 1;
-        let pasteY2 = y - 1;
-        changeSelection(pasteLocX, pasteLocY, pasteX2, pasteY2, false);
     };
 
-    const parsePastedText = (text) => {
-        let pasteLocX = -1;
-        let pasteLocY = -1;
-        if (selection.x1 !== -1 && selection.x2 === -1) {
-            pasteLocX = selection.x1;
-        }
-        if (selection.y1 !== -1 && selection.y2 === -1) {
-            pasteLocY = selection.y1;
+    // copy puts the selection on the clipboard as text, an HTML table and a block for pasting back
+    // into a Sheet (see clipboard.js)
+    // Cut does the same with a single range, which then waits with marching ants to be moved
+    // where it is pasted.
+    const onCopy = (e) => {
+        if (e.target !== copyPasteTextAreaRef.current || selection.x1 === -1 || selection.y1 === -1) {
+            return;
         }
-        if (selection.x1 !== -1 && selection.x2 !== -1) {
-            pasteLocX = Math.min(selection.x1, selection.x2);
+        e.preventDefault();
+        const block = copiedBlock(selectedRanges(), e.type === 'copy' && copyVisibleOnly.current);
+        copyVisibleOnly.current = false;
+        if (e.type === 'cut' && otherRanges.length === 0) {
+            block.cut = String(Date.now());
+            setCutArea({
+                range: normalizeRange(selection.x1, selection.y1, selection.x2, selection.y2),
+                id: block.cut,
+            });
+        } else {
+            setCutArea(null);
         }
-        if (selection.y1 !== -1 && selection.y2 !== -1) {
-            pasteLocY = Math.min(selection.y1, selection.y2);
+        lastCopied.current = block;
+        e.clipboardData.setData('text/plain', blockToText(block));
+        e.clipboardData.setData('text/html', blockToHtml(block));
+        e.clipboardData.setData(clipboardJsonType, blockToJson(block));
+    };
+
+    useEffect(() => {
+        window.document.addEventListener('paste', onPaste);
+        window.document.addEventListener('copy', onCopy);
+        window.document.addEventListener('cut', onCopy);
+        return () => {
+            window.document.removeEventListener('paste', onPaste);
+            window.document.removeEventListener('copy', onCopy);
+            window.document.removeEventListener('cut', onCopy);
+        };
+    });
+
+    // Pastes a block (see clipboard.js) into the selection, or at cell at, the way options (paste
+    // special) say: by default as it was, with formulas shifted to where they land. A selection that
+    // is an exact multiple of the block's size gets it repeated across.
+    const pasteBlock = (block, options = defaultPasteOptions, at = null) => {
+        if (!at && (selection.x1 === -1 || selection.y1 === -1)) {
+            return;
         }
-        if (pasteLocX === -1 || pasteLocY === -1) {
+        const range = at
+            ? { x1: at.x, y1: at.y, x2: at.x, y2: at.y }
+            : normalizeRange(selection.x1, selection.y1, selection.x2, selection.y2);
+        const pasted = pasteChanges(block, range, options, sourceData);
+        if (pasted.changes.length === 0) {
             return;
         }
+        applyChanges([...unmergeChanges(pasted.range), ...pasted.changes]);
+        changeSelection(pasted.range.x1, pasted.range.y1, pasted.range.x2, pasted.range.y2, false);
+    };
 
-        const rows = text.split(/\r?\n/);
-        let pasteX2 = pasteLocX;
-        let pasteY2 = pasteLocY + rows.length - 1;
-        const changes = [];
-        for (let y = 0; y < rows.length; y++) {
-            const cols = rows[y].split('\t');
-
-            if (pasteLocX + cols.length - 1 > pasteX2) {
-                pasteX2 = pasteLocX + cols.length - 1;
+    // Ranges (the selection) as a clipboard block (see clipboard.js). Several ranges copy as one block
+    // of the rows and columns they cover, with the cells between them left empty. visibleOnly leaves
+    // out hidden rows and columns.
+    const copiedBlock = (ranges = selectedRanges(), visibleOnly = false) => {
+        const rowsCovered = new Set();
+        const columnsCovered = new Set();
+        forEachCellInRanges(ranges, (x, y) => {
+            if (visibleOnly && (rowHidden(y) || columnHidden(x))) {
+                return;
             }
-            for (let x = 0; x < cols.length; x++) {
-                changes.push({ y: pasteLocY + y, x: pasteLocX + x, value: cols[x] });
+            rowsCovered.add(y);
+            columnsCovered.add(x);
+        });
+        const columns = [...columnsCovered].sort((a, b) => a - b);
+        const rows = [...rowsCovered].sort((a, b) => a - b);
+
+        const cells = rows.map((y) =>
+            columns.map((x) => {
+                if (!ranges.some((range) => rangeContains(range, x, y))) {
+                    return null;
+                }
+                const shownStyle = { ...cellStyle(x, y) };
+                const content = formattedContent(x, y, shownStyle);
+                const style = props.cellStyle ? baseCellStyle(x, y) : null;
+                const value = rawValue(x, y);
+                return {
+                    input: editData(x, y) ?? null,
+                    value: ['number', 'string', 'boolean'].includes(typeof value) ? value : null,
+                    text: Array.isArray(content) || content === null || content === undefined ? '' : String(content),
+                    style: style && Object.keys(style).length > 0 ? style : null,
+                    format: cellFormat(x, y),
+                    shownStyle,
+                };
+            })
+        );
+
+        // merged blocks whose rows and columns were all copied, in block positions
+        const merges = [];
+        for (const merge of mergeIndex.list) {
+            const x1 = columns.indexOf(merge.x1);
+            const y1 = rows.indexOf(merge.y1);
+            const x2 = columns.indexOf(merge.x2);
+            const y2 = rows.indexOf(merge.y2);
+            if (
+                x1 !== -1 &&
+                y1 !== -1 &&
+                x2 - x1 === merge.x2 - merge.x1 &&
+                y2 - y1 === merge.y2 - merge.y1 &&
+                ranges.some((range) => rangeContains(range, merge.x1, merge.y1))
+            ) {
+                merges.push({ x1, y1, x2, y2 });
             }
         }
 
-        if (props.onChange) {
-            props.onChange(changes);
-        }
-        changeSelection(pasteLocX, pasteLocY, pasteX2, pasteY2, false);
+        return {
+            columns,
+            rows,
+            cells,
+            merges,
+            columnWidths: columns.map((x) => baseCellWidth(x)),
+            rowHeights: rows.map((y) => baseCellHeight(y)),
+        };
     };
 
+    // The textarea only needs some selected text for copy and cut to fire; onCopy builds the
+    // block that goes to the clipboard
     const setCopyPasteText = () => {
         if (selection.x1 === -1 || selection.y1 === -1 || selection.x2 === -1 || selection.y2 === -1) {
             return;
         }
-
-        let dy1 = selection.y1;
-        let dy2 = selection.y2;
-        if (dy1 > dy2) {
-            dy1 = selection.y2;
-            dy2 = selection.y1;
-        }
-
-        let dx1 = selection.x1;
-        let dx2 = selection.x2;
-        if (dx1 > dx2) {
-            dx1 = selection.x2;
-            dx2 = selection.x1;
-        }
-
-        const rows = [];
-        for (let y = dy1; y <= dy2; y++) {
-            const row = [];
-            for (let x = dx1; x <= dx2; x++) {
-                const value = editData(x, y);
-                if (value !== null && value !== undefined) {
-                    row.push(value);
-                } else {
-                    row.push('');
-                }
-            }
-            rows.push(row.join('\t'));
-        }
-        const cptext = rows.join('\n');
         if (copyPasteTextAreaRef.current) {
-            copyPasteTextAreaRef.current.value = cptext;
+            copyPasteTextAreaRef.current.value = ' ';
         }
     };
 
-    const commitEditingCell = () => {
-        if (props.onChange) {
-            props.onChange([{ x: editCell.x, y: editCell.y, value: editValue }]);
+    // Returns false when validation rejects the value; editing then goes on
+    const commitEditingCell = (value = editValue) => {
+        const problem = validator.validateInput(editCell.x, editCell.y, value);
+        setValidationNotice(problem && { x: editCell.x, y: editCell.y, ...problem });
+        if (problem && problem.reject) {
+            return false;
         }
+        applyChanges([{ x: editCell.x, y: editCell.y, value }]);
 
         setEditCell({ x: -1, y: -1 });
+        return true;
     };
 
-    const startEditingCell = (editCell) => {
+    // caretAtEnd (F2) leaves the text unselected with the caret after it
+    const startEditingCell = (editCell, caretAtEnd = false) => {
+        editCell = mergeIndex.anchor(editCell.x, editCell.y);
         if (cellReadOnly(editCell.x, editCell.y)) {
             return;
         }
 
+        setValidationNotice(null);
+        setEditCaretAtEnd(caretAtEnd);
         const editDataValue = editData(editCell.x, editCell.y);
         let val = '';
         if (editDataValue !== null && editDataValue !== undefined) {
@@ -893,6 +2165,9 @@ function Sheet(props) {
         const cellY = Math.floor(absY / scrollSpeed);
         if (cellX !== dataOffset.x || cellY !== dataOffset.y) {
             setDataOffset({ x: cellX, y: cellY });
+            if (props.onScrollChange) {
+                props.onScrollChange(cellX, cellY);
+            }
         }
 
         let newMaxScroll = { ...maxScroll };
@@ -911,7 +2186,14 @@ function Sheet(props) {
         window.document.body.style.cursor = 'auto';
     };
 
+    // Index of the visible row / column whose far edge (ends, as laid out) is at canvas position
+    // along the header, which a drag there resizes, or -1. Hidden lines have no edge of their own:
+    // the edge at a hidden run belongs to the shown line before it.
+    const resizeEdge = (position, ends) =>
+        ends.findIndex((end) => Math.abs(end - position) < resizeColumnRowMouseThreshold);
+
     const onMouseDown = (e) => {
+        setContextMenu(null);
         if (e.button !== 0) {
             return;
         }
@@ -923,6 +2205,15 @@ function Sheet(props) {
             return;
         }
 
+        const headerButton = headerButtonAt(x, y);
+        if (headerButton) {
+            headerButton.onClick();
+            return;
+        }
+        if (x < rowGutterWidth || y < columnGutterHeight) {
+            return;
+        }
+
         const hitTargetKeyX = Math.floor(x / xBinSize);
         const hitTargetKeyY = Math.floor(y / yBinSize);
 
@@ -940,35 +2231,25 @@ function Sheet(props) {
             }
         }
 
-        if (y < columnHeaderHeight) {
-            let xx = rowHeaderWidth;
-            for (const col of visibleColumns) {
-                if (Math.abs(xx - x) < resizeColumnRowMouseThreshold) {
-                    window.document.body.style.cursor = 'col-resize';
-                    setColumnResize({
-                        startX: xx,
-                        oldWidth: cellWidth(col - 1),
-                        colIdx: col - 1,
-                    });
-                    return;
-                }
-                xx += cellWidth(col);
-            }
+        const columnEdge = y < columnHeaderHeight ? resizeEdge(x, columnXEnd) : -1;
+        if (columnEdge !== -1) {
+            window.document.body.style.cursor = 'col-resize';
+            setColumnResize({
+                startX: columnXEnd[columnEdge],
+                oldWidth: cellWidth(visibleColumns[columnEdge]),
+                colIdx: visibleColumns[columnEdge],
+            });
+            return;
         }
-        if (x < rowHeaderWidth) {
-            let yy = columnHeaderHeight;
-            for (const row of visibleRows) {
-                if (Math.abs(yy - y) < resizeColumnRowMouseThreshold) {
-                    window.document.body.style.cursor = 'row-resize';
-                    setRowResize({
-                        startY: yy,
-                        oldHeight: cellHeight(row - 1),
-                        rowIdx: row - 1,
-                    });
-                    return;
-                }
-                yy += cellHeight(row);
-            }
+        const rowEdge = x < rowHeaderWidth ? resizeEdge(y, rowYEnd) : -1;
+        if (rowEdge !== -1) {
+            window.document.body.style.cursor = 'row-resize';
+            setRowResize({
+                startY: rowYEnd[rowEdge],
+                oldHeight: cellHeight(visibleRows[rowEdge]),
+                rowIdx: visibleRows[rowEdge],
+            });
+            return;
         }
 
         // knob drag mode
@@ -978,12 +2259,35 @@ function Sheet(props) {
             return;
         }
 
+        // dragging the selection outline moves the cells; grab is where in the range it was taken
+        if (onSelectionBorder(x, y)) {
+            const range = normalizeRange(selection.x1, selection.y1, selection.x2, selection.y2);
+            const cell = absCoordianteToCell(x, y);
+            const grab = {
+                x: Math.min(Math.max(cell.x, range.x1), range.x2) - range.x1,
+                y: Math.min(Math.max(cell.y, range.y1), range.y2) - range.y1,
+            };
+            setMoveDrag({ range, grab, target: { x: range.x1, y: range.y1 } });
+            return;
+        }
+
         const sel2 = absCoordianteToCell(x, y);
         const sel1 = shiftKeyDown ? { x: selection.x1, y: selection.y1 } : { ...sel2 };
 
-        if (editMode) {
-            commitEditingCell();
+        // a click on a filter button opens the filter panel of its column
+        setFilterPanel(null);
+        if (rowFilter && x > rowHeaderWidth && y > columnHeaderHeight && rowFilter.isHeader(sel2.x, sel2.y)) {
+            const p = cellToAbsCoordinate(sel2.x, sel2.y);
+            if (x > p.x + cellWidth(sel2.x) - filterButtonWidth) {
+                setFilterPanel({ x: sel2.x });
+                return;
+            }
+        }
+
+        if (editMode && !commitEditingCell()) {
+            return;
         }
+        setValidationNotice(null);
 
         let scrollToP2 = true;
 
@@ -1003,9 +2307,27 @@ function Sheet(props) {
             setColumnSelectionInProgress(false);
         }
 
+        // Ctrl / Cmd-click starts another block and keeps the ones selected so far
+        let others = shiftKeyDown ? otherRanges : [];
+        if ((e.ctrlKey || e.metaKey) && !shiftKeyDown && selection.x1 !== -1) {
+            others = [...otherRanges, normalizeRange(selection.x1, selection.y1, selection.x2, selection.y2)];
+        }
+
         setSelectionInProgress(true);
-        changeSelection(sel1.x, sel1.y, sel2.x, sel2.y, scrollToP2);
+        changeSelection(sel1.x, sel1.y, sel2.x, sel2.y, scrollToP2, others);
         setEditCell({ x: -1, y: -1 });
+
+        // a click on the chevron of a list cell opens its picker
+        const anchor = mergeIndex.anchor(sel2.x, sel2.y);
+        if (!shiftKeyDown && x > rowHeaderWidth && y > columnHeaderHeight && listRule(anchor.x, anchor.y)) {
+            const merge = mergeIndex.find(anchor.x, anchor.y);
+            const p = cellToAbsCoordinate(anchor.x, anchor.y);
+            const right = merge ? p.x + mergeRect(merge).w : p.x + cellWidth(anchor.x);
+            if (x > right - chevronWidth) {
+                setArrowKeyCommitMode(false);
+                startEditingCell(anchor);
+            }
+        }
     };
 
     const onMouseUp = (e) => {
@@ -1041,6 +2363,8 @@ function Sheet(props) {
             let fy2 = ky2;
 
             const changes = [];
+            // holding Ctrl / Alt while dragging copies instead of extending the series
+            const copy = e.ctrlKey || e.altKey;
 
             if (fx2 - fx1 === sx2 - sx1) {
                 // vertical
@@ -1050,15 +2374,14 @@ function Sheet(props) {
                     fy2 = sy1 - 1;
                 }
 
-                let srcY = sy1;
-                for (let y = fy1; y <= fy2; y++) {
-                    for (let x = fx1; x <= fx2; x++) {
-                        const value = sourceData(x, srcY);
-                        changes.push({ x: x, y: y, value: value });
+                for (let x = fx1; x <= fx2; x++) {
+                    const sources = [];
+                    for (let y = sy1; y <= sy2; y++) {
+                        sources.push(sourceData(x, y));
                     }
-                    srcY = srcY + 1;
-                    if (srcY > sy2) {
-                        srcY = sy1;
+                    const fill = createFillSeries(sources, { vertical: true, copy });
+                    for (let y = fy1; y <= fy2; y++) {
+                        changes.push({ x: x, y: y, value: fill(y - sy1) });
                     }
                 }
             } else {
@@ -1068,25 +2391,35 @@ function Sheet(props) {
                 } else {
                     fx2 = sx1 - 1;
                 }
-                let srcX = sx1;
-                for (let x = fx1; x <= fx2; x++) {
-                    for (let y = fy1; y <= fy2; y++) {
-                        const value = sourceData(srcX, y);
-                        changes.push({ x: x, y: y, value: value });
+                for (let y = fy1; y <= fy2; y++) {
+                    const sources = [];
+                    for (let x = sx1; x <= sx2; x++) {
+                        sources.push(sourceData(x, y));
                     }
-                    srcX = srcX + 1;
-                    if (srcX > sx2) {
-                        srcX = sx1;
+                    const fill = createFillSeries(sources, { vertical: false, copy });
+                    for (let x = fx1; x <= fx2; x++) {
+                        changes.push({ x: x, y: y, value: fill(x - sx1) });
                     }
                 }
             }
 
-            if (props.onChange) {
-                props.onChange(changes);
-            }
+            changes.push(...unmergeChanges({ x1: fx1, y1: fy1, x2: fx2, y2: fy2 }));
+            applyChanges(changes);
 
             changeSelection(knobArea.x1, knobArea.y1, knobArea.x2, knobArea.y2);
         }
+        // dropping dragged cells moves them, with Ctrl / Cmd held copies them
+        if (moveDrag) {
+            const { range, target } = moveDrag;
+            if (target.x !== range.x1 || target.y !== range.y1) {
+                if (e.ctrlKey || e.metaKey) {
+                    pasteBlock(copiedBlock([range]), defaultPasteOptions, target);
+                } else {
+                    moveCells(range, target.x, target.y);
+                }
+            }
+            setMoveDrag(null);
+        }
         setSelectionInProgress(false);
         setRowSelectionInProgress(false);
         setColumnSelectionInProgress(false);
@@ -1145,32 +2478,36 @@ function Sheet(props) {
             }
         }
 
-        if (props.onCellWidthChange && y < columnHeaderHeight) {
-            let xx = rowHeaderWidth;
-            for (const col of visibleColumns) {
-                if (Math.abs(xx - x) < resizeColumnRowMouseThreshold) {
-                    window.document.body.style.cursor = 'col-resize';
-                    break;
-                }
-                xx += cellWidth(col);
-            }
+        if (props.onCellWidthChange && y < columnHeaderHeight && resizeEdge(x, columnXEnd) !== -1) {
+            window.document.body.style.cursor = 'col-resize';
         }
 
-        if (props.onCellHeightChange && x < rowHeaderWidth) {
-            let yy = columnHeaderHeight;
-            for (const row of visibleRows) {
-                if (Math.abs(yy - y) < resizeColumnRowMouseThreshold) {
-                    window.document.body.style.cursor = 'row-resize';
-                    break;
-                }
-                yy += cellHeight(row);
-            }
+        if (props.onCellHeightChange && x < rowHeaderWidth && resizeEdge(y, rowYEnd) !== -1) {
+            window.document.body.style.cursor = 'row-resize';
+        }
+
+        if (headerButtonAt(x, y)) {
+            window.document.body.style.cursor = 'pointer';
+        }
+
+        if (onSelectionBorder(x, y)) {
+            window.document.body.style.cursor = 'move';
         }
 
         if (Math.abs(x - knobCoordinates.x) < knobSize && Math.abs(y - knobCoordinates.y) < knobSize) {
             window.document.body.style.cursor = 'crosshair';
         }
 
+        if (moveDrag) {
+            window.document.body.style.cursor = 'move';
+            const cell = absCoordianteToCell(x, y);
+            const target = { x: Math.max(0, cell.x - moveDrag.grab.x), y: Math.max(0, cell.y - moveDrag.grab.y) };
+            if (target.x !== moveDrag.target.x || target.y !== moveDrag.target.y) {
+                setMoveDrag({ ...moveDrag, target });
+            }
+            return;
+        }
+
         if (columnResize) {
             if (props.onCellWidthChange) {
                 const newWidth = Math.max(columnResize.oldWidth + x - columnResize.startX, minimumColumnWidth);
@@ -1182,6 +2519,8 @@ function Sheet(props) {
         if (rowResize) {
             if (props.onCellHeightChange) {
                 const newHeight = Math.max(rowResize.oldHeight + y - rowResize.startY, minimumRowHeight);
+                // the row's height is the user's from now on
+                autoSizedRows.delete(rowResize.rowIdx);
                 props.onCellHeightChange(rowResize.rowIdx, newHeight);
             }
             return;
@@ -1190,11 +2529,11 @@ function Sheet(props) {
         if (selectionInProgress) {
             const sel2 = absCoordianteToCell(x, y);
             if (rowSelectionInProgress) {
-                changeSelection(selection.x1, selection.y1, selection.x2, sel2.y, false);
+                changeSelection(selection.x1, selection.y1, selection.x2, sel2.y, false, otherRanges);
             } else if (columnSelectionInProgress) {
-                changeSelection(selection.x1, selection.y1, sel2.x, selection.y2, false);
+                changeSelection(selection.x1, selection.y1, sel2.x, selection.y2, false, otherRanges);
             } else {
-                changeSelection(selection.x1, selection.y1, sel2.x, sel2.y);
+                changeSelection(selection.x1, selection.y1, sel2.x, sel2.y, true, otherRanges);
             }
         }
 
@@ -1242,41 +2581,119 @@ function Sheet(props) {
         startEditingCell(editCell);
     };
 
+    // Selects the next (direction 1) or previous (-1) find match and scrolls to it
+    const goToMatch = (direction) => {
+        const index = nextMatchIndex(foundCells, selection.x1, selection.y1, direction);
+        if (index !== -1) {
+            const { x, y } = foundCells[index];
+            changeSelection(x, y, x, y, false);
+            scrollCellIntoView(x, y);
+        }
+    };
+
+    // The input of a found cell after replacing, or null when it stays: read-only cells and, when
+    // searching values, formula cells are left alone
+    const replacedInput = (x, y) => {
+        const input = editData(x, y);
+        if (input === null || input === undefined || cellReadOnly(x, y)) {
+            return null;
+        }
+        const text = String(input);
+        if (findQuery.searchIn !== 'formulas' && text[0] === '=') {
+            return null;
+        }
+        const replaced = findMatcher.replace(text);
+        return replaced === text ? null : replaced;
+    };
+
+    // replaces the match at the active cell, if it is one, and moves on to the next
+    const replaceMatch = () => {
+        if (foundCells.some((match) => match.x === selection.x1 && match.y === selection.y1)) {
+            const value = replacedInput(selection.x1, selection.y1);
+            if (value !== null) {
+                applyChanges([{ x: selection.x1, y: selection.y1, value }]);
+            }
+        }
+        goToMatch(1);
+    };
+
+    // replaces every match as one undo step
+    const replaceAllMatches = () => {
+        const changes = [];
+        for (const { x, y } of foundCells) {
+            const value = replacedInput(x, y);
+            if (value !== null) {
+                changes.push({ x, y, value });
+            }
+        }
+        if (changes.length > 0) {
+            applyChanges(changes);
+        }
+    };
+
+    // Stores value and leaves edit mode; a key from commitMoves then moves the selection on, or
+    // with a range selected Enter / Tab move to its next cell
+    const finishEditing = (value, key) => {
+        if (!commitEditingCell(value)) {
+            return;
+        }
+        if (rangeSelected && (key === 'Enter' || key === 'Tab')) {
+            cycleActiveCell(key === 'Tab', false);
+            return;
+        }
+        const move = commitMoves[key];
+        if (move) {
+            const next = stepCell(activeCell.x, activeCell.y, move.dx, move.dy);
+            changeSelection(next.x, next.y, next.x, next.y);
+        }
+    };
+
+    // Ctrl+D / Ctrl+R: the first row (column) of every selected range is copied down (right) over
+    // the rest with formulas shifted; a single row (column) is filled from the one above (left)
+    const fillSelection = (vertical) => {
+        const changes = [];
+        for (const range of selectedRanges()) {
+            const first = vertical ? range.y1 : range.x1;
+            const last = vertical ? range.y2 : range.x2;
+            const source = first === last ? first - 1 : first;
+            if (source < 0) {
+                continue;
+            }
+            const [from, to] = vertical ? [range.x1, range.x2] : [range.y1, range.y2];
+            for (let i = from; i <= to; i++) {
+                const value = vertical ? sourceData(i, source) : sourceData(source, i);
+                const fill = createFillSeries([value], { vertical, copy: true });
+                for (let j = source + 1; j <= last; j++) {
+                    const [x, y] = vertical ? [i, j] : [j, i];
+                    if (!cellReadOnly(x, y)) {
+                        changes.push({ x, y, value: fill(j - source) });
+                    }
+                }
+            }
+            changes.push(...unmergeChanges(vertical ? { ...range, y1: source + 1 } : { ...range, x1: source + 1 }));
+        }
+        if (changes.some((change) => change.x !== undefined)) {
+            applyChanges(changes);
+        }
+    };
+
+    // key handling shared by every editor, minus the keys the active editor consumes itself
     const onKeyDown = (e) => {
+        const { editor } = editorFor(editCell.x, editCell.y);
+        if (editor.consumedKeys.includes(keyChord(e))) {
+            return;
+        }
         if (e.key === 'Escape') {
             setEditCell({ x: -1, y: -1 });
             return;
         }
-        if (e.key === 'Enter') {
-            commitEditingCell();
-            changeSelection(selection.x1, selection.y1 + 1, selection.x1, selection.y1 + 1);
-        }
-        if (e.key === 'Tab') {
+        if (e.key === 'Enter' || e.key === 'Tab') {
             e.preventDefault();
-            commitEditingCell();
-            changeSelection(selection.x1 + 1, selection.y1, selection.x1 + 1, selection.y1);
+            finishEditing(editValue, e.key);
         }
         if (arrowKeyCommitMode && ['ArrowRight', 'ArrowLeft', 'ArrowUp', 'ArrowDown'].includes(e.key)) {
             e.preventDefault();
-            commitEditingCell();
-            let x1 = selection.x1;
-            let y1 = selection.y1;
-            let x2 = selection.x1;
-            let y2 = selection.y1;
-            if (e.key === 'ArrowRight') {
-                x1 = selection.x1 + 1;
-                x2 = selection.x1 + 1;
-            } else if (e.key === 'ArrowLeft') {
-                x1 = selection.x1 - 1;
-                x2 = selection.x1 - 1;
-            } else if (e.key === 'ArrowUp') {
-                y1 = selection.y1 - 1;
-                y2 = selection.y1 - 1;
-            } else if (e.key === 'ArrowDown') {
-                y1 = selection.y1 + 1;
-                y2 = selection.y1 + 1;
-            }
-            changeSelection(x1, y1, x2, y2);
+            finishEditing(editValue, e.key);
         }
     };
 
@@ -1292,35 +2709,55 @@ function Sheet(props) {
         }
 
         if ((e.metaKey || e.ctrlKey) && String.fromCharCode(e.which).toLowerCase() === 'v') {
+            pasteSpecialRequested.current = e.shiftKey;
             return;
         }
 
-        // copy
-        if ((e.metaKey || e.ctrlKey) && String.fromCharCode(e.which).toLowerCase() === 'c') {
+        // copy / cut
+        if ((e.metaKey || e.ctrlKey) && ['c', 'x'].includes(String.fromCharCode(e.which).toLowerCase())) {
             return;
         }
 
-        if (e.key === 'Backspace' || e.key === 'Delete') {
-            let x1 = selection.x1;
-            let y1 = selection.y1;
-            let x2 = selection.x2;
-            let y2 = selection.y2;
-            if (x1 > x2) {
-                x1 = selection.x2;
-                x2 = selection.x1;
-            }
-            if (y1 > y2) {
-                y1 = selection.y2;
-                y2 = selection.y1;
+        if (e.key === 'Escape' && contextMenu) {
+            setContextMenu(null);
+            return;
+        }
+        if (e.key === 'Escape' && cutArea) {
+            setCutArea(null);
+            return;
+        }
+
+        // find / replace
+        if ((e.metaKey || e.ctrlKey) && ['f', 'h'].includes(String.fromCharCode(e.which).toLowerCase())) {
+            e.preventDefault();
+            setFindQuery(findQuery || defaultFindQuery);
+            return;
+        }
+
+        // undo / redo
+        if ((e.metaKey || e.ctrlKey) && String.fromCharCode(e.which).toLowerCase() === 'z') {
+            e.preventDefault();
+            if (e.shiftKey) {
+                redo();
+            } else {
+                undo();
             }
+            return;
+        }
+        if ((e.metaKey || e.ctrlKey) && String.fromCharCode(e.which).toLowerCase() === 'y') {
+            e.preventDefault();
+            redo();
+            return;
+        }
+
+        // clears the values of every selected range only, merged blocks stay merged
+        if (e.key === 'Backspace' || e.key === 'Delete') {
             const changes = [];
-            for (let y = y1; y <= y2; y++) {
-                for (let x = x1; x <= x2; x++) {
-                    changes.push({ x: x, y: y, value: null });
-                }
-            }
-            if (props.onChange) {
-                props.onChange(changes);
+            forEachCellInRanges(selectedRanges(), (x, y) => {
+                changes.push({ x: x, y: y, value: null });
+            });
+            if (changes.length > 0) {
+                applyChanges(changes);
             }
             return;
         }
@@ -1330,48 +2767,144 @@ function Sheet(props) {
             return;
         }
 
-        if (
-            (e.keyCode >= 48 && e.keyCode <= 57) ||
-            (e.keyCode >= 96 && e.keyCode <= 105) ||
-            (e.keyCode >= 65 && e.keyCode <= 90) ||
-            e.key === 'Enter' ||
-            e.key === '-' ||
-            e.key === '.' ||
-            e.key === ','
-        ) {
-            if (cellReadOnly(selection.x1, selection.y1)) {
-                e.preventDefault(); // so we dont get keystrokes inside the text area
-                return;
+        const ctrl = e.metaKey || e.ctrlKey;
+        const range = normalizeRange(selection.x1, selection.y1, selection.x2, selection.y2);
+        const sheetEnd = {
+            x: Math.max(dataExtent.x, visibleColumns[visibleColumns.length - 1]),
+            y: Math.max(dataExtent.y, visibleRows[visibleRows.length - 1]),
+        };
+
+        // Ctrl+Arrow jumps to the edge of the data region, Ctrl+Shift+Arrow extends the selection to it
+        const direction = arrowDirections[e.key];
+        if (ctrl && direction) {
+            e.preventDefault();
+            const from = e.shiftKey ? { x: selection.x2, y: selection.y2 } : activeCell;
+            const limit = { x: Math.max(dataExtent.x, from.x), y: Math.max(dataExtent.y, from.y) };
+            const { dx, dy } = direction;
+            const to = jumpTarget(cellFilled, from.x, from.y, dx, dy, limit, rowHidden, columnHidden);
+            if (e.shiftKey) {
+                selectAndReveal(selection.x1, selection.y1, to.x, to.y);
+            } else {
+                selectAndReveal(to.x, to.y, to.x, to.y);
             }
+            return;
+        }
 
-            startEditingCell({ x: selection.x1, y: selection.y1 });
-            setArrowKeyCommitMode(e.key !== 'Enter');
+        // Home / End go to the first column / the last used column of the row, with Ctrl to A1 / the
+        // last used cell of the sheet; Shift extends the selection
+        if (e.key === 'Home' || e.key === 'End') {
+            e.preventDefault();
+            const row = e.shiftKey ? selection.y2 : activeCell.y;
+            let lastColumn = dataExtent.x;
+            while (!ctrl && lastColumn > 0 && !cellFilled(lastColumn, row)) {
+                lastColumn--;
+            }
+            const to =
+                e.key === 'Home' ? { x: 0, y: ctrl ? 0 : row } : { x: lastColumn, y: ctrl ? dataExtent.y : row };
+            to.x = Math.max(to.x, 0);
+            to.y = Math.max(to.y, 0);
+            if (e.shiftKey) {
+                selectAndReveal(selection.x1, selection.y1, to.x, to.y);
+            } else {
+                selectAndReveal(to.x, to.y, to.x, to.y);
+            }
             return;
         }
 
-        if (['ArrowRight', 'ArrowLeft', 'ArrowUp', 'ArrowDown'].includes(e.key)) {
-            let sel1 = { x: selection.x1, y: selection.y1 };
-            let sel2 = { x: selection.x2, y: selection.y2 };
+        // PageUp / PageDown move by the number of scrolled rows on screen
+        if (e.key === 'PageUp' || e.key === 'PageDown') {
+            e.preventDefault();
+            const dy = e.key === 'PageUp' ? -1 : 1;
+            const pageRows = Math.max(1, visibleRows.filter((row) => row >= freezeRows).length - 1);
+            let to = e.shiftKey ? { x: selection.x2, y: selection.y2 } : activeCell;
+            for (let i = 0; i < pageRows; i++) {
+                to = stepCell(to.x, to.y, 0, dy);
+            }
+            if (e.shiftKey) {
+                selectAndReveal(selection.x1, selection.y1, to.x, to.y);
+            } else {
+                selectAndReveal(to.x, to.y, to.x, to.y);
+            }
+            return;
+        }
+
+        // Ctrl+A selects the data region around the active cell, once more the whole sheet
+        if (ctrl && String.fromCharCode(e.which).toLowerCase() === 'a') {
+            e.preventDefault();
+            const region = currentRegion(cellFilled, activeCell.x, activeCell.y);
+            const regionSelected =
+                otherRanges.length === 0 &&
+                region.x1 === range.x1 &&
+                region.y1 === range.y1 &&
+                region.x2 === range.x2 &&
+                region.y2 === range.y2;
+            if (regionSelected || (region.x1 === region.x2 && region.y1 === region.y2)) {
+                changeSelection(0, 0, sheetEnd.x, sheetEnd.y, false);
+            } else {
+                changeSelection(region.x1, region.y1, region.x2, region.y2, false);
+            }
+            return;
+        }
 
-            if (e.key === 'ArrowRight' || e.key === 'Tab') {
-                sel2.x += 1;
-            } else if (e.key === 'ArrowLeft') {
-                sel2.x -= 1;
-            } else if (e.key === 'ArrowUp') {
-                sel2.y -= 1;
-            } else if (e.key === 'ArrowDown') {
-                sel2.y += 1;
+        // Shift+Space selects the whole rows of the selection, Ctrl+Space the whole columns
+        if (e.key === ' ' && (e.shiftKey || ctrl)) {
+            e.preventDefault();
+            if (ctrl) {
+                changeSelection(range.x1, 0, range.x2, sheetEnd.y, false);
+            } else {
+                changeSelection(0, range.y1, sheetEnd.x, range.y2, false);
             }
-            if (sel2.x < 0) {
-                sel2.x = 0;
+            return;
+        }
+
+        // Ctrl+D / Ctrl+R fill down / right
+        if (ctrl && ['d', 'r'].includes(String.fromCharCode(e.which).toLowerCase())) {
+            e.preventDefault();
+            fillSelection(String.fromCharCode(e.which).toLowerCase() === 'd');
+            return;
+        }
+
+        // Enter / Tab move through a selected range; Tab on a single cell moves right (Shift: left)
+        if ((e.key === 'Enter' && rangeSelected) || e.key === 'Tab') {
+            e.preventDefault();
+            if (rangeSelected) {
+                cycleActiveCell(e.key === 'Tab', e.shiftKey);
+            } else {
+                const next = stepCell(activeCell.x, activeCell.y, e.shiftKey ? -1 : 1, 0);
+                changeSelection(next.x, next.y, next.x, next.y);
             }
-            if (sel2.y < 0) {
-                sel2.y = 0;
+            return;
+        }
+
+        // F2 edits the active cell keeping its text, caret at the end and arrow keys moving the caret
+        if (e.key === 'F2') {
+            e.preventDefault();
+            startEditingCell(activeCell, true);
+            setArrowKeyCommitMode(false);
+            return;
+        }
+
+        // Enter or any printable key starts editing the active cell
+        if (e.key === 'Enter' || (e.key.length === 1 && !ctrl && !e.altKey)) {
+            if (cellReadOnly(activeCell.x, activeCell.y)) {
+                e.preventDefault(); // so we dont get keystrokes inside the text area
+                return;
             }
+
+            startEditingCell(activeCell);
+            setArrowKeyCommitMode(e.key !== 'Enter');
+            return;
+        }
+
+        if (direction) {
+            const { dx, dy } = direction;
+            // without shift the active cell moves, jumping over merged blocks
+            let sel1 = activeCell;
+            let sel2 = e.shiftKey ? stepCell(selection.x2, selection.y2, dx, dy) : stepCell(sel1.x, sel1.y, dx, dy);
             if (!e.shiftKey) {
                 sel1 = { ...sel2 };
             }
-            changeSelection(sel1.x, sel1.y, sel2.x, sel2.y);
+            changeSelection(sel1.x, sel1.y, sel2.x, sel2.y, true, e.shiftKey ? otherRanges : []);
             return;
         }
         e.preventDefault();
@@ -1381,10 +2914,58 @@ function Sheet(props) {
         setShiftKeyDown(e.shiftKey);
     };
 
+    // cut, copy, paste and paste special from the menu, run as if typed
+    const clipboardMenuItems = [
+        { label: 'Cut', shortcut: 'Ctrl+X', onClick: () => clipboardCommand('cut') },
+        { label: 'Copy', shortcut: 'Ctrl+C', onClick: () => clipboardCommand('copy') },
+        {
+            label: 'Copy visible cells only',
+            onClick: () => {
+                copyVisibleOnly.current = true;
+                clipboardCommand('copy');
+            },
+        },
+        { label: 'Paste', shortcut: 'Ctrl+V', onClick: () => pasteFromMenu(false) },
+        { label: 'Paste special', shortcut: 'Ctrl+Shift+V', onClick: () => pasteFromMenu(true) },
+    ];
+
+    // Commands for the rows or columns the selection spans. The menu of a row or column header
+    // (axis) has them for that axis only, with hiding and grouping too.
+    const lineMenuItems = (axis) => {
+        const items = [];
+        const axes = [
+            ['rows', 'row', 'above', 'below'],
+            ['columns', 'column', 'left', 'right'],
+        ];
+        for (const [lineAxis, name, before, after] of axes) {
+            if (axis && axis !== lineAxis) {
+                continue;
+            }
+            const count = selection.x1 === -1 ? 1 : selectedLines(lineAxis).count;
+            const lines = count + ' ' + name + (count === 1 ? '' : 's');
+            items.push(
+                { label: 'Insert ' + lines + ' ' + before, onClick: () => insertLines(lineAxis, false) },
+                { label: 'Insert ' + lines + ' ' + after, onClick: () => insertLines(lineAxis, true) },
+                { label: 'Delete ' + lines, onClick: () => deleteLines(lineAxis) }
+            );
+            if (axis) {
+                items.push(
+                    { label: 'Hide ' + lines, onClick: () => hideSelectedLines(lineAxis, true) },
+                    { label: 'Unhide ' + name + 's', onClick: () => hideSelectedLines(lineAxis, false) },
+                    { label: 'Group ' + lines, onClick: () => groupSelectedLines(lineAxis, true) },
+                    { label: 'Ungroup ' + lines, onClick: () => groupSelectedLines(lineAxis, false) }
+                );
+            }
+        }
+        return items;
+    };
+
+    const clipboardCommand = (command) => {
+        setFocusToTextArea();
+        document.execCommand(command);
+    };
+
     const onContextMenu = (e) => {
-        if (!props.onRightClick) {
-            return;
-        }
         const rect = e.target.getBoundingClientRect();
         const x = e.clientX - rect.left;
         const y = e.clientY - rect.top;
@@ -1392,10 +2973,29 @@ function Sheet(props) {
         e.cellX = cell.x;
         e.cellY = cell.y;
 
-        if (y > columnHeaderHeight && x > rowHeaderWidth) {
+        const onRowHeader = x <= rowHeaderWidth;
+        const onColumnHeader = y <= columnHeaderHeight;
+        if ((onRowHeader || onColumnHeader) && (props.onRightClick || (onRowHeader && onColumnHeader))) {
+            return;
+        }
+        if (props.onRightClick) {
             onMouseMove(e);
             props.onRightClick(e);
+            return;
+        }
+        // Without a host menu the built-in one opens, for the selection when the click is in it. On a
+        // header it selects the whole row or column and offers only the commands for rows or columns.
+        e.preventDefault();
+        if (!selectedRanges().some((range) => rangeContains(range, cell.x, cell.y))) {
+            if (onRowHeader) {
+                changeSelection(0, cell.y, 100, cell.y, false);
+            } else if (onColumnHeader) {
+                changeSelection(cell.x, 0, cell.x, 100, false);
+            } else {
+                changeSelection(cell.x, cell.y, cell.x, cell.y, false);
+            }
         }
+        setContextMenu({ x, y, axis: onRowHeader ? 'rows' : onColumnHeader ? 'columns' : null });
     };
 
     const editMode = editCell.x !== -1 && editCell.y !== -1;
@@ -1412,8 +3012,21 @@ function Sheet(props) {
         editTextWidth = cellWidth(editCell.x) - 2;
         editTextHeight = cellHeight(editCell.y) - 2;
         editTextTextAlign = style.textAlign || defaultCellStyle.textAlign;
+        const merge = mergeIndex.find(editCell.x, editCell.y);
+        if (merge) {
+            const rect = mergeRect(merge);
+            editTextWidth = rect.w - 2;
+            editTextHeight = rect.h - 2;
+            editTextTextAlign = style.textAlign || 'center';
+        }
     }
 
+    const activeEditor = editMode ? editorFor(editCell.x, editCell.y) : null;
+    const EditorComponent = activeEditor && activeEditor.editor.component;
+    const noticePosition = validationNotice ? cellToAbsCoordinate(validationNotice.x, validationNotice.y) : null;
+    const filterPanelPosition =
+        filterPanel && rowFilter ? cellToAbsCoordinate(filterPanel.x, rowFilter.range.y1) : null;
+
     return (
         <div style={{ position: 'relative', height: '100%' }}>
             <canvas
@@ -1475,30 +3088,111 @@ function Sheet(props) {
             ></textarea>
 
             {editMode && (
-                <input
-                    type="text"
-                    onFocus={(e) => e.target.select()}
-                    autoFocus
-                    onKeyDown={onKeyDown}
+                <EditorComponent
                     value={editValue}
-                    onChange={(e) => setEditValue(e.target.value)}
+                    onChange={setEditValue}
+                    onCommit={finishEditing}
+                    onCancel={() => setEditCell({ x: -1, y: -1 })}
+                    onKeyDown={onKeyDown}
+                    options={activeEditor.options}
+                    caretAtEnd={editCaretAtEnd}
                     style={{
                         position: 'absolute',
                         top: editTextPosition.y,
                         left: editTextPosition.x,
                         width: editTextWidth,
                         height: editTextHeight,
-                        outline: 'none',
-                        border: 'none',
                         textAlign: editTextTextAlign,
-                        color: 'black',
                         fontSize: defaultCellStyle.fontSize,
                         fontFamily: 'sans-serif',
                     }}
                 />
             )}
+            {filterPanelPosition && (
+                <FilterPanel
+                    key={filterPanel.x}
+                    values={rowFilter.columnValues(filterPanel.x)}
+                    colors={rowFilter.columnColors(filterPanel.x)}
+                    criterion={rowFilter.criterion(filterPanel.x)}
+                    onApply={(criterion) => {
+                        if (props.onFilterChange) {
+                            props.onFilterChange(withCriterion(props.filter, filterPanel.x, criterion));
+                        }
+                        setFilterPanel(null);
+                    }}
+                    onClose={() => setFilterPanel(null)}
+                    style={{
+                        position: 'absolute',
+                        top: filterPanelPosition.y + cellHeight(rowFilter.range.y1),
+                        left: filterPanelPosition.x,
+                    }}
+                />
+            )}
+            {findQuery && (
+                <FindPanel
+                    query={findQuery}
+                    onQueryChange={setFindQuery}
+                    count={foundCells.length}
+                    position={foundCells.findIndex((match) => match.x === selection.x1 && match.y === selection.y1)}
+                    invalid={findQuery.text !== '' && !findMatcher}
+                    onNext={() => goToMatch(1)}
+                    onPrevious={() => goToMatch(-1)}
+                    onReplace={replaceMatch}
+                    onReplaceAll={replaceAllMatches}
+                    onClose={() => {
+                        setFindQuery(null);
+                        setFocusToTextArea();
+                    }}
+                    style={{ position: 'absolute', top: columnHeaderHeight + 4, right: 24 }}
+                />
+            )}
+            {pasteSpecial && (
+                <PasteSpecialPanel
+                    onPaste={(options) => {
+                        setPasteSpecial(null);
+                        pasteBlock(pasteSpecial.block, options);
+                        setFocusToTextArea();
+                    }}
+                    onClose={() => {
+                        setPasteSpecial(null);
+                        setFocusToTextArea();
+                    }}
+                    style={{ position: 'absolute', top: columnHeaderHeight + 4, right: 24 }}
+                />
+            )}
+            {contextMenu && (
+                <ContextMenu
+                    items={[...clipboardMenuItems, ...lineMenuItems(contextMenu.axis)]}
+                    onClose={() => setContextMenu(null)}
+                    style={{ position: 'absolute', top: contextMenu.y, left: contextMenu.x }}
+                />
+            )}
+            {validationNotice && (
+                <div
+                    role="alert"
+                    style={{
+                        position: 'absolute',
+                        top: noticePosition.y + cellHeight(validationNotice.y) + 2,
+                        left: noticePosition.x,
+                        maxWidth: 300,
+                        padding: '4px 8px',
+                        zIndex: 6,
+                        fontSize: 12,
+                        fontFamily: 'sans-serif',
+                        color: validationNotice.reject ? '#fff' : '#3c2a00',
+                        background: validationNotice.reject ? '#d93025' : '#fdd663',
+                        boxShadow: '0 1px 4px rgba(0, 0, 0, 0.3)',
+                        pointerEvents: 'none',
+                    }}
+                >
+                    {validationNotice.message}
+                </div>
+            )}
         </div>
     );
 }
 
-export default Sheet;
\ No newline at end of file
+// hosts can reach sortRange / sortSheet through a ref
+const SheetWithRef = forwardRef(Sheet);
+
+export default SheetWithRef;
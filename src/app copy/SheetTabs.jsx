@@ -0,0 +1,69 @@
+import { formatNumber } from './formula/values.js';
+
+const barStyle = {
+    display: 'flex',
+    alignItems: 'stretch',
+    gap: 2,
+    padding: '0 8px',
+    borderTop: '1px solid #ddd',
+    fontFamily: 'sans-serif',
+    fontSize: 13,
+    background: '#f8f9fa',
+};
+
+const tabStyle = {
+    padding: '4px 12px',
+    border: 'none',
+    borderBottom: '2px solid transparent',
+    background: 'none',
+    cursor: 'pointer',
+    font: 'inherit',
+};
+
+const activeTabStyle = {
+    ...tabStyle,
+    borderBottom: '2px solid #1a73e8',
+    background: '#fff',
+    color: '#1a73e8',
+};
+
+const summaryStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 12,
+    marginLeft: 'auto',
+    color: '#444',
+};
+
+// Worksheet tabs shown under the grid, with figures about the selected cells on the right
+function SheetTabs(props) {
+    const { model } = props;
+    const summary = model.selectionSummary();
+    return (
+        <div style={barStyle}>
+            <button style={tabStyle} title="Add sheet" onClick={model.addSheet}>
+                +
+            </button>
+            {model.sheets.map((sheet, index) => (
+                <button
+                    key={sheet.id}
+                    style={sheet === model.activeSheet ? activeTabStyle : tabStyle}
+                    onClick={() => model.selectSheet(index)}
+                >
+                    {sheet.name}
+                </button>
+            ))}
+            {summary.count > 1 && (
+                <div style={summaryStyle}>
+                    {summary.numbers > 0 && <span>Sum: {formatNumber(summary.sum)}</span>}
+                    {summary.numbers > 0 && <span>Average: {formatNumber(summary.average)}</span>}
+                    {summary.numbers > 0 && <span>Min: {formatNumber(summary.min)}</span>}
+                    {summary.numbers > 0 && <span>Max: {formatNumber(summary.max)}</span>}
+                    <span>Count: {summary.count}</span>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default SheetTabs;
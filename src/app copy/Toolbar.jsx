@@ -0,0 +1,416 @@
+import { useRef, useState } from 'react';
+import { lettersToColumn, parseRangeAddress } from './addressing.js';
+
+const barStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 8,
+    padding: '4px 8px',
+    borderBottom: '1px solid #ddd',
+    fontFamily: 'sans-serif',
+    fontSize: 13,
+    color: '#333',
+    background: '#f8f9fa',
+};
+
+const groupStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 4,
+    paddingRight: 8,
+    borderRight: '1px solid #ddd',
+};
+
+const reportStyle = {
+    padding: '4px 8px',
+    borderBottom: '1px solid #ddd',
+    fontFamily: 'sans-serif',
+    fontSize: 12,
+    color: '#7a4b00',
+    background: '#fff8e1',
+};
+
+const delimiters = {
+    auto: null,
+    comma: ',',
+    semicolon: ';',
+    tab: '\t',
+};
+
+// common display formats; cells can hold any other Excel-style format string too
+const formats = [
+    { label: 'General', format: '' },
+    { label: 'Number', format: '#,##0.00' },
+    { label: 'Currency', format: '$#,##0.00' },
+    { label: 'Accounting', format: '$#,##0.00;[Red]($#,##0.00)' },
+    { label: 'Percent', format: '0%' },
+    { label: 'Percent (0.00)', format: '0.00%' },
+    { label: 'Scientific', format: '0.00E+00' },
+    { label: 'Date', format: 'yyyy-mm-dd' },
+    { label: 'Date (long)', format: 'mmmm d, yyyy' },
+    { label: 'Time', format: 'h:mm AM/PM' },
+    { label: 'Date time', format: 'yyyy-mm-dd hh:mm' },
+    { label: 'Duration', format: '[h]:mm:ss' },
+];
+
+const highlightStyle = { fillColor: '#f4c7c3', color: '#9c0006' };
+
+// conditional formatting presets; ask() prompts for the parameter a preset needs
+const conditionalPresets = {
+    greaterThan: (ask) => {
+        const value = ask('Highlight cells greater than');
+        return value !== null && { type: 'cellIs', operator: 'greaterThan', values: [toOperand(value)] };
+    },
+    lessThan: (ask) => {
+        const value = ask('Highlight cells less than');
+        return value !== null && { type: 'cellIs', operator: 'lessThan', values: [toOperand(value)] };
+    },
+    containsText: (ask) => {
+        const text = ask('Highlight cells containing');
+        return text !== null && { type: 'containsText', text };
+    },
+    duplicateValues: () => ({ type: 'duplicateValues' }),
+    top10: () => ({ type: 'top10', rank: 10 }),
+    expression: (ask) => {
+        const formula = ask('Highlight cells where this formula is true, written for the top-left cell', '=A1>0');
+        return formula !== null && { type: 'expression', formula: formula[0] === '=' ? formula : '=' + formula };
+    },
+    colorScale: () => ({ type: 'colorScale', colors: ['#f8696b', '#ffeb84', '#63be7b'] }),
+    dataBar: () => ({ type: 'dataBar', color: '#638ec6' }),
+};
+
+function toOperand(text) {
+    return text.trim() !== '' && !isNaN(Number(text)) ? Number(text) : text;
+}
+
+// 'a, b' -> two operands
+function toOperands(text) {
+    return text.split(',').map((part) => toOperand(part.trim()));
+}
+
+// data validation presets, like the conditional formatting ones
+const validationPresets = {
+    list: (ask) => {
+        const values = ask('Allowed values, separated by commas');
+        return values !== null && { type: 'list', values: values.split(',').map((value) => value.trim()) };
+    },
+    listRange: (ask) => {
+        const address = ask('Range holding the allowed values', 'A1:A10');
+        const source = address !== null && parseRangeAddress(address);
+        return source && { type: 'list', source: { x1: source.x1, y1: source.y1, x2: source.x2, y2: source.y2 } };
+    },
+    number: (ask) => {
+        const bounds = ask('Numbers between (min, max)', '0, 100');
+        return bounds !== null && { type: 'number', operator: 'between', values: toOperands(bounds) };
+    },
+    integer: (ask) => {
+        const bounds = ask('Whole numbers between (min, max)', '1, 10');
+        return bounds !== null && { type: 'number', operator: 'between', values: toOperands(bounds), integer: true };
+    },
+    date: (ask) => {
+        const date = ask('Dates on or after', '2024-01-01');
+        return date !== null && { type: 'date', operator: 'greaterThanOrEqual', values: [date] };
+    },
+    textLength: (ask) => {
+        const length = ask('Text length at most', '10');
+        return length !== null && { type: 'textLength', operator: 'lessThanOrEqual', values: [toOperand(length)] };
+    },
+    regex: (ask) => {
+        const pattern = ask('Regular expression the text must match', '^[A-Z]{3}-\\d+$');
+        return pattern !== null && { type: 'regex', pattern };
+    },
+};
+
+// 'B desc, A' -> sort keys, null when the text is not a list of columns
+function toSortKeys(text) {
+    const keys = [];
+    for (const part of text.split(',')) {
+        const match = /^\s*([a-z]+)(?:\s+(asc|desc))?\s*$/i.exec(part);
+        if (!match) {
+            return null;
+        }
+        keys.push({ column: lettersToColumn(match[1]), descending: /desc/i.test(match[2] || '') });
+    }
+    return keys;
+}
+
+// Actions that work on the whole sheet model: file import / export and friends
+function Toolbar(props) {
+    const { model } = props;
+    const fileInputRef = useRef(null);
+    const [delimiter, setDelimiter] = useState('auto');
+    const [encoding, setEncoding] = useState('utf-8');
+    const [header, setHeader] = useState(false);
+    const [selectionOnly, setSelectionOnly] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [report, setReport] = useState(null);
+    const [validationWarns, setValidationWarns] = useState(false);
+    const activeFormat = model.activeFormat() || '';
+
+    const showReport = (title, entries) => {
+        setReport(entries.length > 0 ? { title, entries } : null);
+    };
+
+    const onConditionalPreset = (e) => {
+        const preset = e.target.value;
+        if (preset === 'clear') {
+            model.clearConditionalFormats();
+        } else if (conditionalPresets[preset]) {
+            const rule = conditionalPresets[preset]((message, value) => window.prompt(message, value));
+            if (rule) {
+                // scales and bars color the cells themselves
+                const styled = rule.type !== 'colorScale' && rule.type !== 'dataBar';
+                model.addConditionalFormat(styled ? { ...rule, style: highlightStyle } : rule);
+            }
+        }
+    };
+
+    const onValidationPreset = (e) => {
+        const preset = e.target.value;
+        if (preset === 'clear') {
+            model.clearDataValidations();
+        } else if (validationPresets[preset]) {
+            const rule = validationPresets[preset]((message, value) => window.prompt(message, value));
+            if (rule) {
+                model.addDataValidation({ ...rule, mode: validationWarns ? 'warning' : 'reject' });
+            }
+        }
+    };
+
+    // 'rangeAsc', 'sheetDesc', ... sort by the active column; 'rangeKeys' and 'sheetKeys' ask for the keys
+    const onSort = (e) => {
+        const [, scope, order] = /^(range|sheet)(Asc|Desc|Keys)$/.exec(e.target.value) || [];
+        if (!scope) {
+            return;
+        }
+        let keys = [{ column: Math.max(model.selection.x1, 0), descending: order === 'Desc' }];
+        if (order === 'Keys') {
+            const text = window.prompt('Sort by columns, first key first', 'A, B desc');
+            keys = text !== null && toSortKeys(text);
+            if (!keys) {
+                return;
+            }
+        }
+        try {
+            if (scope === 'range') {
+                model.sortRange(keys, { header: 'auto' });
+            } else {
+                model.sortSheet(keys, { header: 'auto' });
+            }
+        } catch (error) {
+            showReport('Could not sort:', [{ sheet: '', message: error.message, count: 1 }]);
+        }
+    };
+
+    // 'view:<name>' applies a saved filter view, 'save' and 'delete' manage them
+    const onFilterView = (e) => {
+        const choice = e.target.value;
+        if (choice === 'save') {
+            const name = window.prompt('Save the current filter as');
+            if (name) {
+                model.saveFilterView(name);
+            }
+        } else if (choice === 'delete') {
+            const name = window.prompt('Delete the filter view named', model.filterViewNames()[0] || '');
+            if (name) {
+                model.deleteFilterView(name);
+            }
+        } else if (choice.startsWith('view:')) {
+            model.applyFilterView(choice.slice(5));
+        }
+    };
+
+    const onFileChosen = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) {
+            return;
+        }
+        setBusy(true);
+        try {
+            if (/\.xlsx$/i.test(file.name)) {
+                showReport('Some parts of ' + file.name + ' could not be opened:', await model.importXlsx(file));
+            } else {
+                await model.importDelimited(file, { delimiter: delimiters[delimiter], encoding, header });
+            }
+        } catch (error) {
+            showReport('Could not open ' + file.name + ':', [{ sheet: '', message: error.message, count: 1 }]);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const exportFile = (tsv) => {
+        model.exportDelimited({
+            scope: selectionOnly ? 'selection' : 'sheet',
+            delimiter: tsv ? '\t' : delimiters[delimiter] || ',',
+            encoding,
+            fileName: tsv ? 'sheet.tsv' : 'sheet.csv',
+        });
+    };
+
+    return (
+        <div>
+            <div style={barStyle}>
+                <div style={groupStyle}>
+                    <button disabled={busy} onClick={() => fileInputRef.current.click()}>
+                        {busy ? 'Importing…' : 'Import'}
+                    </button>
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept=".csv,.tsv,.tab,.txt,.xlsx,text/csv,text/tab-separated-values"
+                        style={{ display: 'none' }}
+                        onChange={onFileChosen}
+                    />
+                    <button onClick={() => exportFile(false)}>Export CSV</button>
+                    <button onClick={() => exportFile(true)}>Export TSV</button>
+                    <button onClick={() => showReport('Not saved to workbook.xlsx:', model.exportXlsx())}>
+                        Export XLSX
+                    </button>
+                </div>
+                <div style={groupStyle}>
+                    <select
+                        title="Number format"
+                        value={activeFormat}
+                        onChange={(e) => model.setSelectionFormat(e.target.value || null)}
+                    >
+                        {formats.map(({ label, format }) => (
+                            <option key={label} value={format}>
+                                {label}
+                            </option>
+                        ))}
+                        {!formats.some(({ format }) => format === activeFormat) && (
+                            <option value={activeFormat}>{activeFormat}</option>
+                        )}
+                    </select>
+                </div>
+                <div style={groupStyle}>
+                    <select
+                        title="Text wrapping"
+                        value={model.activeStyle().wrap || 'overflow'}
+                        onChange={(e) => model.setSelectionStyle({ wrap: e.target.value })}
+                    >
+                        <option value="overflow">Overflow</option>
+                        <option value="clip">Clip</option>
+                        <option value="wrap">Wrap</option>
+                    </select>
+                    <button onClick={model.mergeSelection}>Merge</button>
+                    <button onClick={model.unmergeSelection}>Unmerge</button>
+                </div>
+                <div style={groupStyle}>
+                    <select title="Sort" value="" onChange={onSort}>
+                        <option value="" disabled>
+                            Sort
+                        </option>
+                        <option value="rangeAsc">Sort range A → Z</option>
+                        <option value="rangeDesc">Sort range Z → A</option>
+                        <option value="rangeKeys">Sort range by columns…</option>
+                        <option value="sheetAsc">Sort sheet A → Z</option>
+                        <option value="sheetDesc">Sort sheet Z → A</option>
+                        <option value="sheetKeys">Sort sheet by columns…</option>
+                    </select>
+                </div>
+                <div style={groupStyle}>
+                    <button onClick={model.toggleFilter}>{model.filter ? 'Remove filter' : 'Filter'}</button>
+                    <select title="Filter views" value="" onChange={onFilterView}>
+                        <option value="" disabled>
+                            Filter views
+                        </option>
+                        {model.filterViewNames().map((name) => (
+                            <option key={name} value={'view:' + name}>
+                                {name}
+                            </option>
+                        ))}
+                        <option value="save" disabled={!model.filter}>
+                            Save current filter as…
+                        </option>
+                        <option value="delete">Delete a view…</option>
+                    </select>
+                </div>
+                <div style={groupStyle}>
+                    <select title="Conditional formatting" value="" onChange={onConditionalPreset}>
+                        <option value="" disabled>
+                            Conditional formatting
+                        </option>
+                        <option value="greaterThan">Greater than…</option>
+                        <option value="lessThan">Less than…</option>
+                        <option value="containsText">Text contains…</option>
+                        <option value="duplicateValues">Duplicate values</option>
+                        <option value="top10">Top 10</option>
+                        <option value="expression">Custom formula…</option>
+                        <option value="colorScale">Color scale</option>
+                        <option value="dataBar">Data bars</option>
+                        <option value="clear">Clear rules in selection</option>
+                    </select>
+                </div>
+                <div style={groupStyle}>
+                    <select title="Data validation" value="" onChange={onValidationPreset}>
+                        <option value="" disabled>
+                            Data validation
+                        </option>
+                        <option value="list">List of values…</option>
+                        <option value="listRange">List from a range…</option>
+                        <option value="number">Number between…</option>
+                        <option value="integer">Whole number between…</option>
+                        <option value="date">Date on or after…</option>
+                        <option value="textLength">Text length at most…</option>
+                        <option value="regex">Matches a pattern…</option>
+                        <option value="clear">Clear validation in selection</option>
+                    </select>
+                    <label>
+                        <input
+                            type="checkbox"
+                            checked={validationWarns}
+                            onChange={(e) => setValidationWarns(e.target.checked)}
+                        />
+                        Warn only
+                    </label>
+                </div>
+                <div style={groupStyle}>
+                    <select value={delimiter} onChange={(e) => setDelimiter(e.target.value)}>
+                        <option value="auto">Delimiter: auto</option>
+                        <option value="comma">Comma</option>
+                        <option value="semicolon">Semicolon</option>
+                        <option value="tab">Tab</option>
+                    </select>
+                    <select value={encoding} onChange={(e) => setEncoding(e.target.value)}>
+                        <option value="utf-8">UTF-8</option>
+                        <option value="utf-16le">UTF-16LE</option>
+                    </select>
+                    <label>
+                        <input type="checkbox" checked={header} onChange={(e) => setHeader(e.target.checked)} />
+                        Header row
+                    </label>
+                    <label>
+                        <input
+                            type="checkbox"
+                            checked={selectionOnly}
+                            onChange={(e) => setSelectionOnly(e.target.checked)}
+                        />
+                        Selection only
+                    </label>
+                </div>
+            </div>
+            {report && (
+                <div style={reportStyle}>
+                    <button style={{ float: 'right' }} onClick={() => setReport(null)}>
+                        Dismiss
+                    </button>
+                    {report.title}
+                    <ul style={{ margin: '2px 0', paddingLeft: 20 }}>
+                        {report.entries.map((entry, index) => (
+                            <li key={index}>
+                                {(entry.sheet ? entry.sheet + ': ' : '') +
+                                    entry.message +
+                                    (entry.count > 1 ? ' (' + entry.count + ' cells)' : '')}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default Toolbar;
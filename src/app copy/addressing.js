@@ -0,0 +1,187 @@
+// A1-style addressing shared by the grid, the formula engine and the host APIs.
+// Cells are { x, y } and ranges { x1, y1, x2, y2 }, zero based, x being the column.
+// Whole-column and whole-row ranges use Infinity for their open end.
+const cellPattern = /^(\$?)([A-Za-z]{1,3})(\$?)([1-9]\d*)$/;
+const columnRangePattern = /^(\$?)([A-Za-z]{1,3}):(\$?)([A-Za-z]{1,3})$/;
+const rowRangePattern = /^(\$?)([1-9]\d*):(\$?)([1-9]\d*)$/;
+
+export function columnToLetters(column) {
+    let letters = '';
+    let n = column + 1;
+    while (n > 0) {
+        const rem = (n - 1) % 26;
+        letters = String.fromCharCode(65 + rem) + letters;
+        n = Math.floor((n - 1) / 26);
+    }
+    return letters;
+}
+
+export function lettersToColumn(letters) {
+    let column = 0;
+    for (const ch of letters.toUpperCase()) {
+        column = column * 26 + (ch.charCodeAt(0) - 64);
+    }
+    return column - 1;
+}
+
+export function normalizeRange(x1, y1, x2, y2) {
+    return {
+        x1: Math.min(x1, x2),
+        y1: Math.min(y1, y2),
+        x2: Math.max(x1, x2),
+        y2: Math.max(y1, y2),
+    };
+}
+
+export function rangeContains(range, x, y) {
+    return x >= range.x1 && x <= range.x2 && y >= range.y1 && y <= range.y2;
+}
+
+// Calls fn(x, y) once for every cell of a list of normalized ranges, also where they overlap
+export function forEachCellInRanges(ranges, fn) {
+    const seen = ranges.length > 1 ? new Set() : null;
+    for (const range of ranges) {
+        for (let y = range.y1; y <= range.y2; y++) {
+            for (let x = range.x1; x <= range.x2; x++) {
+                if (seen) {
+                    const key = x + ',' + y;
+                    if (seen.has(key)) {
+                        continue;
+                    }
+                    seen.add(key);
+                }
+                fn(x, y);
+            }
+        }
+    }
+}
+
+// Parses 'A1' or '$A$1' into { x, y, absX, absY }
+export function parseCellAddress(text) {
+    const match = cellPattern.exec(text.trim());
+    if (!match) {
+        return null;
+    }
+    return {
+        x: lettersToColumn(match[2]),
+        y: parseInt(match[4], 10) - 1,
+        absX: match[1] === '$',
+        absY: match[3] === '$',
+    };
+}
+
+export function formatCellAddress(x, y, absX = false, absY = false) {
+    return (absX ? '$' : '') + columnToLetters(x) + (absY ? '$' : '') + (y + 1);
+}
+
+// Parses 'A1:C20', 'A1', 'A:A' and '3:3' into { x1, y1, x2, y2 } plus the $ flags of both corners
+export function parseRangeAddress(text) {
+    const trimmed = text.trim();
+    const parts = trimmed.split(':');
+
+    if (parts.length === 1) {
+        const cell = parseCellAddress(trimmed);
+        if (!cell) {
+            return null;
+        }
+        return {
+            x1: cell.x,
+            y1: cell.y,
+            x2: cell.x,
+            y2: cell.y,
+            absX1: cell.absX,
+            absY1: cell.absY,
+            absX2: cell.absX,
+            absY2: cell.absY,
+        };
+    }
+    if (parts.length !== 2) {
+        return null;
+    }
+
+    const p1 = parseCellAddress(parts[0]);
+    const p2 = parseCellAddress(parts[1]);
+    if (p1 && p2) {
+        const flip = (a, b) => (a > b ? [b, a] : [a, b]);
+        const [c1, c2] = flip(p1.x, p2.x);
+        const [r1, r2] = flip(p1.y, p2.y);
+        return {
+            x1: c1,
+            y1: r1,
+            x2: c2,
+            y2: r2,
+            absX1: p1.x <= p2.x ? p1.absX : p2.absX,
+            absY1: p1.y <= p2.y ? p1.absY : p2.absY,
+            absX2: p1.x <= p2.x ? p2.absX : p1.absX,
+            absY2: p1.y <= p2.y ? p2.absY : p1.absY,
+        };
+    }
+
+    let match = columnRangePattern.exec(trimmed);
+    if (match) {
+        const c1 = lettersToColumn(match[2]);
+        const c2 = lettersToColumn(match[4]);
+        return {
+            x1: Math.min(c1, c2),
+            y1: 0,
+            x2: Math.max(c1, c2),
+            y2: Infinity,
+            absX1: match[1] === '$',
+            absY1: false,
+            absX2: match[3] === '$',
+            absY2: false,
+        };
+    }
+
+    match = rowRangePattern.exec(trimmed);
+    if (match) {
+        const r1 = parseInt(match[2], 10) - 1;
+        const r2 = parseInt(match[4], 10) - 1;
+        return {
+            x1: 0,
+            y1: Math.min(r1, r2),
+            x2: Infinity,
+            y2: Math.max(r1, r2),
+            absX1: false,
+            absY1: match[1] === '$',
+            absX2: false,
+            absY2: match[3] === '$',
+        };
+    }
+    return null;
+}
+
+export function isWholeColumn(range) {
+    return range.y1 === 0 && range.y2 === Infinity;
+}
+
+export function isWholeRow(range) {
+    return range.x1 === 0 && range.x2 === Infinity;
+}
+
+// Formats { x1, y1, x2, y2 } (with optional $ flags) back into 'A1:C20', 'A:A', '3:3' or 'A1'
+export function formatRangeAddress(range) {
+    const { x1, y1, x2, y2 } = range;
+    const dollar = (flag) => (flag ? '$' : '');
+    if (isWholeColumn(range)) {
+        return dollar(range.absX1) + columnToLetters(x1) + ':' + dollar(range.absX2) + columnToLetters(x2);
+    }
+    if (isWholeRow(range)) {
+        return dollar(range.absY1) + (y1 + 1) + ':' + dollar(range.absY2) + (y2 + 1);
+    }
+    const start = formatCellAddress(x1, y1, range.absX1, range.absY1);
+    if (x1 === x2 && y1 === y2) {
+        return start;
+    }
+    return start + ':' + formatCellAddress(x2, y2, range.absX2, range.absY2);
+}
+
+// Converts the selection shape used by Sheet (corners in any order, -1 for none) to an address
+export function selectionToAddress(selection) {
+    if (selection.x1 === -1 || selection.y1 === -1) {
+        return '';
+    }
+    const x2 = selection.x2 === -1 ? selection.x1 : selection.x2;
+    const y2 = selection.y2 === -1 ? selection.y1 : selection.y2;
+    return formatRangeAddress(normalizeRange(selection.x1, selection.y1, x2, y2));
+}
@@ -0,0 +1,433 @@
+import { parseDelimited, stringifyDelimited } from './delimited.js';
+import { escapeXml } from './xml.js';
+import { isFormulaText } from './formula/engine.js';
+import { shiftFormula } from './formula/rewrite.js';
+import { parseNumber } from './formula/values.js';
+
+// Copying puts a block of cells on the clipboard in three formats:
+//   text/plain          the texts the cells show, tab separated
+//   text/html           a <table> with the cells' looks, number formats, merges and column widths,
+//                       for documents, mail and other spreadsheets
+//   clipboardJsonType   what pasting back into a Sheet needs to restore the cells as they were
+// A block is
+//   { columns, rows, cells, merges, columnWidths, rowHeights }
+// where columns / rows are the sheet columns and rows copied, cells[row][column] is
+//   { input, value, text, style, format, shownStyle }
+// (null for cells between the ranges of a multi-selection) with input the typed text or formula,
+// value what it evaluates to, style the cell's own style and shownStyle the style as drawn, and
+// merges are given in row / column positions of the block. A block that was cut also has cut, an
+// id Sheet matches on paste to move the cells rather than copy them.
+// Blocks read from other applications have null columns / rows, so their formulas do not shift,
+// and cells without style / format keys, which leave the looks of the cells pasted over alone.
+export const clipboardJsonType = 'application/x-my-google-sheets+json';
+
+export function blockToText(block) {
+    const rows = block.cells.map((row) => row.map((cell) => (cell ? cell.text : '')));
+    return stringifyDelimited(rows, { delimiter: '\t', lineEnding: '\n' });
+}
+
+// inline CSS for a Sheet style ({ color, fontSize, fontFamily, weight, textAlign, fillColor, ... })
+export function styleToCss(style) {
+    const css = [];
+    if (style.fillColor || style.backgroundColor) {
+        css.push('background-color:' + (style.fillColor || style.backgroundColor));
+    }
+    if (style.color) {
+        css.push('color:' + style.color);
+    }
+    if (style.fontFamily) {
+        css.push('font-family:' + style.fontFamily);
+    }
+    if (style.fontSize) {
+        css.push('font-size:' + style.fontSize + 'px');
+    }
+    if (/bold|[6-9]00/.test(style.weight || '')) {
+        css.push('font-weight:bold');
+    }
+    if (/italic/.test(style.weight || '')) {
+        css.push('font-style:italic');
+    }
+    if (style.textAlign) {
+        css.push('text-align:' + style.textAlign);
+    }
+    css.push('white-space:' + (style.wrap === 'wrap' ? 'normal' : 'nowrap'));
+    return css.join(';');
+}
+
+export function blockToHtml(block) {
+    // cells under a merged block other than its top-left one are left out of the table
+    const spans = new Map();
+    const covered = new Set();
+    for (const merge of block.merges) {
+        spans.set(merge.y1 + ',' + merge.x1, merge);
+        for (let r = merge.y1; r <= merge.y2; r++) {
+            for (let c = merge.x1; c <= merge.x2; c++) {
+                if (r !== merge.y1 || c !== merge.x1) {
+                    covered.add(r + ',' + c);
+                }
+            }
+        }
+    }
+
+    let html = '<table style="border-collapse:collapse;table-layout:fixed"><colgroup>';
+    for (const width of block.columnWidths) {
+        html += '<col width="' + width + '" style="width:' + width + 'px">';
+    }
+    html += '</colgroup><tbody>';
+    block.cells.forEach((row, r) => {
+        html += '<tr style="height:' + block.rowHeights[r] + 'px">';
+        row.forEach((cell, c) => {
+            if (covered.has(r + ',' + c)) {
+                return;
+            }
+            const merge = spans.get(r + ',' + c);
+            let attributes = '';
+            if (merge && merge.x2 > merge.x1) {
+                attributes += ' colspan="' + (merge.x2 - merge.x1 + 1) + '"';
+            }
+            if (merge && merge.y2 > merge.y1) {
+                attributes += ' rowspan="' + (merge.y2 - merge.y1 + 1) + '"';
+            }
+            if (!cell) {
+                html += '<td' + attributes + '></td>';
+                return;
+            }
+            let css = styleToCss(cell.shownStyle);
+            if (cell.format) {
+                css += ";mso-number-format:'" + cell.format.replace(/'/g, "\\'") + "'";
+            }
+            const text = escapeXml(cell.text).replace(/\r?\n/g, '<br>');
+            html += '<td' + attributes + ' style="' + escapeXml(css) + '">' + text + '</td>';
+        });
+        html += '</tr>';
+    });
+    return html + '</tbody></table>';
+}
+
+export function blockToJson(block) {
+    const cells = block.cells.map((row) =>
+        row.map((cell) => cell && { input: cell.input, value: cell.value, style: cell.style, format: cell.format })
+    );
+    return JSON.stringify({ version: 1, ...block, cells });
+}
+
+// The block in clipboardJsonType text, or null when it is not one
+export function parseBlockJson(text) {
+    try {
+        const block = JSON.parse(text);
+        return block && block.version === 1 && Array.isArray(block.cells) ? block : null;
+    } catch {
+        return null;
+    }
+}
+
+const textCell = (text) => ({ input: text, value: text, text });
+
+// A block of tab separated text, quoted fields as written by blockToText
+export function textToBlock(text) {
+    const cells = parseDelimited(text, { delimiter: '\t' }).map((row) => row.map(textCell));
+    return { columns: null, rows: null, cells, merges: [] };
+}
+
+// CSS declarations of a style attribute or rule body as { property: value }
+function parseDeclarations(text) {
+    const declarations = {};
+    for (const part of text.split(';')) {
+        const colon = part.indexOf(':');
+        if (colon > 0) {
+            declarations[part.slice(0, colon).trim().toLowerCase()] = part
+                .slice(colon + 1)
+                .replace(/!important/i, '')
+                .trim();
+        }
+    }
+    return declarations;
+}
+
+// { className: declarations } of the class rules in the document's <style> elements; Excel and
+// LibreOffice style cells through classes like .xl65 rather than inline
+function classRules(doc) {
+    const rules = {};
+    for (const element of doc.querySelectorAll('style')) {
+        const css = element.textContent.replace(/\/\*[\s\S]*?\*\//g, '').replace(/<!--|-->/g, '');
+        for (const [, selectors, body] of css.matchAll(/([^{}]+)\{([^}]*)\}/g)) {
+            for (const selector of selectors.split(',')) {
+                const match = /^\s*(?:td|th|font|span)?\.([\w-]+)\s*$/i.exec(selector);
+                if (match) {
+                    rules[match[1]] = { ...rules[match[1]], ...parseDeclarations(body) };
+                }
+            }
+        }
+    }
+    return rules;
+}
+
+// colors that leave the default in place
+const noColor = /^(transparent|none|inherit|initial|auto|windowtext|currentcolor)$|^rgba\(.*,\s*0\s*\)$/;
+
+// Reads the CSS Sheet styles cover into look ({ bold, italic, color, fillColor, textAlign })
+function applyCss(look, declarations) {
+    const weight = declarations['font-weight'];
+    if (weight) {
+        look.bold = /bold/i.test(weight) || Number(weight) >= 600;
+    }
+    const fontStyle = declarations['font-style'];
+    if (fontStyle) {
+        look.italic = /italic|oblique/i.test(fontStyle);
+    }
+    const color = declarations.color;
+    if (color && !noColor.test(color.toLowerCase())) {
+        look.color = color;
+    }
+    const background =
+        declarations['background-color'] ||
+        (declarations.background && /^\S+$/.test(declarations.background) ? declarations.background : null);
+    if (background && !noColor.test(background.toLowerCase())) {
+        look.fillColor = background;
+    }
+    const align = (declarations['text-align'] || '').toLowerCase();
+    if (['left', 'center', 'right'].includes(align)) {
+        look.textAlign = align;
+    }
+}
+
+const looksOf = (element, rules, look) => {
+    for (const className of element.classList) {
+        applyCss(look, rules[className] || {});
+    }
+    applyCss(look, parseDeclarations(element.getAttribute('style') || ''));
+};
+
+// The Sheet style of a table cell: its row's and its own classes and inline CSS, the older
+// align / bgcolor attributes, and <b>, <i>, <font color> or styled elements around all its text.
+// Header cells are bold as browsers show them.
+function tableCellStyle(cell, rules) {
+    const look = { bold: cell.nodeName === 'TH' };
+    const row = cell.parentElement;
+    if (row.getAttribute('bgcolor')) {
+        look.fillColor = row.getAttribute('bgcolor');
+    }
+    looksOf(row, rules, look);
+    if (cell.getAttribute('bgcolor')) {
+        look.fillColor = cell.getAttribute('bgcolor');
+    }
+    applyCss(look, { 'text-align': cell.getAttribute('align') || '' });
+    looksOf(cell, rules, look);
+
+    const text = cell.textContent.trim();
+    for (const element of cell.querySelectorAll('*')) {
+        if (text === '' || element.textContent.trim() !== text) {
+            continue;
+        }
+        if (element.nodeName === 'B' || element.nodeName === 'STRONG') {
+            look.bold = true;
+        }
+        if (element.nodeName === 'I' || element.nodeName === 'EM') {
+            look.italic = true;
+        }
+        applyCss(look, { color: element.getAttribute('color') || '' });
+        looksOf(element, rules, look);
+    }
+
+    const style = {};
+    const weight = (look.italic ? 'italic ' : '') + (look.bold ? 'bold ' : '');
+    if (weight) {
+        style.weight = weight;
+    }
+    for (const key of ['color', 'fillColor', 'textAlign']) {
+        if (look[key]) {
+            style[key] = look[key];
+        }
+    }
+    return style;
+}
+
+const blockElements = new Set(['P', 'DIV', 'LI', 'UL', 'OL', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'PRE', 'TABLE']);
+
+// The text a table cell shows: entities decoded, runs of white space as one space, <br> and
+// block elements as line breaks
+function tableCellText(cell) {
+    let text = '';
+    const walk = (parent) => {
+        for (const child of parent.childNodes) {
+            if (child.nodeType === 3) {
+                text += child.data.replace(/\s+/g, ' ');
+            } else if (child.nodeName === 'BR') {
+                text += '\n';
+            } else if (child.nodeType === 1 && child.nodeName !== 'STYLE' && child.nodeName !== 'SCRIPT') {
+                const block = blockElements.has(child.nodeName);
+                if (block && text !== '' && !text.endsWith('\n')) {
+                    text += '\n';
+                }
+                walk(child);
+                if (block && !text.endsWith('\n')) {
+                    text += '\n';
+                }
+            }
+        }
+    };
+    walk(cell);
+    return text
+        .split('\n')
+        .map((line) => line.trim())
+        .join('\n')
+        .replace(/^\n+|\n+$/g, '');
+}
+
+// A block of the first <table> in html (from Excel, Google Sheets, LibreOffice or a web page), or
+// null when there is none. Header, body and footer rows all count; cells spanning several rows or
+// columns become merges, and the looks Sheet styles cover carry over.
+export function htmlToBlock(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const table = doc.querySelector('table');
+    if (!table) {
+        return null;
+    }
+    const rules = classRules(doc);
+    const rowCount = table.rows.length;
+    const grid = [];
+    const merges = [];
+    for (let r = 0; r < rowCount; r++) {
+        grid[r] = grid[r] || [];
+        let c = 0;
+        for (const cell of table.rows[r].cells) {
+            // skip the places taken by cells spanning down from rows above
+            while (grid[r][c] !== undefined) {
+                c++;
+            }
+            const colSpan = Math.max(1, cell.colSpan || 1);
+            const rowSpan = cell.rowSpan === 0 ? rowCount - r : Math.max(1, Math.min(cell.rowSpan || 1, rowCount - r));
+            const style = tableCellStyle(cell, rules);
+            const first = textCell(tableCellText(cell));
+            for (let dy = 0; dy < rowSpan; dy++) {
+                grid[r + dy] = grid[r + dy] || [];
+                for (let dx = 0; dx < colSpan; dx++) {
+                    grid[r + dy][c + dx] = dx === 0 && dy === 0 ? first : textCell('');
+                }
+            }
+            if (Object.keys(style).length > 0) {
+                first.style = style;
+            }
+            if (colSpan > 1 || rowSpan > 1) {
+                merges.push({ x1: c, y1: r, x2: c + colSpan - 1, y2: r + rowSpan - 1 });
+            }
+            c += colSpan;
+        }
+    }
+    // places no cell covers (ragged rows) leave the cells pasted over alone
+    const cells = grid.map((row) => Array.from(row, (cell) => cell ?? null));
+    return { columns: null, rows: null, cells, merges };
+}
+
+// Paste special options:
+//   paste        'all', 'values' (what formulas evaluate to), 'formulas' (inputs without looks)
+//                or 'formats' (styles, number formats and merges only)
+//   transpose    rows of the block become columns
+//   skipBlanks   empty cells of the block leave the cells under them alone
+//   operation    null, 'add' or 'multiply': numbers combine with the numbers (or blanks) pasted
+//                over and apply to formulas; blank and text sources leave the cells under them alone
+export const defaultPasteOptions = { paste: 'all', transpose: false, skipBlanks: false, operation: null };
+
+const toNumber = (value) => (typeof value === 'string' ? parseNumber(value) : value);
+
+// What an arithmetic paste of source over a cell holding input leaves there: the combined number,
+// the formula with the operation applied, or null to leave the cell alone
+function combineInput(operation, input, source) {
+    const number = toNumber(source);
+    if (typeof number !== 'number') {
+        return null;
+    }
+    if (isFormulaText(input)) {
+        return '=(' + input.slice(1) + ')' + (operation === 'multiply' ? '*' : '+') + number;
+    }
+    const current = input === null || input === undefined || input === '' ? 0 : toNumber(input);
+    if (typeof current !== 'number') {
+        return null;
+    }
+    return operation === 'multiply' ? current * number : current + number;
+}
+
+// The changes pasting block into range makes, and the range pasted: the block goes to the top-left
+// cell of range, repeated across it when range is an exact multiple of the block's size.
+// currentInput(x, y) gives what the cells arithmetic pastes combine with hold, as typed.
+export function pasteChanges(block, range, options, currentInput) {
+    const { paste, transpose, skipBlanks, operation } = { ...defaultPasteOptions, ...options };
+    const blockRows = block.cells.length;
+    const blockColumns = Math.max(0, ...block.cells.map((row) => row.length));
+    const height = transpose ? blockColumns : blockRows;
+    const width = transpose ? blockRows : blockColumns;
+    if (height === 0 || width === 0) {
+        return { changes: [], range: null };
+    }
+
+    const rangeHeight = range.y2 - range.y1 + 1;
+    const rangeWidth = range.x2 - range.x1 + 1;
+    const tiled = rangeHeight % height === 0 && rangeWidth % width === 0;
+    const tilesDown = tiled ? rangeHeight / height : 1;
+    const tilesAcross = tiled ? rangeWidth / width : 1;
+
+    const changes = [];
+    for (let tileY = 0; tileY < tilesDown; tileY++) {
+        for (let tileX = 0; tileX < tilesAcross; tileX++) {
+            const originX = range.x1 + tileX * width;
+            const originY = range.y1 + tileY * height;
+            block.cells.forEach((row, r) => {
+                row.forEach((cell, c) => {
+                    if (!cell || (skipBlanks && (cell.input === null || cell.input === ''))) {
+                        return;
+                    }
+                    const x = originX + (transpose ? r : c);
+                    const y = originY + (transpose ? c : r);
+                    const change = { x, y };
+                    if (paste !== 'formats') {
+                        const input =
+                            block.columns && isFormulaText(cell.input)
+                                ? shiftFormula(cell.input, x - block.columns[c], y - block.rows[r])
+                                : cell.input;
+                        // a formula whose result is blank or an error has no value: its shown text goes,
+                        // never the formula itself
+                        const value = paste === 'values' ? (cell.value ?? cell.text ?? null) : input;
+                        if (!operation) {
+                            change.value = value;
+                        } else {
+                            const combined = combineInput(operation, currentInput(x, y), cell.value ?? cell.input);
+                            if (combined !== null) {
+                                change.value = combined;
+                            }
+                        }
+                    }
+                    if (paste === 'all' || paste === 'formats') {
+                        if ('style' in cell) {
+                            change.style = cell.style;
+                        }
+                        if ('format' in cell) {
+                            change.format = cell.format;
+                        }
+                    }
+                    if (Object.keys(change).length > 2) {
+                        changes.push(change);
+                    }
+                });
+            });
+            if (paste === 'all' || paste === 'formats') {
+                for (const merge of block.merges) {
+                    const [x1, y1, x2, y2] = transpose
+                        ? [merge.y1, merge.x1, merge.y2, merge.x2]
+                        : [merge.x1, merge.y1, merge.x2, merge.y2];
+                    changes.push({
+                        merge: { x1: originX + x1, y1: originY + y1, x2: originX + x2, y2: originY + y2 },
+                    });
+                }
+            }
+        }
+    }
+    return {
+        changes,
+        range: {
+            x1: range.x1,
+            y1: range.y1,
+            x2: range.x1 + tilesAcross * width - 1,
+            y2: range.y1 + tilesDown * height - 1,
+        },
+    };
+}
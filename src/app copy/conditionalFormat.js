@@ -0,0 +1,256 @@
+import { rangeContains } from './addressing.js';
+import { shiftFormula } from './formula/rewrite.js';
+import { isFormulaError } from './formula/errors.js';
+import { formatNumber } from './formula/values.js';
+
+// Conditional formatting rules. A rule is plain data so it can be saved and written to XLSX:
+//   { ranges: [{ x1, y1, x2, y2 }], type, style, stopIfTrue, ...parameters }
+// where type is one of
+//   'cellIs'           operator ('greaterThan', 'lessThan', 'between', 'equal', ...), values: [a, b]
+//   'containsText', 'notContainsText', 'beginsWith', 'endsWith'   text
+//   'duplicateValues', 'uniqueValues'
+//   'top10'            rank, bottom, percent
+//   'expression'       formula, written for the top-left cell of the first range
+//   'colorScale'       colors: [min, max] or [min, mid, max]
+//   'dataBar'          color
+// style holds cellStyle fields (color, fillColor, weight). Rules are checked in order and an
+// earlier rule wins where two set the same field.
+
+export const ruleTypes = [
+    'cellIs',
+    'containsText',
+    'notContainsText',
+    'beginsWith',
+    'endsWith',
+    'duplicateValues',
+    'uniqueValues',
+    'top10',
+    'expression',
+    'colorScale',
+    'dataBar',
+];
+
+function inRule(rule, x, y) {
+    return rule.ranges.some((range) => rangeContains(range, x, y));
+}
+
+function valueText(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (isFormulaError(value)) {
+        return value.type;
+    }
+    if (typeof value === 'number') {
+        return formatNumber(value);
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'TRUE' : 'FALSE';
+    }
+    return String(value);
+}
+
+function compare(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return a - b;
+    }
+    const ta = valueText(a).toLowerCase();
+    const tb = valueText(b).toLowerCase();
+    return ta < tb ? -1 : ta > tb ? 1 : 0;
+}
+
+function isTruthy(value) {
+    return value === true || (typeof value === 'number' && value !== 0);
+}
+
+// the '#rrggbb' color a fraction t of the way from one '#rrggbb' color to another
+function mixColors(from, to, t) {
+    const channel = (color, index) => parseInt(color.slice(1 + index * 2, 3 + index * 2), 16);
+    let result = '#';
+    for (let i = 0; i < 3; i++) {
+        const value = Math.round(channel(from, i) + (channel(to, i) - channel(from, i)) * t);
+        result += value.toString(16).padStart(2, '0');
+    }
+    return result;
+}
+
+// Compares a value with one or two operands the way 'cellIs' rules and validation rules do:
+// operator is 'greaterThan', 'between', 'equal', ... as in XLSX
+export function matchesOperator(operator, value, operands) {
+    const [a, b] = operands;
+    const [low, high] = compare(a, b) <= 0 ? [a, b] : [b, a];
+    if (value === null || value === undefined || value === '') {
+        value = typeof a === 'number' ? 0 : '';
+    }
+    switch (operator) {
+        case 'greaterThan':
+            return compare(value, a) > 0;
+        case 'greaterThanOrEqual':
+            return compare(value, a) >= 0;
+        case 'lessThan':
+            return compare(value, a) < 0;
+        case 'lessThanOrEqual':
+            return compare(value, a) <= 0;
+        case 'notEqual':
+            return compare(value, a) !== 0;
+        case 'between':
+            return compare(value, low) >= 0 && compare(value, high) <= 0;
+        case 'notBetween':
+            return compare(value, low) < 0 || compare(value, high) > 0;
+        default:
+            return compare(value, a) === 0;
+    }
+}
+
+// Evaluates rules for cells. getValue(x, y) gives raw cell values; evaluateFormula(text) is needed
+// for 'expression' rules and formula operands. Statistics over a rule's ranges (duplicates, top N,
+// scale bounds) are computed once per formatter, so make a new one when the data changes.
+export function createConditionalFormatter(rules, getValue, evaluateFormula) {
+    const list = (rules || []).filter((rule) => rule && rule.ranges && rule.ranges.length > 0);
+    const stats = new Map();
+
+    const rangeValues = (rule) => {
+        const values = [];
+        for (const range of rule.ranges) {
+            for (let y = range.y1; y <= range.y2; y++) {
+                for (let x = range.x1; x <= range.x2; x++) {
+                    values.push(getValue(x, y));
+                }
+            }
+        }
+        return values;
+    };
+
+    const statsFor = (rule) => {
+        let result = stats.get(rule);
+        if (result) {
+            return result;
+        }
+        const values = rangeValues(rule);
+        const numbers = values.filter((value) => typeof value === 'number').sort((a, b) => a - b);
+        result = { numbers, counts: new Map() };
+        for (const value of values) {
+            if (value !== null && value !== undefined && value !== '') {
+                const key = valueText(value).toLowerCase();
+                result.counts.set(key, (result.counts.get(key) || 0) + 1);
+            }
+        }
+        stats.set(rule, result);
+        return result;
+    };
+
+    // formula text is written for the first range's top-left cell and shifts with the cell
+    const evaluateAt = (rule, formula, x, y) => {
+        if (!evaluateFormula) {
+            return null;
+        }
+        const origin = rule.ranges[0];
+        const result = evaluateFormula(shiftFormula(formula, x - origin.x1, y - origin.y1));
+        return isFormulaError(result) ? null : result;
+    };
+
+    const operandValue = (rule, operand, x, y) =>
+        typeof operand === 'string' && operand[0] === '=' ? evaluateAt(rule, operand, x, y) : operand;
+
+    // the style a rule gives the cell, or null when it does not apply
+    const evaluateRule = (rule, x, y) => {
+        const value = getValue(x, y);
+        const text = valueText(value).toLowerCase();
+        const ruleText = valueText(rule.text).toLowerCase();
+        switch (rule.type) {
+            case 'cellIs': {
+                const operands = (rule.values || []).map((operand) => operandValue(rule, operand, x, y));
+                return matchesOperator(rule.operator, value, operands) ? rule.style : null;
+            }
+            case 'containsText':
+                return text.includes(ruleText) ? rule.style : null;
+            case 'notContainsText':
+                return !text.includes(ruleText) ? rule.style : null;
+            case 'beginsWith':
+                return text.startsWith(ruleText) ? rule.style : null;
+            case 'endsWith':
+                return text.endsWith(ruleText) ? rule.style : null;
+            case 'duplicateValues':
+            case 'uniqueValues': {
+                if (text === '') {
+                    return null;
+                }
+                const count = statsFor(rule).counts.get(text) || 0;
+                return (rule.type === 'duplicateValues') === count > 1 ? rule.style : null;
+            }
+            case 'top10': {
+                if (typeof value !== 'number') {
+                    return null;
+                }
+                const { numbers } = statsFor(rule);
+                const rank = rule.rank || 10;
+                const count = rule.percent ? Math.max(1, Math.floor((numbers.length * rank) / 100)) : rank;
+                if (numbers.length === 0) {
+                    return null;
+                }
+                const matches = rule.bottom
+                    ? value <= numbers[Math.min(count, numbers.length) - 1]
+                    : value >= numbers[Math.max(numbers.length - count, 0)];
+                return matches ? rule.style : null;
+            }
+            case 'expression':
+                return isTruthy(evaluateAt(rule, rule.formula, x, y)) ? rule.style : null;
+            case 'colorScale': {
+                const { numbers } = statsFor(rule);
+                const colors = rule.colors || [];
+                if (typeof value !== 'number' || colors.length < 2) {
+                    return null;
+                }
+                const min = numbers[0];
+                const max = numbers[numbers.length - 1];
+                if (min === max) {
+                    return { fillColor: colors[0] };
+                }
+                if (colors.length === 2) {
+                    return { fillColor: mixColors(colors[0], colors[1], (value - min) / (max - min)) };
+                }
+                const mid = numbers[Math.floor((numbers.length - 1) / 2)];
+                if (value <= mid) {
+                    return {
+                        fillColor: mixColors(colors[0], colors[1], mid === min ? 1 : (value - min) / (mid - min)),
+                    };
+                }
+                return { fillColor: mixColors(colors[1], colors[2], max === mid ? 1 : (value - mid) / (max - mid)) };
+            }
+            case 'dataBar': {
+                const { numbers } = statsFor(rule);
+                if (typeof value !== 'number') {
+                    return null;
+                }
+                // bars start at zero unless every value is negative
+                const min = Math.min(0, numbers[0]);
+                const max = Math.max(0, numbers[numbers.length - 1]);
+                const ratio = max === min ? 0 : (value - min) / (max - min);
+                return { dataBar: { ratio, color: rule.color || '#638ec6' } };
+            }
+            default:
+                return null;
+        }
+    };
+
+    // merged style of the rules that apply to a cell, or null
+    const styleFor = (x, y) => {
+        let result = null;
+        for (const rule of list) {
+            if (!inRule(rule, x, y)) {
+                continue;
+            }
+            const style = evaluateRule(rule, x, y);
+            if (!style) {
+                continue;
+            }
+            result = { ...style, ...result };
+            if (rule.stopIfTrue) {
+                break;
+            }
+        }
+        return result;
+    };
+
+    return { styleFor };
+}
@@ -0,0 +1,205 @@
+import { rangeContains } from './addressing.js';
+import { matchesOperator } from './conditionalFormat.js';
+import { isFormulaError } from './formula/errors.js';
+import { formatNumber, parseNumber } from './formula/values.js';
+import { parseDateText } from './formula/functions/date.js';
+import { shiftFormula } from './formula/rewrite.js';
+
+// Data validation rules, plain data like conditional formats:
+//   { ranges: [{ x1, y1, x2, y2 }], type, mode, allowBlank, message, ...parameters }
+// where type is one of
+//   'list'         values: ['a', 'b'] or source: { x1, y1, x2, y2 } to take them from a range
+//   'number'       operator ('between', 'greaterThan', ... as in XLSX), values: [a, b], integer
+//   'date'         operator, values as date serials or date text
+//   'textLength'   operator, values
+//   'regex'        pattern, flags
+//   'custom'       predicate(value, x, y) in code, or formula (written for the top-left cell of
+//                  the first range) which is checked against the stored values only
+// mode is 'reject' (default, the input is refused) or 'warning' (the input is kept and flagged).
+// Blank cells are valid unless allowBlank is false.
+
+function inRule(rule, x, y) {
+    return rule.ranges.some((range) => rangeContains(range, x, y));
+}
+
+function valueText(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (isFormulaError(value)) {
+        return value.type;
+    }
+    if (typeof value === 'number') {
+        return formatNumber(value);
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'TRUE' : 'FALSE';
+    }
+    return String(value);
+}
+
+function toNumberOrNull(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    return typeof value === 'string' ? parseNumber(value) : null;
+}
+
+function toDateOrNull(value) {
+    if (typeof value === 'string') {
+        const serial = parseDateText(value);
+        if (serial !== null) {
+            return serial;
+        }
+    }
+    return toNumberOrNull(value);
+}
+
+const operatorText = {
+    between: 'between {0} and {1}',
+    notBetween: 'not between {0} and {1}',
+    equal: 'equal to {0}',
+    notEqual: 'not equal to {0}',
+    greaterThan: 'greater than {0}',
+    greaterThanOrEqual: 'at least {0}',
+    lessThan: 'less than {0}',
+    lessThanOrEqual: 'at most {0}',
+};
+
+function describeOperator(rule) {
+    const text = operatorText[rule.operator || 'between'] || operatorText.between;
+    return text.replace(/\{(\d)\}/g, (match, index) => valueText((rule.values || [])[index]));
+}
+
+// The message shown for input that breaks a rule
+export function validationMessage(rule) {
+    if (rule.message) {
+        return rule.message;
+    }
+    switch (rule.type) {
+        case 'list':
+            return 'Pick a value from the list';
+        case 'number':
+            return 'Enter ' + (rule.integer ? 'a whole number ' : 'a number ') + describeOperator(rule);
+        case 'date':
+            return 'Enter a date ' + describeOperator(rule);
+        case 'textLength':
+            return 'Enter text with a length ' + describeOperator(rule);
+        case 'regex':
+            return 'Enter text matching ' + rule.pattern;
+        default:
+            return 'The value is not valid for this cell';
+    }
+}
+
+// Checks cells against validation rules. getValue(x, y) gives raw cell values (also used to read
+// list sources); evaluateFormula(text) is needed for custom formula rules.
+export function createValidator(rules, getValue, evaluateFormula) {
+    const list = (rules || []).filter((rule) => rule && rule.ranges && rule.ranges.length > 0);
+    const listCache = new Map();
+
+    // the rule for a cell, or null; the first rule covering the cell wins
+    const ruleAt = (x, y) => list.find((rule) => inRule(rule, x, y)) || null;
+
+    // choices of a list rule as text, without blanks and repeats
+    const listValues = (rule) => {
+        let values = listCache.get(rule);
+        if (values) {
+            return values;
+        }
+        values = [];
+        if (rule.source) {
+            const { x1, y1, x2, y2 } = rule.source;
+            for (let y = y1; y <= y2; y++) {
+                for (let x = x1; x <= x2; x++) {
+                    values.push(valueText(getValue(x, y)));
+                }
+            }
+        } else {
+            values = (rule.values || []).map(valueText);
+        }
+        values = [...new Set(values.filter((value) => value !== ''))];
+        listCache.set(rule, values);
+        return values;
+    };
+
+    // whether value (a raw value or typed text) satisfies the rule; null when it cannot be told
+    // before the value is stored (custom formulas)
+    const check = (rule, value, x, y) => {
+        if (value === null || value === undefined || value === '') {
+            return rule.allowBlank !== false;
+        }
+        switch (rule.type) {
+            case 'list': {
+                const text = valueText(value).toLowerCase();
+                return listValues(rule).some((choice) => choice.toLowerCase() === text);
+            }
+            case 'number': {
+                const number = toNumberOrNull(value);
+                if (number === null || (rule.integer && !Number.isInteger(number))) {
+                    return false;
+                }
+                return matchesOperator(rule.operator || 'between', number, (rule.values || []).map(toNumberOrNull));
+            }
+            case 'date': {
+                const serial = toDateOrNull(value);
+                if (serial === null) {
+                    return false;
+                }
+                return matchesOperator(rule.operator || 'between', serial, (rule.values || []).map(toDateOrNull));
+            }
+            case 'textLength':
+                return matchesOperator(
+                    rule.operator || 'between',
+                    valueText(value).length,
+                    (rule.values || []).map(toNumberOrNull)
+                );
+            case 'regex':
+                try {
+                    return new RegExp(rule.pattern, rule.flags || '').test(valueText(value));
+                } catch {
+                    return false;
+                }
+            case 'custom':
+                if (typeof rule.predicate === 'function') {
+                    return Boolean(rule.predicate(value, x, y));
+                }
+                return null;
+            default:
+                return true;
+        }
+    };
+
+    // Checks text typed into x, y. Returns null when it may be committed, otherwise
+    // { rule, message, reject }. Formulas are only checked once they have a value.
+    const validateInput = (x, y, input) => {
+        const rule = ruleAt(x, y);
+        if (!rule || (typeof input === 'string' && input[0] === '=')) {
+            return null;
+        }
+        if (check(rule, input, x, y) === false) {
+            return { rule, message: validationMessage(rule), reject: rule.mode !== 'warning' };
+        }
+        return null;
+    };
+
+    // whether the stored value of x, y breaks its rule
+    const isInvalid = (x, y) => {
+        const rule = ruleAt(x, y);
+        if (!rule) {
+            return false;
+        }
+        const value = getValue(x, y);
+        if (rule.type === 'custom' && typeof rule.predicate !== 'function') {
+            if (!evaluateFormula || !rule.formula || value === null || value === undefined || value === '') {
+                return false;
+            }
+            const origin = rule.ranges[0];
+            const result = evaluateFormula(shiftFormula(rule.formula, x - origin.x1, y - origin.y1));
+            return !(result === true || (typeof result === 'number' && result !== 0));
+        }
+        return check(rule, value, x, y) === false;
+    };
+
+    return { ruleAt, listValues, validateInput, isInvalid };
+}
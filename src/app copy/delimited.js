@@ -0,0 +1,184 @@
+// RFC 4180 CSV / TSV reading and writing.
+// The parser is incremental so large files can be fed to it chunk by chunk.
+export function createDelimitedParser(options = {}) {
+    const delimiter = options.delimiter || ',';
+    let field = '';
+    let row = [];
+    let inQuotes = false;
+    let quotePending = false; // saw a quote inside a quoted field, could be "" or the closing quote
+    let fieldStarted = false;
+    let skipLineFeed = false;
+
+    const endField = () => {
+        row.push(field);
+        field = '';
+        fieldStarted = false;
+    };
+
+    const push = (text) => {
+        const rows = [];
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+
+            if (skipLineFeed) {
+                skipLineFeed = false;
+                if (ch === '\n') {
+                    continue;
+                }
+            }
+
+            if (inQuotes) {
+                if (quotePending) {
+                    quotePending = false;
+                    if (ch === '"') {
+                        field += '"';
+                        continue;
+                    }
+                    inQuotes = false;
+                    // fall through and handle ch as an unquoted character
+                } else if (ch === '"') {
+                    quotePending = true;
+                    continue;
+                } else {
+                    field += ch;
+                    continue;
+                }
+            }
+
+            if (ch === delimiter) {
+                endField();
+            } else if (ch === '\r' || ch === '\n') {
+                endField();
+                rows.push(row);
+                row = [];
+                skipLineFeed = ch === '\r';
+            } else if (ch === '"' && !fieldStarted) {
+                inQuotes = true;
+                fieldStarted = true;
+            } else {
+                field += ch;
+                fieldStarted = true;
+            }
+        }
+        return rows;
+    };
+
+    // flushes the last row when the input does not end with a line break
+    const end = () => {
+        if (quotePending) {
+            quotePending = false;
+            inQuotes = false;
+        }
+        if (fieldStarted || field !== '' || row.length > 0) {
+            endField();
+            const last = row;
+            row = [];
+            return [last];
+        }
+        return [];
+    };
+
+    return { push, end };
+}
+
+export function parseDelimited(text, options = {}) {
+    const parser = createDelimitedParser(options);
+    return [...parser.push(text), ...parser.end()];
+}
+
+function quoteField(value, delimiter) {
+    const text = value === null || value === undefined ? '' : String(value);
+    if (text.includes(delimiter) || text.includes('"') || text.includes('\n') || text.includes('\r')) {
+        return '"' + text.replace(/"/g, '""') + '"';
+    }
+    return text;
+}
+
+export function stringifyDelimited(rows, options = {}) {
+    const delimiter = options.delimiter || ',';
+    const lineEnding = options.lineEnding || '\r\n';
+    return rows.map((row) => row.map((value) => quoteField(value, delimiter)).join(delimiter)).join(lineEnding);
+}
+
+export function delimiterForFileName(name) {
+    return /\.(tsv|tab|txt)$/i.test(name) ? '\t' : ',';
+}
+
+const yieldToBrowser = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// Streams a File / Blob through the parser and hands rows to onRows in batches, yielding to the
+// event loop between chunks so the page stays responsive. Resolves with the number of rows read.
+export async function readDelimitedFile(file, options = {}) {
+    const delimiter = options.delimiter || delimiterForFileName(file.name || '');
+    const encoding = options.encoding || 'utf-8';
+    const chunkSize = options.chunkSize || 256 * 1024;
+    const parser = createDelimitedParser({ delimiter });
+    const decoder = new TextDecoder(encoding);
+    let rowCount = 0;
+
+    const emit = async (rows) => {
+        if (rows.length > 0) {
+            await options.onRows(rows, rowCount);
+            rowCount += rows.length;
+        }
+    };
+
+    for (let offset = 0; offset < file.size; offset += chunkSize) {
+        if (options.signal && options.signal.aborted) {
+            break;
+        }
+        const buffer = await file.slice(offset, offset + chunkSize).arrayBuffer();
+        let text = decoder.decode(buffer, { stream: true });
+        if (offset === 0 && text.charCodeAt(0) === 0xfeff) {
+            // byte order mark
+            text = text.slice(1);
+        }
+        await emit(parser.push(text));
+        await yieldToBrowser();
+    }
+    await emit(parser.push(decoder.decode()));
+    await emit(parser.end());
+    return rowCount;
+}
+
+// Reads a range as rows of values through getValue(x, y)
+export function rangeToRows(range, getValue) {
+    const rows = [];
+    for (let y = range.y1; y <= range.y2; y++) {
+        const row = [];
+        for (let x = range.x1; x <= range.x2; x++) {
+            const value = getValue(x, y);
+            row.push(value === null || value === undefined ? '' : value);
+        }
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Encodes export text with a byte order mark so Excel picks the right encoding.
+// TextEncoder only writes UTF-8, UTF-16LE is encoded by hand.
+export function encodeText(text, encoding = 'utf-8') {
+    if (encoding.toLowerCase() === 'utf-16le') {
+        const bytes = new Uint8Array(2 + text.length * 2);
+        bytes[0] = 0xff;
+        bytes[1] = 0xfe;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            bytes[2 + i * 2] = code & 0xff;
+            bytes[3 + i * 2] = code >> 8;
+        }
+        return bytes;
+    }
+    return new TextEncoder().encode('\ufeff' + text);
+}
+
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
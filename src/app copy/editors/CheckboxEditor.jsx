@@ -0,0 +1,25 @@
+// TRUE / FALSE cells: Space or a click toggles the box and commits right away
+function CheckboxEditor(props) {
+    const checked = String(props.value).toUpperCase() === 'TRUE';
+    return (
+        <div
+            style={{
+                ...props.style,
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                background: 'white',
+            }}
+        >
+            <input
+                type="checkbox"
+                autoFocus
+                checked={checked}
+                onChange={() => props.onCommit(checked ? 'FALSE' : 'TRUE', null)}
+                onKeyDown={props.onKeyDown}
+            />
+        </div>
+    );
+}
+
+export default CheckboxEditor;
@@ -0,0 +1,32 @@
+import { parseDateText } from '../formula/functions/date.js';
+import { parseNumber, serialToDate } from '../formula/values.js';
+
+// 'yyyy-mm-dd' for date text or a date serial, '' for anything else
+function toIsoDate(value) {
+    const text = String(value ?? '').trim();
+    let serial = parseDateText(text);
+    if (serial === null) {
+        serial = parseNumber(text);
+    }
+    if (serial === null) {
+        return '';
+    }
+    return serialToDate(serial).toISOString().slice(0, 10);
+}
+
+// Browser date picker; commits the date as 'yyyy-mm-dd' text, which date formats and date
+// functions read as a date
+function DateEditor(props) {
+    return (
+        <input
+            type="date"
+            autoFocus
+            onKeyDown={props.onKeyDown}
+            value={toIsoDate(props.value)}
+            onChange={(e) => props.onChange(e.target.value)}
+            style={{ ...props.style, outline: 'none', border: 'none', color: 'black' }}
+        />
+    );
+}
+
+export default DateEditor;
@@ -0,0 +1,100 @@
+import { useState } from 'react';
+
+const inputStyle = {
+    width: '100%',
+    height: '100%',
+    boxSizing: 'border-box',
+    border: 'none',
+    outline: 'none',
+    color: 'black',
+};
+
+const listStyle = {
+    maxHeight: 200,
+    overflowY: 'auto',
+    background: '#fff',
+    border: '1px solid #ccc',
+    boxShadow: '0 2px 6px rgba(0, 0, 0, 0.2)',
+    fontSize: 13,
+    fontFamily: 'sans-serif',
+};
+
+const optionStyle = {
+    padding: '4px 8px',
+    cursor: 'pointer',
+    whiteSpace: 'nowrap',
+};
+
+// Editor of list validated cells (options.choices): typing filters the choices, arrow keys
+// move the highlight, Enter / Tab / click pick
+function ListEditor(props) {
+    const options = props.options.choices || [];
+    const value = String(props.value ?? '');
+    const [typed, setTyped] = useState(false);
+    const choices = typed ? options.filter((option) => option.toLowerCase().includes(value.toLowerCase())) : options;
+    const current = options.findIndex((option) => option.toLowerCase() === value.toLowerCase());
+    const [highlight, setHighlight] = useState(current === -1 ? 0 : current);
+    const highlighted = Math.min(highlight, choices.length - 1);
+
+    const onKeyDown = (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            setHighlight(Math.max(0, Math.min(choices.length - 1, highlighted + step)));
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            e.preventDefault();
+            props.onCommit(highlighted >= 0 ? choices[highlighted] : value, e.key);
+        }
+        props.onKeyDown(e);
+    };
+
+    return (
+        <div style={{ ...props.style, height: 'auto', zIndex: 5 }}>
+            <div style={{ height: props.style.height, background: '#fff' }}>
+                <input
+                    type="text"
+                    autoFocus
+                    onFocus={(e) =>
+                        props.caretAtEnd
+                            ? e.target.setSelectionRange(e.target.value.length, e.target.value.length)
+                            : e.target.select()
+                    }
+                    value={value}
+                    onChange={(e) => {
+                        setTyped(true);
+                        setHighlight(0);
+                        props.onChange(e.target.value);
+                    }}
+                    onKeyDown={onKeyDown}
+                    style={{
+                        ...inputStyle,
+                        textAlign: props.style.textAlign,
+                        fontSize: props.style.fontSize,
+                        fontFamily: props.style.fontFamily,
+                    }}
+                />
+            </div>
+            <div style={listStyle} role="listbox">
+                {choices.map((option, index) => (
+                    <div
+                        key={option}
+                        role="option"
+                        aria-selected={index === highlighted}
+                        style={{ ...optionStyle, background: index === highlighted ? '#e8f0fe' : 'transparent' }}
+                        onMouseEnter={() => setHighlight(index)}
+                        // mousedown so the input keeps focus until the pick is committed
+                        onMouseDown={(e) => {
+                            e.preventDefault();
+                            props.onCommit(option, null);
+                        }}
+                    >
+                        {option}
+                    </div>
+                ))}
+                {choices.length === 0 && <div style={{ ...optionStyle, color: '#999' }}>No matches</div>}
+            </div>
+        </div>
+    );
+}
+
+export default ListEditor;
@@ -0,0 +1,31 @@
+const minimumHeight = 66;
+
+// Text with line breaks: Shift+Enter starts a new line, Enter commits. The box grows below the
+// cell so a few lines stay visible.
+function MultilineEditor(props) {
+    return (
+        <textarea
+            onFocus={(e) =>
+                props.caretAtEnd
+                    ? e.target.setSelectionRange(e.target.value.length, e.target.value.length)
+                    : e.target.select()
+            }
+            autoFocus
+            onKeyDown={props.onKeyDown}
+            value={props.value}
+            onChange={(e) => props.onChange(e.target.value)}
+            style={{
+                ...props.style,
+                height: Math.max(props.style.height, minimumHeight),
+                zIndex: 5,
+                resize: 'none',
+                outline: 'none',
+                border: '1px solid #1b73e7',
+                boxSizing: 'border-box',
+                color: 'black',
+            }}
+        />
+    );
+}
+
+export default MultilineEditor;
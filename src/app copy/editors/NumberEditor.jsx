@@ -0,0 +1,21 @@
+// Numeric input with a stepper; options.step, options.min and options.max are passed on.
+// ArrowUp / ArrowDown step the value instead of leaving the cell.
+function NumberEditor(props) {
+    const { step = 1, min, max } = props.options;
+    return (
+        <input
+            type="number"
+            step={step}
+            min={min}
+            max={max}
+            autoFocus
+            onFocus={(e) => e.target.select()}
+            onKeyDown={props.onKeyDown}
+            value={props.value}
+            onChange={(e) => props.onChange(e.target.value)}
+            style={{ ...props.style, outline: 'none', border: 'none', color: 'black' }}
+        />
+    );
+}
+
+export default NumberEditor;
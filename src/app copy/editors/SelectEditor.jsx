@@ -0,0 +1,24 @@
+// Drop-down of options.choices; Enter or Tab commits the chosen one. A value that is not one
+// of the choices stays available so opening the editor never changes the cell.
+function SelectEditor(props) {
+    const choices = (props.options.choices || []).map(String);
+    const value = String(props.value ?? '');
+    return (
+        <select
+            autoFocus
+            onKeyDown={props.onKeyDown}
+            value={value}
+            onChange={(e) => props.onChange(e.target.value)}
+            style={{ ...props.style, outline: 'none', border: 'none', color: 'black', background: 'white' }}
+        >
+            {!choices.includes(value) && <option value={value}>{value}</option>}
+            {choices.map((choice) => (
+                <option key={choice} value={choice}>
+                    {choice}
+                </option>
+            ))}
+        </select>
+    );
+}
+
+export default SelectEditor;
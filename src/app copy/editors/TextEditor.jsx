@@ -0,0 +1,20 @@
+// The default editor: a plain text input over the cell
+function TextEditor(props) {
+    return (
+        <input
+            type="text"
+            onFocus={(e) =>
+                props.caretAtEnd
+                    ? e.target.setSelectionRange(e.target.value.length, e.target.value.length)
+                    : e.target.select()
+            }
+            autoFocus
+            onKeyDown={props.onKeyDown}
+            value={props.value}
+            onChange={(e) => props.onChange(e.target.value)}
+            style={{ ...props.style, outline: 'none', border: 'none', color: 'black' }}
+        />
+    );
+}
+
+export default TextEditor;
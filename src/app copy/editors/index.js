@@ -0,0 +1,51 @@
+import TextEditor from './TextEditor.jsx';
+import MultilineEditor from './MultilineEditor.jsx';
+import NumberEditor from './NumberEditor.jsx';
+import DateEditor from './DateEditor.jsx';
+import CheckboxEditor from './CheckboxEditor.jsx';
+import SelectEditor from './SelectEditor.jsx';
+import ListEditor from './ListEditor.jsx';
+
+// An editor is { component, consumedKeys }. Sheet mounts the component over the cell with
+//   value             the text being edited
+//   onChange(value)   keeps the edited text
+//   onCommit(value, key)   stores value; with key 'Enter', 'Tab' or an arrow key the selection
+//                          moves on the way it does for the text editor
+//   onCancel()        drops the edit
+//   onKeyDown(e)      Sheet's handling of Escape, Enter, Tab and arrow keys; editors pass every
+//                     key event on, Sheet skips the ones listed in consumedKeys
+//   options           from the cell's editor declaration ({ type, options }), e.g. choices
+//   caretAtEnd        true when editing started with F2: put the caret after the text rather
+//                     than selecting it
+//   style             position, size and font of the cell
+// consumedKeys holds chords like 'ArrowUp', 'Enter' or 'Shift+Enter' (see keyChord).
+export const builtinEditors = {
+    text: { component: TextEditor, consumedKeys: [] },
+    multiline: {
+        component: MultilineEditor,
+        consumedKeys: ['Shift+Enter', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'],
+    },
+    number: { component: NumberEditor, consumedKeys: ['ArrowUp', 'ArrowDown'] },
+    date: { component: DateEditor, consumedKeys: ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'] },
+    checkbox: { component: CheckboxEditor, consumedKeys: [' '] },
+    select: { component: SelectEditor, consumedKeys: ['ArrowUp', 'ArrowDown'] },
+    list: { component: ListEditor, consumedKeys: ['ArrowUp', 'ArrowDown', 'Enter', 'Tab'] },
+};
+
+// 'Ctrl+Shift+Enter' style name of a key event; Cmd counts as Ctrl
+export function keyChord(e) {
+    return (e.ctrlKey || e.metaKey ? 'Ctrl+' : '') + (e.altKey ? 'Alt+' : '') + (e.shiftKey ? 'Shift+' : '') + e.key;
+}
+
+// Turns a cell's editor declaration ('checkbox' or { type: 'select', options }) into
+// { editor, options }, falling back to the text editor for unknown types. Registered editors may
+// also be bare components that consume no keys.
+export function resolveEditor(editors, declaration) {
+    const type = typeof declaration === 'string' ? declaration : declaration && declaration.type;
+    const editor = editors[type] || editors.text;
+    const options = (declaration && typeof declaration === 'object' && declaration.options) || {};
+    if (typeof editor === 'function') {
+        return { editor: { component: editor, consumedKeys: [] }, options };
+    }
+    return { editor: { consumedKeys: [], ...editor }, options };
+}
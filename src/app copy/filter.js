@@ -0,0 +1,121 @@
+import { rangeContains } from './addressing.js';
+import { parseNumber } from './formula/values.js';
+
+// Filters hide the rows of a table that do not match per-column criteria, without touching the data:
+//   { range: { x1, y1, x2, y2 }, columns: { [x]: criterion } }
+// The first row of range is the header row that gets the filter buttons. A criterion combines
+//   hiddenValues   cell texts to hide, as listed by the checklist ('' stands for blanks)
+//   condition      { type: 'textContains', text }, { type: 'numberBetween', values: [min, max] }
+//                  (either bound may be null) or { type: 'isEmpty' }
+//   color          { fillColor } or { color }: only rows whose cell has that fill / text color
+// A row shows when it passes the criteria of every column.
+
+export const conditionTypes = ['textContains', 'numberBetween', 'isEmpty'];
+
+function sameColor(a, b) {
+    return String(a || '').toLowerCase() === String(b || '').toLowerCase();
+}
+
+// Evaluates a filter over a sheet. getValue(x, y) gives raw values, getText(x, y) the text shown in
+// a cell and getStyle(x, y) its style. Hidden rows are worked out once, so make a new one when
+// the data changes.
+export function createRowFilter(filter, getValue, getText, getStyle) {
+    const { range } = filter;
+    const columns = filter.columns || {};
+    const text = (x, y) => String(getText(x, y) ?? '');
+
+    const passes = (criterion, x, y) => {
+        if (criterion.hiddenValues && criterion.hiddenValues.includes(text(x, y))) {
+            return false;
+        }
+        const { condition, color } = criterion;
+        if (condition && condition.type === 'textContains') {
+            const needle = String(condition.text ?? '').toLowerCase();
+            if (!text(x, y).toLowerCase().includes(needle)) {
+                return false;
+            }
+        } else if (condition && condition.type === 'numberBetween') {
+            const value = getValue(x, y);
+            const number = typeof value === 'string' ? parseNumber(value) : value;
+            const [min, max] = condition.values || [];
+            if (
+                typeof number !== 'number' ||
+                (min !== null && min !== undefined && number < min) ||
+                (max !== null && max !== undefined && number > max)
+            ) {
+                return false;
+            }
+        } else if (condition && condition.type === 'isEmpty') {
+            if (text(x, y) !== '') {
+                return false;
+            }
+        }
+        if (color) {
+            const style = getStyle(x, y) || {};
+            if (
+                (color.fillColor && !sameColor(style.fillColor, color.fillColor)) ||
+                (color.color && !sameColor(style.color, color.color))
+            ) {
+                return false;
+            }
+        }
+        return true;
+    };
+
+    const hiddenRows = new Set();
+    const criteria = Object.entries(columns).map(([x, criterion]) => ({ x: Number(x), criterion }));
+    if (criteria.length > 0) {
+        for (let y = range.y1 + 1; y <= range.y2; y++) {
+            if (!criteria.every(({ x, criterion }) => passes(criterion, x, y))) {
+                hiddenRows.add(y);
+            }
+        }
+    }
+
+    // distinct texts of a column's data rows, for the checklist
+    const columnValues = (x) => {
+        const values = new Set();
+        for (let y = range.y1 + 1; y <= range.y2; y++) {
+            values.add(text(x, y));
+        }
+        return [...values].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    };
+
+    // distinct fill and text colors of a column's data rows, for filtering by color
+    const columnColors = (x) => {
+        const fillColors = new Set();
+        const colors = new Set();
+        for (let y = range.y1 + 1; y <= range.y2; y++) {
+            const style = getStyle(x, y) || {};
+            if (style.fillColor) {
+                fillColors.add(style.fillColor.toLowerCase());
+            }
+            if (style.color) {
+                colors.add(style.color.toLowerCase());
+            }
+        }
+        return { fillColors: [...fillColors], colors: [...colors] };
+    };
+
+    return {
+        range,
+        isHidden: (y) => hiddenRows.has(y),
+        // whether x, y is a header cell with a filter button
+        isHeader: (x, y) => y === range.y1 && rangeContains(range, x, y),
+        isActive: (x) => Boolean(columns[x]),
+        criterion: (x) => columns[x] || null,
+        columnValues,
+        columnColors,
+    };
+}
+
+// The filter with a column's criterion replaced; null or an empty criterion clears it
+export function withCriterion(filter, x, criterion) {
+    const columns = { ...filter.columns };
+    if (criterion && (criterion.hiddenValues?.length > 0 || criterion.condition || criterion.color)) {
+        columns[x] = criterion;
+    } else {
+        delete columns[x];
+    }
+    return { ...filter, columns };
+}
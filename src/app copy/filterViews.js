@@ -0,0 +1,40 @@
+// Named filter views (see filter.js), kept per user in localStorage apart from the workbook, so
+// saving or using one never changes the sheet data. Stored as { [sheetName]: { [viewName]: filter } }.
+export function createFilterViewStore(options = {}) {
+    const storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+    const key = 'my-google-sheets:filter-views:' + (options.user || 'default');
+
+    const read = () => {
+        if (!storage) {
+            return {};
+        }
+        try {
+            return JSON.parse(storage.getItem(key)) || {};
+        } catch {
+            return {};
+        }
+    };
+
+    const write = (views) => {
+        if (storage) {
+            storage.setItem(key, JSON.stringify(views));
+        }
+    };
+
+    return {
+        names: (sheetName) => Object.keys(read()[sheetName] || {}).sort(),
+        get: (sheetName, name) => (read()[sheetName] || {})[name] || null,
+        save: (sheetName, name, filter) => {
+            const views = read();
+            views[sheetName] = { ...views[sheetName], [name]: filter };
+            write(views);
+        },
+        remove: (sheetName, name) => {
+            const views = read();
+            if (views[sheetName]) {
+                delete views[sheetName][name];
+                write(views);
+            }
+        },
+    };
+}
@@ -0,0 +1,74 @@
+// Find / replace over cell texts. A query is
+//   { text, replacement, matchCase, wholeCell, regex, searchIn }
+// where searchIn is 'values' (the text cells show) or 'formulas' (what was typed, formulas included).
+
+export const defaultFindQuery = {
+    text: '',
+    replacement: '',
+    matchCase: false,
+    wholeCell: false,
+    regex: false,
+    searchIn: 'values',
+};
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// { test(text), replace(text) } for a query, or null when there is nothing to look for or the
+// regular expression does not compile. Regex replacements may use $1 style groups.
+export function createMatcher(query) {
+    if (!query || !query.text) {
+        return null;
+    }
+    let source = query.regex ? query.text : escapeRegExp(query.text);
+    if (query.wholeCell) {
+        source = '^(?:' + source + ')$';
+    }
+    let pattern;
+    try {
+        pattern = new RegExp(source, query.matchCase ? 'g' : 'gi');
+    } catch {
+        return null;
+    }
+    const replacement = query.replacement ?? '';
+    return {
+        test: (text) => {
+            pattern.lastIndex = 0;
+            return pattern.test(text);
+        },
+        replace: (text) => text.replace(pattern, query.regex ? replacement : () => replacement),
+    };
+}
+
+// Matching cells { x, y } in reading order, row by row. forEachCell(fn) calls fn(x, y), in any
+// order, for every cell that may hold text; getText(x, y) gives the text to search or null to skip the cell.
+export function findMatches(matcher, forEachCell, getText) {
+    const matches = [];
+    forEachCell((x, y) => {
+        const text = getText(x, y);
+        if (text !== null && text !== undefined && text !== '' && matcher.test(String(text))) {
+            matches.push({ x, y });
+        }
+    });
+    return matches.sort((a, b) => a.y - b.y || a.x - b.x);
+}
+
+// Index of the match after (direction 1) or before (-1) cell x, y in reading order, wrapping around
+export function nextMatchIndex(matches, x, y, direction) {
+    if (matches.length === 0) {
+        return -1;
+    }
+    const after = (match) => match.y > y || (match.y === y && match.x > x);
+    const before = (match) => match.y < y || (match.y === y && match.x < x);
+    if (direction > 0) {
+        const index = matches.findIndex(after);
+        return index === -1 ? 0 : index;
+    }
+    for (let i = matches.length - 1; i >= 0; i--) {
+        if (before(matches[i])) {
+            return i;
+        }
+    }
+    return matches.length - 1;
+}
@@ -0,0 +1,459 @@
+import { parseFormula, collectReferences } from './parser.js';
+import { rangeContains } from '../addressing.js';
+import { isStructuralChange, shiftFormulaReferences, shiftIndex } from '../structure.js';
+import { builtinFunctions, volatileFunctions } from './functions/index.js';
+import {
+    createFormulaError,
+    isFormulaError,
+    ERROR_DIV0,
+    ERROR_NAME,
+    ERROR_PARSE,
+    ERROR_REF,
+    ERROR_VALUE,
+} from './errors.js';
+import { formatNumber, isBlank, isRange, parseNumber, toNumber, toText } from './values.js';
+
+function cellKey(x, y) {
+    return x + ',' + y;
+}
+
+function parseKey(key) {
+    const comma = key.indexOf(',');
+    return { x: parseInt(key.slice(0, comma), 10), y: parseInt(key.slice(comma + 1), 10) };
+}
+
+export function isFormulaText(input) {
+    return typeof input === 'string' && input.length > 1 && input[0] === '=';
+}
+
+// Turns typed text into a typed value: numbers, booleans and text
+export function parseLiteral(input) {
+    if (isBlank(input)) {
+        return null;
+    }
+    if (typeof input !== 'string') {
+        return input;
+    }
+    const number = parseNumber(input);
+    if (number !== null) {
+        return number;
+    }
+    const upper = input.toUpperCase();
+    if (upper === 'TRUE' || upper === 'FALSE') {
+        return upper === 'TRUE';
+    }
+    return input;
+}
+
+export function valueToDisplay(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (isFormulaError(value)) {
+        return value.type;
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'TRUE' : 'FALSE';
+    }
+    if (typeof value === 'number') {
+        return formatNumber(value);
+    }
+    return value;
+}
+
+// Compares two scalars the way spreadsheet comparison operators do:
+// numbers < text < booleans, text is compared case-insensitively, blanks match 0 / "" / FALSE.
+function compareValues(a, b) {
+    if (isBlank(a)) {
+        a = typeof b === 'string' ? '' : typeof b === 'boolean' ? false : 0;
+    }
+    if (isBlank(b)) {
+        b = typeof a === 'string' ? '' : typeof a === 'boolean' ? false : 0;
+    }
+    const rank = (v) => (typeof v === 'number' ? 0 : typeof v === 'string' ? 1 : 2);
+    if (rank(a) !== rank(b)) {
+        return rank(a) - rank(b);
+    }
+    if (typeof a === 'string') {
+        const la = a.toLowerCase();
+        const lb = b.toLowerCase();
+        return la < lb ? -1 : la > lb ? 1 : 0;
+    }
+    return Number(a) - Number(b);
+}
+
+function toScalar(value) {
+    if (isRange(value)) {
+        if (value.length === 1 && value[0].length === 1) {
+            return value[0][0];
+        }
+        return createFormulaError(ERROR_VALUE, 'A range can not be used as a single value');
+    }
+    return value;
+}
+
+function evaluateBinary(op, left, right) {
+    left = toScalar(left);
+    right = toScalar(right);
+    if (isFormulaError(left)) {
+        return left;
+    }
+    if (isFormulaError(right)) {
+        return right;
+    }
+
+    if (op === '&') {
+        return toText(left) + toText(right);
+    }
+
+    if (['=', '<>', '<', '>', '<=', '>='].includes(op)) {
+        const cmp = compareValues(left, right);
+        switch (op) {
+            case '=':
+                return cmp === 0;
+            case '<>':
+                return cmp !== 0;
+            case '<':
+                return cmp < 0;
+            case '>':
+                return cmp > 0;
+            case '<=':
+                return cmp <= 0;
+            default:
+                return cmp >= 0;
+        }
+    }
+
+    const a = toNumber(left);
+    const b = toNumber(right);
+    if (isFormulaError(a)) {
+        return a;
+    }
+    if (isFormulaError(b)) {
+        return b;
+    }
+    switch (op) {
+        case '+':
+            return a + b;
+        case '-':
+            return a - b;
+        case '*':
+            return a * b;
+        case '/':
+            return b === 0 ? createFormulaError(ERROR_DIV0, 'Division by zero') : a / b;
+        case '^': {
+            const result = Math.pow(a, b);
+            return isFinite(result) ? result : createFormulaError(ERROR_VALUE);
+        }
+        default:
+            return createFormulaError(ERROR_PARSE, 'Unknown operator ' + op);
+    }
+}
+
+// Formula engine keeping raw inputs, computed values and the dependency graph between cells.
+// Values are recalculated incrementally: only the cells downstream of a change are evaluated.
+export function createFormulaEngine(options = {}) {
+    const functions = { ...builtinFunctions, ...(options.functions || {}) };
+
+    const inputs = new Map(); // cell key -> raw input as typed
+    const values = new Map(); // cell key -> literal or computed value
+    const formulas = new Map(); // cell key -> { text, ast, cells, ranges, volatile }
+    const cellDependents = new Map(); // cell key -> Set of formula keys referencing it directly
+    const rangeFormulas = new Set(); // formula keys that reference at least one range
+    const extent = { x: -1, y: -1 };
+
+    const getValue = (x, y) => {
+        const value = values.get(cellKey(x, y));
+        return value === undefined ? null : value;
+    };
+
+    const getRangeValues = (range) => {
+        const x2 = Math.min(range.x2, Math.max(extent.x, range.x1));
+        const y2 = Math.min(range.y2, Math.max(extent.y, range.y1));
+        const rows = [];
+        for (let y = range.y1; y <= y2; y++) {
+            const row = [];
+            for (let x = range.x1; x <= x2; x++) {
+                row.push(getValue(x, y));
+            }
+            rows.push(row);
+        }
+        return rows;
+    };
+
+    const evaluate = (node) => {
+        switch (node.type) {
+            case 'number':
+            case 'string':
+            case 'boolean':
+                return node.value;
+            case 'empty':
+                return null;
+            case 'error':
+                return createFormulaError(node.value);
+            case 'name':
+                return createFormulaError(ERROR_NAME, 'Unknown range name: ' + node.name);
+            case 'cell':
+                return getValue(node.ref.x, node.ref.y);
+            case 'range':
+                return getRangeValues(node.ref);
+            case 'unary': {
+                const value = toNumber(toScalar(evaluate(node.arg)));
+                if (isFormulaError(value)) {
+                    return value;
+                }
+                return node.op === '-' ? -value : value;
+            }
+            case 'percent': {
+                const value = toNumber(toScalar(evaluate(node.arg)));
+                return isFormulaError(value) ? value : value / 100;
+            }
+            case 'binary':
+                return evaluateBinary(node.op, evaluate(node.left), evaluate(node.right));
+            case 'function': {
+                const fn = functions[node.name];
+                if (!fn) {
+                    return createFormulaError(ERROR_NAME, 'Unknown function: ' + node.name);
+                }
+                return fn(node.args.map(evaluate));
+            }
+            default:
+                return createFormulaError(ERROR_PARSE);
+        }
+    };
+
+    const evaluateFormulaCell = (key) => {
+        const formula = formulas.get(key);
+        if (formula.parseError) {
+            return formula.parseError;
+        }
+        const result = evaluate(formula.ast);
+        if (isRange(result)) {
+            return result.length > 0 && result[0].length > 0 ? toScalar(result) : null;
+        }
+        return result === undefined ? null : result;
+    };
+
+    const unregisterFormula = (key) => {
+        const formula = formulas.get(key);
+        if (!formula) {
+            return;
+        }
+        for (const cell of formula.cells) {
+            const set = cellDependents.get(cell);
+            if (set) {
+                set.delete(key);
+                if (set.size === 0) {
+                    cellDependents.delete(cell);
+                }
+            }
+        }
+        rangeFormulas.delete(key);
+        formulas.delete(key);
+    };
+
+    const registerFormula = (key, text) => {
+        let ast = null;
+        let parseError = null;
+        try {
+            ast = parseFormula(text.slice(1));
+        } catch (e) {
+            parseError = createFormulaError(ERROR_PARSE, 'Formula parse error: ' + e.message);
+        }
+
+        const refs = ast ? collectReferences(ast) : { cells: [], ranges: [] };
+        const cells = [...new Set(refs.cells.map((ref) => cellKey(ref.x, ref.y)))];
+        const formula = {
+            text,
+            ast,
+            parseError,
+            cells,
+            ranges: refs.ranges,
+            volatile: text.toUpperCase().match(/[A-Z0-9_.]+(?=\()/g)?.some((name) => volatileFunctions.includes(name)),
+        };
+        formulas.set(key, formula);
+
+        for (const cell of cells) {
+            if (!cellDependents.has(cell)) {
+                cellDependents.set(cell, new Set());
+            }
+            cellDependents.get(cell).add(key);
+        }
+        if (formula.ranges.length > 0) {
+            rangeFormulas.add(key);
+        }
+    };
+
+    const setInput = (x, y, input) => {
+        const key = cellKey(x, y);
+        unregisterFormula(key);
+
+        if (isBlank(input)) {
+            inputs.delete(key);
+            values.delete(key);
+            return key;
+        }
+
+        inputs.set(key, input);
+        extent.x = Math.max(extent.x, x);
+        extent.y = Math.max(extent.y, y);
+
+        if (isFormulaText(input)) {
+            registerFormula(key, input);
+        } else {
+            values.set(key, parseLiteral(input));
+        }
+        return key;
+    };
+
+    const getDependents = (key) => {
+        const result = [];
+        const direct = cellDependents.get(key);
+        if (direct) {
+            result.push(...direct);
+        }
+        if (rangeFormulas.size > 0) {
+            const { x, y } = parseKey(key);
+            for (const formulaKey of rangeFormulas) {
+                if (formulas.get(formulaKey).ranges.some((range) => rangeContains(range, x, y))) {
+                    result.push(formulaKey);
+                }
+            }
+        }
+        return result;
+    };
+
+    // Re-evaluates every formula downstream of the given keys in dependency order.
+    // Formulas that take part in (or depend on) a cycle get a circular reference error.
+    const recalculateFrom = (keys) => {
+        const dirty = new Set();
+        const stack = [...keys];
+        while (stack.length > 0) {
+            const key = stack.pop();
+            if (dirty.has(key)) {
+                continue;
+            }
+            dirty.add(key);
+            stack.push(...getDependents(key));
+        }
+
+        const dirtyFormulas = [...dirty].filter((key) => formulas.has(key));
+        const inDegree = new Map(dirtyFormulas.map((key) => [key, 0]));
+        const edges = new Map();
+        for (const key of dirtyFormulas) {
+            const next = getDependents(key).filter((dep) => inDegree.has(dep));
+            edges.set(key, next);
+            for (const dep of next) {
+                inDegree.set(dep, inDegree.get(dep) + 1);
+            }
+        }
+
+        const queue = dirtyFormulas.filter((key) => inDegree.get(key) === 0);
+        const evaluated = new Set();
+        while (queue.length > 0) {
+            const key = queue.shift();
+            values.set(key, evaluateFormulaCell(key));
+            evaluated.add(key);
+            for (const dep of edges.get(key)) {
+                inDegree.set(dep, inDegree.get(dep) - 1);
+                if (inDegree.get(dep) === 0) {
+                    queue.push(dep);
+                }
+            }
+        }
+
+        for (const key of dirtyFormulas) {
+            if (!evaluated.has(key)) {
+                values.set(key, createFormulaError(ERROR_REF, 'Circular dependency detected'));
+            }
+        }
+
+        return [...dirty].map(parseKey);
+    };
+
+    // Moves every input along with inserted or deleted rows or columns (see structure.js), formula
+    // references included, and returns the keys of the cells it cleared and set
+    const shiftInputs = (change) => {
+        const rows = (change.insert || change.delete).axis === 'rows';
+        const moved = [];
+        for (const [key, input] of inputs) {
+            const { x, y } = parseKey(key);
+            const index = shiftIndex(change, rows ? y : x);
+            if (index !== -1) {
+                moved.push({
+                    x: rows ? x : index,
+                    y: rows ? index : y,
+                    input: isFormulaText(input) ? shiftFormulaReferences(change, input) : input,
+                });
+            }
+        }
+        const touched = [...inputs.keys()].map((key) => {
+            const { x, y } = parseKey(key);
+            return setInput(x, y, null);
+        });
+        extent.x = -1;
+        extent.y = -1;
+        for (const cell of moved) {
+            touched.push(setInput(cell.x, cell.y, cell.input));
+        }
+        return touched;
+    };
+
+    // Applies an onChange batch ({ x, y, value } and inserted or deleted rows and columns) and
+    // returns every cell whose value changed
+    const applyChanges = (changes) => {
+        const touched = [];
+        for (const change of changes) {
+            if (isStructuralChange(change)) {
+                touched.push(...shiftInputs(change));
+                continue;
+            }
+            if (!('value' in change) || change.x === undefined || change.y === undefined) {
+                continue;
+            }
+            touched.push(setInput(change.x, change.y, change.value));
+        }
+        return recalculateFrom(touched);
+    };
+
+    // Re-evaluates every formula, e.g. to refresh TODAY() / NOW()
+    const recalculateAll = (volatileOnly = false) => {
+        const keys = [...formulas.keys()].filter((key) => !volatileOnly || formulas.get(key).volatile);
+        return recalculateFrom(keys);
+    };
+
+    // Evaluates a formula that is not stored in a cell, e.g. for custom rules
+    const evaluateFormula = (text) => {
+        try {
+            const ast = parseFormula(text[0] === '=' ? text.slice(1) : text);
+            return toScalar(evaluate(ast));
+        } catch (e) {
+            return createFormulaError(ERROR_PARSE, 'Formula parse error: ' + e.message);
+        }
+    };
+
+    const getInput = (x, y) => {
+        const input = inputs.get(cellKey(x, y));
+        return input === undefined ? null : input;
+    };
+
+    const getFormula = (x, y) => {
+        const formula = formulas.get(cellKey(x, y));
+        return formula ? formula.text : null;
+    };
+
+    return {
+        applyChanges,
+        recalculateAll,
+        evaluateFormula,
+        getValue,
+        getInput,
+        getFormula,
+        isFormula: (x, y) => formulas.has(cellKey(x, y)),
+        getExtent: () => ({ ...extent }),
+        // cell prop functions that can be handed to Sheet directly
+        sourceData: getInput,
+        editData: getInput,
+        displayData: (x, y) => valueToDisplay(getValue(x, y)),
+    };
+}
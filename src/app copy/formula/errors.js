@@ -0,0 +1,15 @@
+export const ERROR_REF = '#REF!';
+export const ERROR_DIV0 = '#DIV/0!';
+export const ERROR_NAME = '#NAME?';
+export const ERROR_VALUE = '#VALUE!';
+export const ERROR_NA = '#N/A';
+export const ERROR_NUM = '#NUM!';
+export const ERROR_PARSE = '#ERROR!';
+
+export function createFormulaError(type, message) {
+    return { isFormulaError: true, type, message: message || '' };
+}
+
+export function isFormulaError(value) {
+    return value !== null && typeof value === 'object' && value.isFormulaError === true;
+}
@@ -0,0 +1,159 @@
+import { createFormulaError, isFormulaError, ERROR_NUM } from '../errors.js';
+import { dateToSerial, jsDateToSerial, serialToDate, toNumber, toText } from '../values.js';
+import { argumentCountError, firstError, valueError } from './helpers.js';
+
+const isoDatePattern = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+const usDatePattern = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+
+export function parseDateText(text) {
+    let match = isoDatePattern.exec(text.trim());
+    if (match) {
+        const time = ((+match[4] || 0) * 3600 + (+match[5] || 0) * 60 + (+match[6] || 0)) / 86400;
+        return dateToSerial(+match[1], +match[2], +match[3]) + time;
+    }
+    match = usDatePattern.exec(text.trim());
+    if (match) {
+        return dateToSerial(+match[3], +match[1], +match[2]);
+    }
+    return null;
+}
+
+function toSerial(value) {
+    if (typeof value === 'string') {
+        const serial = parseDateText(value);
+        if (serial !== null) {
+            return serial;
+        }
+    }
+    return toNumber(value);
+}
+
+function datePart(name, args, pick) {
+    if (args.length !== 1) {
+        return argumentCountError(name);
+    }
+    const serial = toSerial(args[0]);
+    if (isFormulaError(serial)) {
+        return serial;
+    }
+    if (serial < 0) {
+        return createFormulaError(ERROR_NUM, name + ' expects a non-negative date');
+    }
+    return pick(serialToDate(serial), serial);
+}
+
+function addMonths(serial, months) {
+    const date = serialToDate(serial);
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1 + months, day: date.getUTCDate() };
+}
+
+export const dateFunctions = {
+    DATE: (args) => {
+        if (args.length !== 3) {
+            return argumentCountError('DATE');
+        }
+        const numbers = args.map(toNumber);
+        const error = firstError(numbers);
+        if (error) {
+            return error;
+        }
+        let [year, month, day] = numbers.map(Math.floor);
+        if (year < 1900) {
+            year += 1900;
+        }
+        const serial = dateToSerial(year, month, day);
+        return serial < 0 ? createFormulaError(ERROR_NUM, 'DATE is before 1900') : serial;
+    },
+    TIME: (args) => {
+        if (args.length !== 3) {
+            return argumentCountError('TIME');
+        }
+        const numbers = args.map(toNumber);
+        const error = firstError(numbers);
+        if (error) {
+            return error;
+        }
+        const seconds = numbers[0] * 3600 + numbers[1] * 60 + numbers[2];
+        return (seconds / 86400) % 1;
+    },
+    DATEVALUE: (args) => {
+        if (args.length !== 1) {
+            return argumentCountError('DATEVALUE');
+        }
+        const text = toText(args[0]);
+        if (isFormulaError(text)) {
+            return text;
+        }
+        const serial = parseDateText(text);
+        return serial === null ? valueError('"' + text + '" is not a date') : Math.floor(serial);
+    },
+    TODAY: (args) => (args.length === 0 ? Math.floor(jsDateToSerial(new Date())) : argumentCountError('TODAY')),
+    NOW: (args) => (args.length === 0 ? jsDateToSerial(new Date()) : argumentCountError('NOW')),
+    YEAR: (args) => datePart('YEAR', args, (date) => date.getUTCFullYear()),
+    MONTH: (args) => datePart('MONTH', args, (date) => date.getUTCMonth() + 1),
+    DAY: (args) => datePart('DAY', args, (date) => date.getUTCDate()),
+    HOUR: (args) => datePart('HOUR', args, (date) => date.getUTCHours()),
+    MINUTE: (args) => datePart('MINUTE', args, (date) => date.getUTCMinutes()),
+    SECOND: (args) => datePart('SECOND', args, (date) => date.getUTCSeconds()),
+    WEEKDAY: (args) => {
+        if (args.length < 1 || args.length > 2) {
+            return argumentCountError('WEEKDAY');
+        }
+        const type = args.length > 1 ? toNumber(args[1]) : 1;
+        if (isFormulaError(type)) {
+            return type;
+        }
+        return datePart('WEEKDAY', [args[0]], (date) => {
+            const day = date.getUTCDay();
+            if (type === 2) {
+                return day === 0 ? 7 : day;
+            }
+            if (type === 3) {
+                return day === 0 ? 6 : day - 1;
+            }
+            return day + 1;
+        });
+    },
+    EDATE: (args) => {
+        if (args.length !== 2) {
+            return argumentCountError('EDATE');
+        }
+        const serial = toSerial(args[0]);
+        const months = toNumber(args[1]);
+        const error = firstError([serial, months]);
+        if (error) {
+            return error;
+        }
+        const { year, month, day } = addMonths(serial, Math.trunc(months));
+        // clamp to the last day of the target month, e.g. Jan 31 + 1 month is Feb 28
+        const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        return dateToSerial(year, month, Math.min(day, lastDay));
+    },
+    EOMONTH: (args) => {
+        if (args.length !== 2) {
+            return argumentCountError('EOMONTH');
+        }
+        const serial = toSerial(args[0]);
+        const months = toNumber(args[1]);
+        const error = firstError([serial, months]);
+        if (error) {
+            return error;
+        }
+        const { year, month } = addMonths(serial, Math.trunc(months));
+        return dateToSerial(year, month + 1, 0);
+    },
+    DAYS: (args) => {
+        if (args.length !== 2) {
+            return argumentCountError('DAYS');
+        }
+        const end = toSerial(args[0]);
+        const start = toSerial(args[1]);
+        const error = firstError([end, start]);
+        if (error) {
+            return error;
+        }
+        return Math.floor(end) - Math.floor(start);
+    },
+};
+
+export const volatileFunctions = ['TODAY', 'NOW'];
@@ -0,0 +1,133 @@
+import { createFormulaError, isFormulaError, ERROR_VALUE, ERROR_NA } from '../errors.js';
+import { flatten, isBlank, isRange, parseNumber, toNumber, toText } from '../values.js';
+
+export function firstError(values) {
+    for (const value of values) {
+        if (isFormulaError(value)) {
+            return value;
+        }
+    }
+    return null;
+}
+
+export function argumentCountError(name) {
+    return createFormulaError(ERROR_NA, 'Wrong number of arguments to ' + name);
+}
+
+// Numbers inside ranges are collected as is and text or booleans there are skipped,
+// while scalars passed directly are coerced (so SUM("2", TRUE) is 3).
+export function collectNumbers(args) {
+    const numbers = [];
+    for (const { value, fromRange } of flatten(args)) {
+        if (isFormulaError(value)) {
+            return value;
+        }
+        if (fromRange) {
+            if (typeof value === 'number') {
+                numbers.push(value);
+            }
+        } else if (!isBlank(value)) {
+            const number = toNumber(value);
+            if (isFormulaError(number)) {
+                return number;
+            }
+            numbers.push(number);
+        }
+    }
+    return numbers;
+}
+
+export function numberArgs(name, args, min, max = min) {
+    if (args.length < min || args.length > max) {
+        return argumentCountError(name);
+    }
+    const numbers = args.map(toNumber);
+    return firstError(numbers) || numbers;
+}
+
+export function asRange(value) {
+    return isRange(value) ? value : [[value]];
+}
+
+function wildcardToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const ch = pattern[i];
+        if (ch === '~' && i + 1 < pattern.length) {
+            source += pattern[i + 1].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            i++;
+        } else if (ch === '*') {
+            source += '.*';
+        } else if (ch === '?') {
+            source += '.';
+        } else {
+            source += ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp('^' + source + '$', 'i');
+}
+
+// Builds a predicate for SUMIF / COUNTIF style criteria such as ">5", "<>apple" or "a*"
+export function createCriteria(criteria) {
+    if (typeof criteria === 'number' || typeof criteria === 'boolean') {
+        return (value) => value === criteria;
+    }
+    const text = toText(criteria);
+    const match = /^(<=|>=|<>|<|>|=)?(.*)$/.exec(text);
+    const op = match[1] || '=';
+    const operand = match[2];
+    const operandNumber = parseNumber(operand);
+
+    if (operandNumber !== null) {
+        return (value) => {
+            const number = typeof value === 'number' ? value : typeof value === 'string' ? parseNumber(value) : null;
+            if (number === null) {
+                return op === '<>';
+            }
+            switch (op) {
+                case '<':
+                    return number < operandNumber;
+                case '>':
+                    return number > operandNumber;
+                case '<=':
+                    return number <= operandNumber;
+                case '>=':
+                    return number >= operandNumber;
+                case '<>':
+                    return number !== operandNumber;
+                default:
+                    return number === operandNumber;
+            }
+        };
+    }
+
+    if (op === '=' || op === '<>') {
+        const regex = wildcardToRegExp(operand);
+        return (value) => {
+            const matches = operand === '' ? isBlank(value) : !isFormulaError(value) && regex.test(toText(value));
+            return op === '=' ? matches : !matches;
+        };
+    }
+
+    const lower = operand.toLowerCase();
+    return (value) => {
+        if (typeof value !== 'string') {
+            return false;
+        }
+        const cmp = value.toLowerCase().localeCompare(lower);
+        switch (op) {
+            case '<':
+                return cmp < 0;
+            case '>':
+                return cmp > 0;
+            case '<=':
+                return cmp <= 0;
+            default:
+                return cmp >= 0;
+        }
+    };
+}
+
+export function valueError(message) {
+    return createFormulaError(ERROR_VALUE, message);
+}
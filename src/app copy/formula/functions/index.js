@@ -0,0 +1,17 @@
+import { mathFunctions } from './math.js';
+import { textFunctions } from './text.js';
+import { logicalFunctions } from './logical.js';
+import { lookupFunctions } from './lookup.js';
+import { dateFunctions, volatileFunctions } from './date.js';
+
+// Every function receives its evaluated arguments (scalars, or 2D arrays for ranges)
+// and returns a scalar, a 2D array, or a formula error.
+export const builtinFunctions = {
+    ...mathFunctions,
+    ...textFunctions,
+    ...logicalFunctions,
+    ...lookupFunctions,
+    ...dateFunctions,
+};
+
+export { volatileFunctions };
@@ -0,0 +1,103 @@
+import { createFormulaError, isFormulaError, ERROR_NA } from '../errors.js';
+import { flatten, isBlank, isRange, toBoolean } from '../values.js';
+import { argumentCountError } from './helpers.js';
+
+function scalar(value) {
+    return isRange(value) ? value[0][0] : value;
+}
+
+function booleans(args) {
+    const result = [];
+    for (const { value, fromRange } of flatten(args)) {
+        if (isFormulaError(value)) {
+            return value;
+        }
+        // text and blanks inside ranges are ignored
+        if (fromRange && typeof value !== 'boolean' && typeof value !== 'number') {
+            continue;
+        }
+        const bool = toBoolean(value);
+        if (isFormulaError(bool)) {
+            return bool;
+        }
+        result.push(bool);
+    }
+    return result;
+}
+
+export const logicalFunctions = {
+    IF: (args) => {
+        if (args.length < 2 || args.length > 3) {
+            return argumentCountError('IF');
+        }
+        const condition = toBoolean(args[0]);
+        if (isFormulaError(condition)) {
+            return condition;
+        }
+        if (condition) {
+            return args[1];
+        }
+        return args.length > 2 ? args[2] : false;
+    },
+    IFS: (args) => {
+        if (args.length < 2 || args.length % 2 !== 0) {
+            return argumentCountError('IFS');
+        }
+        for (let i = 0; i < args.length; i += 2) {
+            const condition = toBoolean(args[i]);
+            if (isFormulaError(condition)) {
+                return condition;
+            }
+            if (condition) {
+                return args[i + 1];
+            }
+        }
+        return createFormulaError(ERROR_NA, 'No IFS condition matched');
+    },
+    AND: (args) => {
+        const values = booleans(args);
+        return isFormulaError(values) ? values : values.every((v) => v);
+    },
+    OR: (args) => {
+        const values = booleans(args);
+        return isFormulaError(values) ? values : values.some((v) => v);
+    },
+    XOR: (args) => {
+        const values = booleans(args);
+        return isFormulaError(values) ? values : values.filter((v) => v).length % 2 === 1;
+    },
+    NOT: (args) => {
+        if (args.length !== 1) {
+            return argumentCountError('NOT');
+        }
+        const value = toBoolean(args[0]);
+        return isFormulaError(value) ? value : !value;
+    },
+    TRUE: () => true,
+    FALSE: () => false,
+    IFERROR: (args) => {
+        if (args.length !== 2) {
+            return argumentCountError('IFERROR');
+        }
+        return isFormulaError(scalar(args[0])) ? args[1] : args[0];
+    },
+    IFNA: (args) => {
+        if (args.length !== 2) {
+            return argumentCountError('IFNA');
+        }
+        const value = scalar(args[0]);
+        return isFormulaError(value) && value.type === ERROR_NA ? args[1] : args[0];
+    },
+    ISBLANK: (args) => (args.length === 1 ? isBlank(scalar(args[0])) : argumentCountError('ISBLANK')),
+    ISNUMBER: (args) => (args.length === 1 ? typeof scalar(args[0]) === 'number' : argumentCountError('ISNUMBER')),
+    ISTEXT: (args) => (args.length === 1 ? typeof scalar(args[0]) === 'string' : argumentCountError('ISTEXT')),
+    ISLOGICAL: (args) => (args.length === 1 ? typeof scalar(args[0]) === 'boolean' : argumentCountError('ISLOGICAL')),
+    ISERROR: (args) => (args.length === 1 ? isFormulaError(scalar(args[0])) : argumentCountError('ISERROR')),
+    ISNA: (args) => {
+        if (args.length !== 1) {
+            return argumentCountError('ISNA');
+        }
+        const value = scalar(args[0]);
+        return isFormulaError(value) && value.type === ERROR_NA;
+    },
+};
@@ -0,0 +1,163 @@
+import { createFormulaError, isFormulaError, ERROR_NA, ERROR_REF } from '../errors.js';
+import { isBlank, isRange, toBoolean, toNumber } from '../values.js';
+import { argumentCountError, asRange, firstError } from './helpers.js';
+
+// Orders numbers before text before booleans, like spreadsheet lookups do
+function compareLookupValues(a, b) {
+    const rank = (v) => (typeof v === 'number' ? 0 : typeof v === 'string' ? 1 : typeof v === 'boolean' ? 2 : 3);
+    const ra = rank(a);
+    const rb = rank(b);
+    if (ra !== rb) {
+        return ra - rb;
+    }
+    if (typeof a === 'string') {
+        return a.toLowerCase().localeCompare(b.toLowerCase());
+    }
+    if (typeof a === 'boolean') {
+        return Number(a) - Number(b);
+    }
+    if (ra === 3) {
+        return 0;
+    }
+    return a - b;
+}
+
+function lookupEquals(a, b) {
+    if (isBlank(a) || isBlank(b)) {
+        return isBlank(a) && isBlank(b);
+    }
+    return typeof a === typeof b && compareLookupValues(a, b) === 0;
+}
+
+// Returns the index of the match in a list of values, or -1.
+// matchType 0 is exact, 1 finds the largest value <= needle, -1 the smallest value >= needle.
+function findIndex(list, needle, matchType) {
+    if (matchType === 0) {
+        return list.findIndex((value) => lookupEquals(value, needle));
+    }
+    let found = -1;
+    for (let i = 0; i < list.length; i++) {
+        const value = list[i];
+        if (isBlank(value) || isFormulaError(value)) {
+            continue;
+        }
+        const cmp = compareLookupValues(value, needle);
+        if (cmp === 0) {
+            return i;
+        }
+        if ((matchType > 0 && cmp < 0) || (matchType < 0 && cmp > 0)) {
+            found = i;
+        } else {
+            break;
+        }
+    }
+    return found;
+}
+
+function notFound(needle) {
+    return createFormulaError(ERROR_NA, 'Did not find value "' + needle + '"');
+}
+
+function tableLookup(name, args, vertical) {
+    if (args.length < 3 || args.length > 4) {
+        return argumentCountError(name);
+    }
+    const needle = isRange(args[0]) ? args[0][0][0] : args[0];
+    const table = asRange(args[1]);
+    const index = toNumber(args[2]);
+    const approximate = args.length > 3 ? toBoolean(args[3]) : true;
+    const error = firstError([needle, index, approximate]);
+    if (error) {
+        return error;
+    }
+
+    const keys = vertical ? table.map((row) => row[0]) : table[0];
+    const width = vertical ? table[0].length : table.length;
+    if (index < 1 || index > width) {
+        return createFormulaError(ERROR_REF, name + ' index is out of range');
+    }
+    const found = findIndex(keys, needle, approximate ? 1 : 0);
+    if (found === -1) {
+        return notFound(needle);
+    }
+    return vertical ? table[found][index - 1] : table[index - 1][found];
+}
+
+export const lookupFunctions = {
+    VLOOKUP: (args) => tableLookup('VLOOKUP', args, true),
+    HLOOKUP: (args) => tableLookup('HLOOKUP', args, false),
+    MATCH: (args) => {
+        if (args.length < 2 || args.length > 3) {
+            return argumentCountError('MATCH');
+        }
+        const needle = isRange(args[0]) ? args[0][0][0] : args[0];
+        const range = asRange(args[1]);
+        const matchType = args.length > 2 ? toNumber(args[2]) : 1;
+        const error = firstError([needle, matchType]);
+        if (error) {
+            return error;
+        }
+        const list = range.length === 1 ? range[0] : range.map((row) => row[0]);
+        const found = findIndex(list, needle, Math.sign(matchType));
+        return found === -1 ? notFound(needle) : found + 1;
+    },
+    INDEX: (args) => {
+        if (args.length < 2 || args.length > 3) {
+            return argumentCountError('INDEX');
+        }
+        const range = asRange(args[0]);
+        let row = toNumber(args[1]);
+        let column = args.length > 2 ? toNumber(args[2]) : 0;
+        const error = firstError([row, column]);
+        if (error) {
+            return error;
+        }
+        // a single row or column can be indexed with one number
+        if (args.length === 2 && range.length === 1) {
+            column = row;
+            row = 1;
+        }
+        row = row || 1;
+        column = column || 1;
+        if (row < 1 || row > range.length || column < 1 || column > range[0].length) {
+            return createFormulaError(ERROR_REF, 'INDEX is out of range');
+        }
+        return range[row - 1][column - 1];
+    },
+    XLOOKUP: (args) => {
+        if (args.length < 3 || args.length > 4) {
+            return argumentCountError('XLOOKUP');
+        }
+        const needle = isRange(args[0]) ? args[0][0][0] : args[0];
+        if (isFormulaError(needle)) {
+            return needle;
+        }
+        const keys = asRange(args[1]);
+        const results = asRange(args[2]);
+        const vertical = keys.length > 1;
+        const list = vertical ? keys.map((row) => row[0]) : keys[0];
+        const found = findIndex(list, needle, 0);
+        if (found === -1) {
+            return args.length > 3 ? args[3] : notFound(needle);
+        }
+        if (vertical) {
+            return results[found] ? (results[found].length === 1 ? results[found][0] : [results[found]]) : notFound(needle);
+        }
+        return results.length === 1 ? results[0][found] : results.map((row) => [row[found]]);
+    },
+    CHOOSE: (args) => {
+        if (args.length < 2) {
+            return argumentCountError('CHOOSE');
+        }
+        const index = toNumber(args[0]);
+        if (isFormulaError(index)) {
+            return index;
+        }
+        if (index < 1 || index >= args.length) {
+            return createFormulaError(ERROR_REF, 'CHOOSE index is out of range');
+        }
+        return args[Math.floor(index)];
+    },
+    ROWS: (args) => (args.length === 1 ? asRange(args[0]).length : argumentCountError('ROWS')),
+    COLUMNS: (args) => (args.length === 1 ? asRange(args[0])[0].length : argumentCountError('COLUMNS')),
+};
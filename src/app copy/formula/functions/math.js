@@ -0,0 +1,222 @@
+import { createFormulaError, isFormulaError, ERROR_DIV0, ERROR_NUM } from '../errors.js';
+import { flatten, isBlank, toNumber } from '../values.js';
+import { argumentCountError, asRange, collectNumbers, createCriteria, numberArgs } from './helpers.js';
+
+function roundTo(value, digits, mode) {
+    const factor = Math.pow(10, digits);
+    // avoid 1.005 * 100 = 100.49999999999999
+    const scaled = parseFloat((Math.abs(value) * factor).toPrecision(15));
+    let rounded;
+    if (mode === 'up') {
+        rounded = Math.ceil(scaled);
+    } else if (mode === 'down') {
+        rounded = Math.floor(scaled);
+    } else {
+        rounded = Math.round(scaled);
+    }
+    return (Math.sign(value) * rounded) / factor;
+}
+
+function round(mode) {
+    return (args) => {
+        const numbers = numberArgs('ROUND', args, 1, 2);
+        if (isFormulaError(numbers)) {
+            return numbers;
+        }
+        return roundTo(numbers[0], Math.trunc(numbers[1] || 0), mode);
+    };
+}
+
+// Shared implementation of SUMIF / COUNTIF / AVERAGEIF
+function conditionalAggregate(name, args, aggregate) {
+    if (args.length < 2 || args.length > 3) {
+        return argumentCountError(name);
+    }
+    const range = asRange(args[0]);
+    const valuesRange = args.length === 3 ? asRange(args[2]) : range;
+    const matches = createCriteria(args[1]);
+    const numbers = [];
+    let count = 0;
+    for (let r = 0; r < range.length; r++) {
+        for (let c = 0; c < range[r].length; c++) {
+            if (!matches(range[r][c])) {
+                continue;
+            }
+            count++;
+            const value = valuesRange[r] ? valuesRange[r][c] : null;
+            if (isFormulaError(value)) {
+                return value;
+            }
+            if (typeof value === 'number') {
+                numbers.push(value);
+            }
+        }
+    }
+    return aggregate(numbers, count);
+}
+
+export const mathFunctions = {
+    SUM: (args) => {
+        const numbers = collectNumbers(args);
+        return isFormulaError(numbers) ? numbers : numbers.reduce((a, b) => a + b, 0);
+    },
+    PRODUCT: (args) => {
+        const numbers = collectNumbers(args);
+        return isFormulaError(numbers) ? numbers : numbers.reduce((a, b) => a * b, 1);
+    },
+    AVERAGE: (args) => {
+        const numbers = collectNumbers(args);
+        if (isFormulaError(numbers)) {
+            return numbers;
+        }
+        if (numbers.length === 0) {
+            return createFormulaError(ERROR_DIV0, 'AVERAGE of an empty set');
+        }
+        return numbers.reduce((a, b) => a + b, 0) / numbers.length;
+    },
+    MIN: (args) => {
+        const numbers = collectNumbers(args);
+        return isFormulaError(numbers) ? numbers : numbers.length ? Math.min(...numbers) : 0;
+    },
+    MAX: (args) => {
+        const numbers = collectNumbers(args);
+        return isFormulaError(numbers) ? numbers : numbers.length ? Math.max(...numbers) : 0;
+    },
+    MEDIAN: (args) => {
+        const numbers = collectNumbers(args);
+        if (isFormulaError(numbers)) {
+            return numbers;
+        }
+        if (numbers.length === 0) {
+            return createFormulaError(ERROR_NUM, 'MEDIAN of an empty set');
+        }
+        numbers.sort((a, b) => a - b);
+        const mid = Math.floor(numbers.length / 2);
+        return numbers.length % 2 ? numbers[mid] : (numbers[mid - 1] + numbers[mid]) / 2;
+    },
+    COUNT: (args) => {
+        let count = 0;
+        for (const { value, fromRange } of flatten(args)) {
+            if (typeof value === 'number') {
+                count++;
+            } else if (!fromRange && !isBlank(value) && !isFormulaError(toNumber(value))) {
+                count++;
+            }
+        }
+        return count;
+    },
+    COUNTA: (args) => {
+        let count = 0;
+        for (const { value } of flatten(args)) {
+            if (!isBlank(value)) {
+                count++;
+            }
+        }
+        return count;
+    },
+    COUNTBLANK: (args) => {
+        let count = 0;
+        for (const { value } of flatten(args)) {
+            if (isBlank(value)) {
+                count++;
+            }
+        }
+        return count;
+    },
+    SUMIF: (args) => conditionalAggregate('SUMIF', args, (numbers) => numbers.reduce((a, b) => a + b, 0)),
+    COUNTIF: (args) => (args.length === 2 ? conditionalAggregate('COUNTIF', args, (numbers, count) => count) : argumentCountError('COUNTIF')),
+    AVERAGEIF: (args) =>
+        conditionalAggregate('AVERAGEIF', args, (numbers) =>
+            numbers.length ? numbers.reduce((a, b) => a + b, 0) / numbers.length : createFormulaError(ERROR_DIV0)
+        ),
+    ABS: (args) => {
+        const numbers = numberArgs('ABS', args, 1);
+        return isFormulaError(numbers) ? numbers : Math.abs(numbers[0]);
+    },
+    SIGN: (args) => {
+        const numbers = numberArgs('SIGN', args, 1);
+        return isFormulaError(numbers) ? numbers : Math.sign(numbers[0]);
+    },
+    INT: (args) => {
+        const numbers = numberArgs('INT', args, 1);
+        return isFormulaError(numbers) ? numbers : Math.floor(numbers[0]);
+    },
+    ROUND: round('nearest'),
+    ROUNDUP: round('up'),
+    ROUNDDOWN: round('down'),
+    MOD: (args) => {
+        const numbers = numberArgs('MOD', args, 2);
+        if (isFormulaError(numbers)) {
+            return numbers;
+        }
+        const [n, d] = numbers;
+        if (d === 0) {
+            return createFormulaError(ERROR_DIV0, 'MOD by zero');
+        }
+        return n - d * Math.floor(n / d);
+    },
+    POWER: (args) => {
+        const numbers = numberArgs('POWER', args, 2);
+        if (isFormulaError(numbers)) {
+            return numbers;
+        }
+        const result = Math.pow(numbers[0], numbers[1]);
+        return isFinite(result) ? result : createFormulaError(ERROR_NUM);
+    },
+    SQRT: (args) => {
+        const numbers = numberArgs('SQRT', args, 1);
+        if (isFormulaError(numbers)) {
+            return numbers;
+        }
+        return numbers[0] < 0 ? createFormulaError(ERROR_NUM, 'SQRT of a negative number') : Math.sqrt(numbers[0]);
+    },
+    EXP: (args) => {
+        const numbers = numberArgs('EXP', args, 1);
+        return isFormulaError(numbers) ? numbers : Math.exp(numbers[0]);
+    },
+    LN: (args) => {
+        const numbers = numberArgs('LN', args, 1);
+        if (isFormulaError(numbers)) {
+            return numbers;
+        }
+        return numbers[0] <= 0 ? createFormulaError(ERROR_NUM) : Math.log(numbers[0]);
+    },
+    LOG: (args) => {
+        const numbers = numberArgs('LOG', args, 1, 2);
+        if (isFormulaError(numbers)) {
+            return numbers;
+        }
+        const base = numbers.length > 1 ? numbers[1] : 10;
+        if (numbers[0] <= 0 || base <= 0 || base === 1) {
+            return createFormulaError(ERROR_NUM);
+        }
+        return Math.log(numbers[0]) / Math.log(base);
+    },
+    LOG10: (args) => {
+        const numbers = numberArgs('LOG10', args, 1);
+        if (isFormulaError(numbers)) {
+            return numbers;
+        }
+        return numbers[0] <= 0 ? createFormulaError(ERROR_NUM) : Math.log10(numbers[0]);
+    },
+    CEILING: (args) => {
+        const numbers = numberArgs('CEILING', args, 1, 2);
+        if (isFormulaError(numbers)) {
+            return numbers;
+        }
+        const significance = numbers.length > 1 ? numbers[1] : 1;
+        return significance === 0 ? 0 : Math.ceil(numbers[0] / significance) * significance;
+    },
+    FLOOR: (args) => {
+        const numbers = numberArgs('FLOOR', args, 1, 2);
+        if (isFormulaError(numbers)) {
+            return numbers;
+        }
+        const significance = numbers.length > 1 ? numbers[1] : 1;
+        if (significance === 0) {
+            return createFormulaError(ERROR_DIV0);
+        }
+        return Math.floor(numbers[0] / significance) * significance;
+    },
+    PI: (args) => (args.length === 0 ? Math.PI : argumentCountError('PI')),
+};
@@ -0,0 +1,192 @@
+import { isFormulaError } from '../errors.js';
+import { flatten, isBlank, parseNumber, toBoolean, toNumber, toText } from '../values.js';
+import { argumentCountError, firstError, valueError } from './helpers.js';
+
+function textArgs(name, args, min, max = min) {
+    if (args.length < min || args.length > max) {
+        return argumentCountError(name);
+    }
+    const texts = args.map(toText);
+    return firstError(texts) || texts;
+}
+
+function substring(name, args, pick) {
+    if (args.length < 1 || args.length > 2) {
+        return argumentCountError(name);
+    }
+    const text = toText(args[0]);
+    const count = args.length > 1 ? toNumber(args[1]) : 1;
+    const error = firstError([text, count]);
+    if (error) {
+        return error;
+    }
+    if (count < 0) {
+        return valueError(name + ' expects a non-negative length');
+    }
+    return pick(text, Math.floor(count));
+}
+
+function find(name, args, caseSensitive) {
+    if (args.length < 2 || args.length > 3) {
+        return argumentCountError(name);
+    }
+    const needle = toText(args[0]);
+    const haystack = toText(args[1]);
+    const start = args.length > 2 ? toNumber(args[2]) : 1;
+    const error = firstError([needle, haystack, start]);
+    if (error) {
+        return error;
+    }
+    const index = caseSensitive
+        ? haystack.indexOf(needle, start - 1)
+        : haystack.toLowerCase().indexOf(needle.toLowerCase(), start - 1);
+    if (start < 1 || index === -1) {
+        return valueError('"' + needle + '" was not found');
+    }
+    return index + 1;
+}
+
+function concatenate(args) {
+    let result = '';
+    for (const { value } of flatten(args)) {
+        const text = toText(value);
+        if (isFormulaError(text)) {
+            return text;
+        }
+        result += text;
+    }
+    return result;
+}
+
+export const textFunctions = {
+    CONCATENATE: concatenate,
+    CONCAT: concatenate,
+    TEXTJOIN: (args) => {
+        if (args.length < 3) {
+            return argumentCountError('TEXTJOIN');
+        }
+        const delimiter = toText(args[0]);
+        const ignoreEmpty = toBoolean(args[1]);
+        const error = firstError([delimiter, ignoreEmpty]);
+        if (error) {
+            return error;
+        }
+        const parts = [];
+        for (const { value } of flatten(args.slice(2))) {
+            if (isFormulaError(value)) {
+                return value;
+            }
+            if (ignoreEmpty && isBlank(value)) {
+                continue;
+            }
+            parts.push(toText(value));
+        }
+        return parts.join(delimiter);
+    },
+    LEN: (args) => {
+        const texts = textArgs('LEN', args, 1);
+        return isFormulaError(texts) ? texts : texts[0].length;
+    },
+    LEFT: (args) => substring('LEFT', args, (text, count) => text.slice(0, count)),
+    RIGHT: (args) => substring('RIGHT', args, (text, count) => (count === 0 ? '' : text.slice(-count))),
+    MID: (args) => {
+        if (args.length !== 3) {
+            return argumentCountError('MID');
+        }
+        const text = toText(args[0]);
+        const start = toNumber(args[1]);
+        const count = toNumber(args[2]);
+        const error = firstError([text, start, count]);
+        if (error) {
+            return error;
+        }
+        if (start < 1 || count < 0) {
+            return valueError('MID expects a positive start and a non-negative length');
+        }
+        return text.substr(Math.floor(start) - 1, Math.floor(count));
+    },
+    UPPER: (args) => {
+        const texts = textArgs('UPPER', args, 1);
+        return isFormulaError(texts) ? texts : texts[0].toUpperCase();
+    },
+    LOWER: (args) => {
+        const texts = textArgs('LOWER', args, 1);
+        return isFormulaError(texts) ? texts : texts[0].toLowerCase();
+    },
+    PROPER: (args) => {
+        const texts = textArgs('PROPER', args, 1);
+        if (isFormulaError(texts)) {
+            return texts;
+        }
+        return texts[0].toLowerCase().replace(/(^|[^a-z])([a-z])/g, (m, before, letter) => before + letter.toUpperCase());
+    },
+    TRIM: (args) => {
+        const texts = textArgs('TRIM', args, 1);
+        return isFormulaError(texts) ? texts : texts[0].trim().replace(/ +/g, ' ');
+    },
+    REPT: (args) => {
+        if (args.length !== 2) {
+            return argumentCountError('REPT');
+        }
+        const text = toText(args[0]);
+        const count = toNumber(args[1]);
+        const error = firstError([text, count]);
+        if (error) {
+            return error;
+        }
+        return count < 0 ? valueError('REPT expects a non-negative count') : text.repeat(Math.floor(count));
+    },
+    SUBSTITUTE: (args) => {
+        if (args.length < 3 || args.length > 4) {
+            return argumentCountError('SUBSTITUTE');
+        }
+        const [text, search, replacement] = args.slice(0, 3).map(toText);
+        const occurrence = args.length > 3 ? toNumber(args[3]) : null;
+        const error = firstError([text, search, replacement, occurrence]);
+        if (error) {
+            return error;
+        }
+        if (search === '') {
+            return text;
+        }
+        if (occurrence === null) {
+            return text.split(search).join(replacement);
+        }
+        let index = -1;
+        for (let i = 0; i < occurrence; i++) {
+            index = text.indexOf(search, index + 1);
+            if (index === -1) {
+                return text;
+            }
+        }
+        return text.slice(0, index) + replacement + text.slice(index + search.length);
+    },
+    REPLACE: (args) => {
+        if (args.length !== 4) {
+            return argumentCountError('REPLACE');
+        }
+        const text = toText(args[0]);
+        const start = toNumber(args[1]);
+        const count = toNumber(args[2]);
+        const replacement = toText(args[3]);
+        const error = firstError([text, start, count, replacement]);
+        if (error) {
+            return error;
+        }
+        return text.slice(0, start - 1) + replacement + text.slice(start - 1 + count);
+    },
+    FIND: (args) => find('FIND', args, true),
+    SEARCH: (args) => find('SEARCH', args, false),
+    EXACT: (args) => {
+        const texts = textArgs('EXACT', args, 2);
+        return isFormulaError(texts) ? texts : texts[0] === texts[1];
+    },
+    VALUE: (args) => {
+        const texts = textArgs('VALUE', args, 1);
+        if (isFormulaError(texts)) {
+            return texts;
+        }
+        const number = texts[0] === '' ? 0 : parseNumber(texts[0]);
+        return number === null ? valueError('"' + texts[0] + '" is not a number') : number;
+    },
+};
@@ -0,0 +1,161 @@
+import { tokenize } from './tokenizer.js';
+import { parseCellAddress, parseRangeAddress } from '../addressing.js';
+
+const binaryPrecedence = {
+    '=': 1,
+    '<>': 1,
+    '<': 1,
+    '>': 1,
+    '<=': 1,
+    '>=': 1,
+    '&': 2,
+    '+': 3,
+    '-': 3,
+    '*': 4,
+    '/': 4,
+    '^': 5,
+};
+const unaryPrecedence = 6;
+
+// Parses formula text (without the leading '=') into an AST.
+// Throws a SyntaxError when the formula cannot be parsed.
+export function parseFormula(text) {
+    const tokens = tokenize(text);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+    const isOperator = (token, value) => token && token.type === 'operator' && token.value === value;
+
+    const expect = (value) => {
+        const token = next();
+        if (!isOperator(token, value)) {
+            throw new SyntaxError('Expected ' + value);
+        }
+    };
+
+    const parsePrimary = () => {
+        const token = next();
+        if (!token) {
+            throw new SyntaxError('Unexpected end of formula');
+        }
+
+        switch (token.type) {
+            case 'number':
+                return { type: 'number', value: token.value };
+            case 'string':
+                return { type: 'string', value: token.value };
+            case 'boolean':
+                return { type: 'boolean', value: token.value };
+            case 'error':
+                return { type: 'error', value: token.value };
+            case 'name':
+                return { type: 'name', name: token.value };
+            case 'cell': {
+                const ref = parseCellAddress(token.value);
+                if (!ref) {
+                    return { type: 'error', value: '#REF!' };
+                }
+                return { type: 'cell', ref };
+            }
+            case 'range': {
+                const ref = parseRangeAddress(token.value);
+                if (!ref) {
+                    return { type: 'error', value: '#REF!' };
+                }
+                return { type: 'range', ref };
+            }
+            case 'function': {
+                expect('(');
+                const args = [];
+                if (isOperator(peek(), ')')) {
+                    next();
+                } else {
+                    for (;;) {
+                        if (isOperator(peek(), ',') || isOperator(peek(), ')')) {
+                            // empty argument, e.g. IF(A1,,2)
+                            args.push({ type: 'empty' });
+                        } else {
+                            args.push(parseExpression(0));
+                        }
+                        const separator = next();
+                        if (isOperator(separator, ')')) {
+                            break;
+                        }
+                        if (!isOperator(separator, ',')) {
+                            throw new SyntaxError('Expected , or )');
+                        }
+                    }
+                }
+                return { type: 'function', name: token.value, args };
+            }
+            case 'operator':
+                if (token.value === '(') {
+                    const inner = parseExpression(0);
+                    expect(')');
+                    return inner;
+                }
+                if (token.value === '-' || token.value === '+') {
+                    const arg = parseExpression(unaryPrecedence);
+                    return { type: 'unary', op: token.value, arg };
+                }
+                break;
+            default:
+                break;
+        }
+        throw new SyntaxError('Unexpected token');
+    };
+
+    const parseExpression = (minPrecedence) => {
+        let left = parsePrimary();
+
+        for (;;) {
+            const token = peek();
+            if (isOperator(token, '%')) {
+                next();
+                left = { type: 'percent', arg: left };
+                continue;
+            }
+            if (!token || token.type !== 'operator' || !(token.value in binaryPrecedence)) {
+                break;
+            }
+            const precedence = binaryPrecedence[token.value];
+            if (precedence <= minPrecedence) {
+                break;
+            }
+            next();
+            // '^' is right associative, the rest are left associative
+            const right = parseExpression(token.value === '^' ? precedence - 1 : precedence);
+            left = { type: 'binary', op: token.value, left, right };
+        }
+        return left;
+    };
+
+    const ast = parseExpression(0);
+    if (pos < tokens.length) {
+        throw new SyntaxError('Unexpected token after end of formula');
+    }
+    return ast;
+}
+
+// Collects the cell and range references an AST reads from
+export function collectReferences(ast, cells = [], ranges = []) {
+    if (!ast) {
+        return { cells, ranges };
+    }
+    if (ast.type === 'cell') {
+        cells.push(ast.ref);
+    } else if (ast.type === 'range') {
+        ranges.push(ast.ref);
+    } else if (ast.type === 'function') {
+        for (const arg of ast.args) {
+            collectReferences(arg, cells, ranges);
+        }
+    } else if (ast.type === 'unary' || ast.type === 'percent') {
+        collectReferences(ast.arg, cells, ranges);
+    } else if (ast.type === 'binary') {
+        collectReferences(ast.left, cells, ranges);
+        collectReferences(ast.right, cells, ranges);
+    }
+    return { cells, ranges };
+}
@@ -0,0 +1,81 @@
+import { tokenize } from './tokenizer.js';
+import { formatRangeAddress, isWholeColumn, isWholeRow, parseRangeAddress } from '../addressing.js';
+
+// Rewrites every cell and range reference of a formula ('=...') through mapReference.
+// mapReference gets { x1, y1, x2, y2, absX1, absY1, absX2, absY2 } (a single cell has equal corners)
+// and returns the new reference, the same object to keep it, or null to turn it into #REF!.
+export function rewriteReferences(formula, mapReference) {
+    if (typeof formula !== 'string' || formula[0] !== '=') {
+        return formula;
+    }
+    let tokens;
+    try {
+        tokens = tokenize(formula.slice(1));
+    } catch (e) {
+        return formula;
+    }
+
+    let result = '';
+    let last = 0;
+    const body = formula.slice(1);
+    for (const token of tokens) {
+        if (token.type !== 'cell' && token.type !== 'range') {
+            continue;
+        }
+        const ref = parseRangeAddress(token.value);
+        if (!ref) {
+            continue;
+        }
+        const mapped = mapReference(ref);
+        let text = token.value;
+        if (mapped === null) {
+            text = '#REF!';
+        } else if (mapped !== ref) {
+            text = formatRangeAddress(mapped);
+            // keep 'A1:A1' style ranges as ranges
+            if (token.type === 'range' && !text.includes(':')) {
+                text = text + ':' + text;
+            }
+        }
+        result += body.slice(last, token.start) + text;
+        last = token.end;
+    }
+    return '=' + result + body.slice(last);
+}
+
+// Shifts the relative parts of every reference, as when a formula is copied dx columns / dy rows
+export function shiftFormula(formula, dx, dy) {
+    if (dx === 0 && dy === 0) {
+        return formula;
+    }
+    return rewriteReferences(formula, (ref) => {
+        // whole columns keep their rows and whole rows keep their columns
+        const fixedX = isWholeRow(ref);
+        const fixedY = isWholeColumn(ref);
+        const shifted = {
+            ...ref,
+            x1: ref.absX1 || fixedX ? ref.x1 : ref.x1 + dx,
+            x2: ref.absX2 || fixedX ? ref.x2 : ref.x2 + dx,
+            y1: ref.absY1 || fixedY ? ref.y1 : ref.y1 + dy,
+            y2: ref.absY2 || fixedY ? ref.y2 : ref.y2 + dy,
+        };
+        if (shifted.x1 < 0 || shifted.y1 < 0) {
+            return null;
+        }
+        return shifted;
+    });
+}
+
+// Points the references lying wholly inside range dx columns / dy rows further, absolute parts
+// included, as when the cells of range are moved there; other references stay as they are
+export function moveReferences(formula, range, dx, dy) {
+    if (dx === 0 && dy === 0) {
+        return formula;
+    }
+    return rewriteReferences(formula, (ref) => {
+        if (ref.x1 < range.x1 || ref.x2 > range.x2 || ref.y1 < range.y1 || ref.y2 > range.y2) {
+            return ref;
+        }
+        return { ...ref, x1: ref.x1 + dx, x2: ref.x2 + dx, y1: ref.y1 + dy, y2: ref.y2 + dy };
+    });
+}
@@ -0,0 +1,115 @@
+// Splits formula text (without the leading '=') into tokens. Every token keeps its
+// source position so references can be rewritten in place later on.
+const cellRangePattern = /^\$?[A-Za-z]{1,3}\$?\d+(?::\$?[A-Za-z]{1,3}\$?\d+)?/;
+const columnRangePattern = /^\$?[A-Za-z]{1,3}:\$?[A-Za-z]{1,3}(?![A-Za-z0-9_(])/;
+const rowRangePattern = /^\$?\d+:\$?\d+/;
+const numberPattern = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/;
+const identifierPattern = /^[A-Za-z_][A-Za-z0-9_.]*/;
+const errorPattern = /^(#NULL!|#DIV\/0!|#VALUE!|#REF!|#NAME\?|#NUM!|#N\/A|#ERROR!)/i;
+const operators = ['<>', '<=', '>=', '+', '-', '*', '/', '^', '&', '=', '<', '>', '%', '(', ')', ',', ';'];
+
+export function tokenize(text) {
+    const tokens = [];
+    let pos = 0;
+
+    const push = (type, value, length) => {
+        tokens.push({ type, value, start: pos, end: pos + length });
+        pos += length;
+    };
+
+    while (pos < text.length) {
+        const ch = text[pos];
+        const rest = text.slice(pos);
+
+        if (ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r') {
+            pos++;
+            continue;
+        }
+
+        if (ch === '"') {
+            let value = '';
+            let i = pos + 1;
+            let closed = false;
+            while (i < text.length) {
+                if (text[i] === '"') {
+                    if (text[i + 1] === '"') {
+                        value += '"';
+                        i += 2;
+                        continue;
+                    }
+                    closed = true;
+                    break;
+                }
+                value += text[i];
+                i++;
+            }
+            if (!closed) {
+                throw new SyntaxError('Unterminated string');
+            }
+            push('string', value, i + 1 - pos);
+            continue;
+        }
+
+        if (ch === '#') {
+            const match = errorPattern.exec(rest);
+            if (!match) {
+                throw new SyntaxError('Unknown error literal');
+            }
+            push('error', match[0].toUpperCase(), match[0].length);
+            continue;
+        }
+
+        let match = rowRangePattern.exec(rest);
+        if (match) {
+            push('range', match[0], match[0].length);
+            continue;
+        }
+
+        match = numberPattern.exec(rest);
+        if (match) {
+            push('number', parseFloat(match[0]), match[0].length);
+            continue;
+        }
+
+        if (ch === '$' || /[A-Za-z_]/.test(ch)) {
+            const identifier = identifierPattern.exec(rest);
+            const afterIdentifier = identifier ? text[pos + identifier[0].length] : undefined;
+            if (identifier && afterIdentifier === '(') {
+                push('function', identifier[0].toUpperCase(), identifier[0].length);
+                continue;
+            }
+
+            match = cellRangePattern.exec(rest);
+            if (match && !/[A-Za-z0-9_(]/.test(text[pos + match[0].length] || '')) {
+                push(match[0].includes(':') ? 'range' : 'cell', match[0], match[0].length);
+                continue;
+            }
+
+            match = columnRangePattern.exec(rest);
+            if (match) {
+                push('range', match[0], match[0].length);
+                continue;
+            }
+
+            if (identifier) {
+                const upper = identifier[0].toUpperCase();
+                if (upper === 'TRUE' || upper === 'FALSE') {
+                    push('boolean', upper === 'TRUE', identifier[0].length);
+                } else {
+                    push('name', identifier[0], identifier[0].length);
+                }
+                continue;
+            }
+        }
+
+        const operator = operators.find((op) => rest.startsWith(op));
+        if (operator) {
+            push('operator', operator === ';' ? ',' : operator, operator.length);
+            continue;
+        }
+
+        throw new SyntaxError('Unexpected character ' + ch);
+    }
+
+    return tokens;
+}
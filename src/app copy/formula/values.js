@@ -0,0 +1,140 @@
+import { createFormulaError, isFormulaError, ERROR_VALUE } from './errors.js';
+
+// Ranges are passed to functions as 2D arrays (rows of values), everything else is a scalar:
+// number, string, boolean, null for blank cells, or a formula error.
+export function isRange(value) {
+    return Array.isArray(value);
+}
+
+export function isBlank(value) {
+    return value === null || value === undefined || value === '';
+}
+
+const numericPattern = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+export function parseNumber(text) {
+    const trimmed = text.trim();
+    if (numericPattern.test(trimmed)) {
+        return parseFloat(trimmed);
+    }
+    if (/^[+-]?(\d+\.?\d*|\.\d+)%$/.test(trimmed)) {
+        return parseFloat(trimmed) / 100;
+    }
+    return null;
+}
+
+export function toNumber(value) {
+    if (isFormulaError(value)) {
+        return value;
+    }
+    if (isRange(value)) {
+        return value.length === 1 && value[0].length === 1 ? toNumber(value[0][0]) : createFormulaError(ERROR_VALUE);
+    }
+    if (typeof value === 'number') {
+        return value;
+    }
+    if (typeof value === 'boolean') {
+        return value ? 1 : 0;
+    }
+    if (isBlank(value)) {
+        return 0;
+    }
+    const number = parseNumber(String(value));
+    if (number === null) {
+        return createFormulaError(ERROR_VALUE, 'Expected a number but got "' + value + '"');
+    }
+    return number;
+}
+
+export function formatNumber(value) {
+    if (!isFinite(value)) {
+        return String(value);
+    }
+    // strip floating point noise such as 0.30000000000000004
+    return String(parseFloat(value.toPrecision(15)));
+}
+
+export function toText(value) {
+    if (isFormulaError(value)) {
+        return value;
+    }
+    if (isRange(value)) {
+        return value.length === 1 && value[0].length === 1 ? toText(value[0][0]) : createFormulaError(ERROR_VALUE);
+    }
+    if (isBlank(value)) {
+        return '';
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'TRUE' : 'FALSE';
+    }
+    if (typeof value === 'number') {
+        return formatNumber(value);
+    }
+    return String(value);
+}
+
+export function toBoolean(value) {
+    if (isFormulaError(value)) {
+        return value;
+    }
+    if (isRange(value)) {
+        return value.length === 1 && value[0].length === 1 ? toBoolean(value[0][0]) : createFormulaError(ERROR_VALUE);
+    }
+    if (typeof value === 'boolean') {
+        return value;
+    }
+    if (typeof value === 'number') {
+        return value !== 0;
+    }
+    if (isBlank(value)) {
+        return false;
+    }
+    const upper = String(value).toUpperCase();
+    if (upper === 'TRUE') {
+        return true;
+    }
+    if (upper === 'FALSE') {
+        return false;
+    }
+    return createFormulaError(ERROR_VALUE, 'Expected a boolean but got "' + value + '"');
+}
+
+// Yields every scalar of the given arguments, walking into ranges
+export function* flatten(args) {
+    for (const arg of args) {
+        if (isRange(arg)) {
+            for (const row of arg) {
+                for (const value of row) {
+                    yield { value, fromRange: true };
+                }
+            }
+        } else {
+            yield { value: arg, fromRange: false };
+        }
+    }
+}
+
+// Date serials follow the spreadsheet convention of days since 1899-12-30
+const msPerDay = 24 * 60 * 60 * 1000;
+const epoch = Date.UTC(1899, 11, 30);
+
+export function dateToSerial(year, month, day) {
+    return (Date.UTC(year, month - 1, day) - epoch) / msPerDay;
+}
+
+export function jsDateToSerial(date) {
+    const utc = Date.UTC(
+        date.getFullYear(),
+        date.getMonth(),
+        date.getDate(),
+        date.getHours(),
+        date.getMinutes(),
+        date.getSeconds(),
+        date.getMilliseconds()
+    );
+    return (utc - epoch) / msPerDay;
+}
+
+export function serialToDate(serial) {
+    return new Date(epoch + Math.round(serial * msPerDay));
+}
@@ -0,0 +1,118 @@
+// Undo / redo stacks for onChange batches.
+// Every entry holds the batch that was applied, the batch that reverts it, and the
+// selection that was active when the change happened so it can be restored.
+export function createHistory(options = {}) {
+    const limit = options.limit || 200;
+    const undoStack = [];
+    let redoStack = [];
+    let groupDepth = 0;
+    let group = null;
+    const listeners = new Set();
+
+    const notify = () => {
+        for (const listener of listeners) {
+            listener();
+        }
+    };
+
+    const push = (entry) => {
+        undoStack.push(entry);
+        if (undoStack.length > limit) {
+            undoStack.shift();
+        }
+        redoStack = [];
+        notify();
+    };
+
+    // entry: { changes, inverse, selection }
+    const record = (entry) => {
+        if (entry.changes.length === 0) {
+            return;
+        }
+        if (groupDepth > 0) {
+            if (!group) {
+                group = { changes: [], inverses: [], selection: entry.selection };
+            }
+            for (const change of entry.changes) {
+                group.changes.push(change);
+            }
+            group.inverses.push(entry.inverse);
+            return;
+        }
+        push(entry);
+    };
+
+    // Everything recorded between beginGroup and the matching endGroup becomes a single undo step
+    const beginGroup = () => {
+        groupDepth++;
+    };
+
+    const endGroup = () => {
+        if (groupDepth === 0) {
+            return;
+        }
+        groupDepth--;
+        if (groupDepth === 0 && group) {
+            const { changes, inverses, selection } = group;
+            group = null;
+            // later batches have to be reverted first
+            push({ changes, inverse: inverses.reverse().flat(), selection });
+        }
+    };
+
+    const transaction = (fn) => {
+        beginGroup();
+        try {
+            return fn();
+        } finally {
+            endGroup();
+        }
+    };
+
+    // undo and redo return the entry, the caller applies entry.inverse / entry.changes
+    const undo = () => {
+        const entry = undoStack.pop();
+        if (!entry) {
+            return null;
+        }
+        redoStack.push(entry);
+        notify();
+        return entry;
+    };
+
+    const redo = () => {
+        const entry = redoStack.pop();
+        if (!entry) {
+            return null;
+        }
+        undoStack.push(entry);
+        notify();
+        return entry;
+    };
+
+    const clear = () => {
+        undoStack.length = 0;
+        redoStack = [];
+        group = null;
+        groupDepth = 0;
+        notify();
+    };
+
+    const subscribe = (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    };
+
+    return {
+        record,
+        beginGroup,
+        endGroup,
+        transaction,
+        undo,
+        redo,
+        clear,
+        subscribe,
+        canUndo: () => undoStack.length > 0,
+        canRedo: () => redoStack.length > 0,
+    };
+}
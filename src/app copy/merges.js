@@ -0,0 +1,58 @@
+import { rangeContains } from './addressing.js';
+
+// Helpers for merged cells. A merge is a normalized range { x1, y1, x2, y2 }; its top-left
+// cell is the anchor that holds the value and style of the whole block.
+
+export function rangesIntersect(a, b) {
+    return a.x1 <= b.x2 && b.x1 <= a.x2 && a.y1 <= b.y2 && b.y1 <= a.y2;
+}
+
+export function isSameRange(a, b) {
+    return a.x1 === b.x1 && a.y1 === b.y1 && a.x2 === b.x2 && a.y2 === b.y2;
+}
+
+export function createMergeIndex(merges) {
+    const list = merges || [];
+
+    // the merge covering a cell, or null
+    const find = (x, y) => {
+        for (const merge of list) {
+            if (rangeContains(merge, x, y)) {
+                return merge;
+            }
+        }
+        return null;
+    };
+
+    const intersecting = (range) => list.filter((merge) => rangesIntersect(merge, range));
+
+    // Grows a normalized range until no merge sticks out of it
+    const expand = (range) => {
+        const result = { ...range };
+        let grown = list.length > 0;
+        while (grown) {
+            grown = false;
+            for (const merge of list) {
+                if (!rangesIntersect(merge, result)) {
+                    continue;
+                }
+                if (merge.x1 < result.x1 || merge.y1 < result.y1 || merge.x2 > result.x2 || merge.y2 > result.y2) {
+                    result.x1 = Math.min(result.x1, merge.x1);
+                    result.y1 = Math.min(result.y1, merge.y1);
+                    result.x2 = Math.max(result.x2, merge.x2);
+                    result.y2 = Math.max(result.y2, merge.y2);
+                    grown = true;
+                }
+            }
+        }
+        return result;
+    };
+
+    // the cell holding the content for x, y: the anchor when it is merged, otherwise the cell itself
+    const anchor = (x, y) => {
+        const merge = find(x, y);
+        return merge ? { x: merge.x1, y: merge.y1 } : { x, y };
+    };
+
+    return { list, find, intersecting, expand, anchor };
+}
@@ -0,0 +1,87 @@
+// Keyboard navigation over the data of a sheet; filled(x, y) tells whether a cell has content.
+
+// Ctrl+Arrow target from x, y in direction dx / dy: inside a block of filled cells its last cell,
+// otherwise the next filled cell, and the edge (row / column 0, or limit) when there is none.
+// Rows for which isHidden(y) holds (filtered out or hidden) and columns for which
+// isColumnHidden(x) holds are stepped over.
+export function jumpTarget(filled, x, y, dx, dy, limit, isHidden = () => false, isColumnHidden = () => false) {
+    const inside = (cell) => cell.x >= 0 && cell.y >= 0 && cell.x <= limit.x && cell.y <= limit.y;
+    const advance = (cell) => {
+        const next = { x: cell.x + dx, y: cell.y + dy };
+        while (dy !== 0 && inside(next) && isHidden(next.y)) {
+            next.y += dy;
+        }
+        while (dx !== 0 && inside(next) && isColumnHidden(next.x)) {
+            next.x += dx;
+        }
+        return next;
+    };
+
+    let current = { x, y };
+    let next = advance(current);
+    const inBlock = filled(x, y) && inside(next) && filled(next.x, next.y);
+    while (inside(next)) {
+        const nextFilled = filled(next.x, next.y);
+        if (inBlock && !nextFilled) {
+            return current;
+        }
+        if (!inBlock && nextFilled) {
+            return next;
+        }
+        current = next;
+        next = advance(next);
+    }
+    return current;
+}
+
+function anyFilled(filled, x1, y1, x2, y2) {
+    for (let y = Math.max(y1, 0); y <= y2; y++) {
+        for (let x = Math.max(x1, 0); x <= x2; x++) {
+            if (filled(x, y)) {
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+// The block of filled cells around x, y up to the empty rows and columns bordering it (diagonal
+// neighbours count), which Ctrl+A selects first
+export function currentRegion(filled, x, y) {
+    const region = { x1: x, y1: y, x2: x, y2: y };
+    let grown = true;
+    while (grown) {
+        grown = false;
+        if (region.y1 > 0 && anyFilled(filled, region.x1 - 1, region.y1 - 1, region.x2 + 1, region.y1 - 1)) {
+            region.y1--;
+            grown = true;
+        }
+        if (anyFilled(filled, region.x1 - 1, region.y2 + 1, region.x2 + 1, region.y2 + 1)) {
+            region.y2++;
+            grown = true;
+        }
+        if (region.x1 > 0 && anyFilled(filled, region.x1 - 1, region.y1 - 1, region.x1 - 1, region.y2 + 1)) {
+            region.x1--;
+            grown = true;
+        }
+        if (anyFilled(filled, region.x2 + 1, region.y1 - 1, region.x2 + 1, region.y2 + 1)) {
+            region.x2++;
+            grown = true;
+        }
+    }
+    return region;
+}
+
+// The cell after x, y when Enter (byRow false: down, then on to the next column) or Tab (byRow
+// true: right, then on to the next row) cycles through range; backwards for Shift
+export function cycleInRange(range, x, y, byRow, backwards) {
+    const width = range.x2 - range.x1 + 1;
+    const height = range.y2 - range.y1 + 1;
+    const count = width * height;
+    let index = byRow ? (y - range.y1) * width + (x - range.x1) : (x - range.x1) * height + (y - range.y1);
+    index = (index + (backwards ? count - 1 : 1)) % count;
+    if (byRow) {
+        return { x: range.x1 + (index % width), y: range.y1 + Math.floor(index / width) };
+    }
+    return { x: range.x1 + Math.floor(index / height), y: range.y1 + (index % height) };
+}
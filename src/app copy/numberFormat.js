@@ -0,0 +1,475 @@
+import { formatNumber, serialToDate } from './formula/values.js';
+import { parseDateText } from './formula/functions/date.js';
+import { isFormulaError } from './formula/errors.js';
+
+// Excel-style display formats: '#,##0.00', '0%', 'yyyy-mm-dd', '[Red]-0.00', '"$"#,##0;("$"#,##0)' ...
+// formatValue turns a raw cell value into { text, color } for display; color is null unless the
+// format names one.
+
+const colors = {
+    black: '#000000',
+    blue: '#0000ff',
+    cyan: '#00ffff',
+    green: '#008000',
+    magenta: '#ff00ff',
+    red: '#ff0000',
+    white: '#ffffff',
+    yellow: '#ffff00',
+};
+
+const monthNames = [
+    'January',
+    'February',
+    'March',
+    'April',
+    'May',
+    'June',
+    'July',
+    'August',
+    'September',
+    'October',
+    'November',
+    'December',
+];
+const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const compiled = new Map();
+
+// Splits a section into tokens: { type: 'literal' | 'digit' | 'point' | 'comma' | 'percent' |
+// 'exponent' | 'date' | 'elapsed' | 'ampm' | 'text', value }
+function tokenizeSection(text) {
+    const section = { tokens: [], color: null, condition: null };
+    let i = 0;
+    const literal = (value) => section.tokens.push({ type: 'literal', value });
+
+    while (i < text.length) {
+        const ch = text[i];
+        const lower = ch.toLowerCase();
+        if (ch === '"') {
+            const end = text.indexOf('"', i + 1);
+            literal(text.slice(i + 1, end === -1 ? text.length : end));
+            i = end === -1 ? text.length : end + 1;
+        } else if (ch === '\\') {
+            literal(text[i + 1] || '');
+            i += 2;
+        } else if (ch === '_') {
+            literal(' ');
+            i += 2;
+        } else if (ch === '*') {
+            i += 2;
+        } else if (ch === '[') {
+            const end = text.indexOf(']', i);
+            const inner = text.slice(i + 1, end === -1 ? text.length : end);
+            i = end === -1 ? text.length : end + 1;
+            const condition = /^(<=|>=|<>|<|>|=)\s*(-?[\d.]+)$/.exec(inner);
+            if (colors[inner.toLowerCase()]) {
+                section.color = colors[inner.toLowerCase()];
+            } else if (condition) {
+                section.condition = { operator: condition[1], value: parseFloat(condition[2]) };
+            } else if (/^(h+|m+|s+)$/i.test(inner)) {
+                section.tokens.push({ type: 'elapsed', value: inner.toLowerCase() });
+            } else if (inner[0] === '$') {
+                // currency and locale, e.g. [$€-407]
+                literal(inner.slice(1).split('-')[0]);
+            }
+        } else if (text.slice(i, i + 5).toUpperCase() === 'AM/PM') {
+            section.tokens.push({ type: 'ampm', value: 'AM/PM' });
+            i += 5;
+        } else if (text.slice(i, i + 3).toUpperCase() === 'A/P') {
+            section.tokens.push({ type: 'ampm', value: 'A/P' });
+            i += 3;
+        } else if (text.slice(i, i + 7).toLowerCase() === 'general') {
+            section.tokens.push({ type: 'general', value: 'General' });
+            i += 7;
+        } else if ('ymdhs'.includes(lower)) {
+            let end = i;
+            while (end < text.length && text[end].toLowerCase() === lower) {
+                end++;
+            }
+            section.tokens.push({ type: 'date', value: text.slice(i, end).toLowerCase() });
+            i = end;
+        } else if (ch === '0' || ch === '#' || ch === '?') {
+            section.tokens.push({ type: 'digit', value: ch });
+            i++;
+        } else if (ch === '.') {
+            section.tokens.push({ type: 'point', value: ch });
+            i++;
+        } else if (ch === ',') {
+            section.tokens.push({ type: 'comma', value: ch });
+            i++;
+        } else if (ch === '%') {
+            section.tokens.push({ type: 'percent', value: ch });
+            i++;
+        } else if ((ch === 'E' || ch === 'e') && (text[i + 1] === '+' || text[i + 1] === '-')) {
+            section.tokens.push({ type: 'exponent', value: text[i + 1] });
+            i += 2;
+        } else if (ch === '@') {
+            section.tokens.push({ type: 'text', value: ch });
+            i++;
+        } else {
+            literal(ch);
+            i++;
+        }
+    }
+
+    // 'm' right after hours or right before seconds means minutes
+    const dateTokens = section.tokens.filter((token) => token.type === 'date' || token.type === 'elapsed');
+    dateTokens.forEach((token, index) => {
+        if (token.type !== 'date' || token.value[0] !== 'm' || token.value.length > 2) {
+            return;
+        }
+        const previous = dateTokens[index - 1];
+        const next = dateTokens[index + 1];
+        if ((previous && previous.value[0] === 'h') || (next && next.value[0] === 's')) {
+            token.minutes = true;
+        }
+    });
+
+    const has = (type) => section.tokens.some((token) => token.type === type);
+    section.isDate = has('date') || has('elapsed');
+    section.isText = has('text');
+    section.isGeneral = has('general');
+    section.hasDigits = has('digit');
+    return section;
+}
+
+// Splits on ';' outside quotes and brackets
+function splitSections(format) {
+    const sections = [];
+    let current = '';
+    let quoted = false;
+    let bracket = false;
+    for (let i = 0; i < format.length; i++) {
+        const ch = format[i];
+        if (ch === '\\' && !quoted) {
+            current += ch + (format[i + 1] || '');
+            i++;
+            continue;
+        }
+        if (ch === '"') {
+            quoted = !quoted;
+        } else if (ch === '[' && !quoted) {
+            bracket = true;
+        } else if (ch === ']' && !quoted) {
+            bracket = false;
+        } else if (ch === ';' && !quoted && !bracket) {
+            sections.push(current);
+            current = '';
+            continue;
+        }
+        current += ch;
+    }
+    sections.push(current);
+    return sections;
+}
+
+function compile(format) {
+    let result = compiled.get(format);
+    if (!result) {
+        result = splitSections(format).map(tokenizeSection);
+        compiled.set(format, result);
+    }
+    return result;
+}
+
+function groupThousands(digits) {
+    return digits.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+}
+
+function formatNumberSection(section, value) {
+    const tokens = section.tokens;
+    const pointIndex = tokens.findIndex((token) => token.type === 'point');
+    const exponentIndex = tokens.findIndex((token) => token.type === 'exponent');
+    const digitIndexes = tokens.map((token, index) => (token.type === 'digit' ? index : -1)).filter((i) => i !== -1);
+    const mantissaEnd = exponentIndex === -1 ? tokens.length : exponentIndex;
+    const integerEnd = pointIndex === -1 ? mantissaEnd : pointIndex;
+
+    let scaled = value;
+    for (const token of tokens) {
+        if (token.type === 'percent') {
+            scaled *= 100;
+        }
+    }
+    // a comma between integer placeholders groups thousands, a comma not followed by another
+    // placeholder ('#,##0,' or '0,.0') divides by a thousand
+    let thousands = false;
+    tokens.forEach((token, index) => {
+        if (token.type !== 'comma' || index >= mantissaEnd) {
+            return;
+        }
+        let after = index + 1;
+        while (tokens[after] && tokens[after].type === 'comma') {
+            after++;
+        }
+        if (tokens[after] && tokens[after].type === 'digit' && after < integerEnd) {
+            thousands = true;
+        } else if (index > digitIndexes[0]) {
+            scaled /= 1000;
+        }
+    });
+
+    const integerPlaces = tokens.slice(0, integerEnd).filter((token) => token.type === 'digit');
+    const decimalPlaces = tokens.slice(integerEnd, mantissaEnd).filter((token) => token.type === 'digit');
+
+    let exponentText = '';
+    if (exponentIndex !== -1) {
+        const exponentPlaces = tokens.slice(exponentIndex).filter((token) => token.type === 'digit').length;
+        const step = Math.max(1, integerPlaces.length);
+        let exponent = scaled === 0 ? 0 : Math.floor(Math.log10(Math.abs(scaled)) / step) * step;
+        scaled = scaled / Math.pow(10, exponent);
+        if (Number(Math.abs(scaled).toFixed(decimalPlaces.length)) >= Math.pow(10, step)) {
+            scaled /= Math.pow(10, step);
+            exponent += step;
+        }
+        const sign = exponent < 0 ? '-' : tokens[exponentIndex].value === '+' ? '+' : '';
+        exponentText = 'E' + sign + String(Math.abs(exponent)).padStart(exponentPlaces, '0');
+    }
+
+    const fixed = Math.abs(scaled).toFixed(decimalPlaces.length);
+    let [integerDigits, decimalDigits = ''] = fixed.split('.');
+
+    // optional decimals drop their trailing zeros, '?' pads them with spaces
+    let decimalText = '';
+    for (let i = decimalDigits.length - 1; i >= 0; i--) {
+        const place = decimalPlaces[i].value;
+        const digit = decimalDigits[i];
+        if (decimalText === '' && digit === '0' && place !== '0') {
+            decimalText = place === '?' ? ' ' + decimalText : decimalText;
+            continue;
+        }
+        decimalText = digit + decimalText;
+    }
+
+    const requiredIntegers = integerPlaces.filter((token) => token.value === '0').length;
+    if (integerDigits === '0' && requiredIntegers === 0) {
+        integerDigits = '';
+    }
+    integerDigits = integerDigits.padStart(requiredIntegers, '0');
+    if (thousands) {
+        integerDigits = groupThousands(integerDigits);
+    }
+
+    // integer digits fill the placeholders right to left so literals in between stay in place,
+    // the leftmost placeholder takes any extra digits
+    let remaining = integerDigits;
+    const integerPlaceIndexes = digitIndexes.filter((index) => index < integerEnd);
+    const firstIntegerPlace = integerPlaceIndexes[0];
+    const pieces = [];
+    for (let index = tokens.length - 1; index >= 0; index--) {
+        const token = tokens[index];
+        if (index >= mantissaEnd) {
+            if (token.type === 'literal') {
+                pieces.unshift(token.value);
+            } else if (index === exponentIndex) {
+                pieces.unshift(exponentText);
+            }
+            continue;
+        }
+        if (index > integerEnd) {
+            if (token.type === 'literal') {
+                pieces.unshift(token.value);
+            } else if (token.type === 'percent') {
+                pieces.unshift('%');
+            } else if (token.type === 'digit' && index === digitIndexes.filter((i) => i > integerEnd)[0]) {
+                pieces.unshift(decimalText);
+            }
+            continue;
+        }
+        if (index === pointIndex) {
+            pieces.unshift('.');
+            continue;
+        }
+        if (token.type === 'digit') {
+            if (index === firstIntegerPlace) {
+                pieces.unshift(remaining === '' && token.value === '?' ? ' ' : remaining);
+                remaining = '';
+            } else if (!thousands) {
+                const place = remaining.slice(-1);
+                remaining = remaining.slice(0, -1);
+                pieces.unshift(place === '' && token.value === '?' ? ' ' : place);
+            }
+        } else if (token.type === 'literal') {
+            pieces.unshift(token.value);
+        } else if (token.type === 'percent') {
+            pieces.unshift('%');
+        }
+    }
+    const text = pieces.join('');
+    if (integerPlaceIndexes.length === 0 && integerDigits !== '') {
+        // no integer placeholders, e.g. '.00': keep the integer digits in front of the point
+        return text.replace('.', integerDigits + '.');
+    }
+    return text;
+}
+
+function formatDateSection(section, serial) {
+    const date = serialToDate(serial);
+    const hasAmPm = section.tokens.some((token) => token.type === 'ampm');
+    const hours = date.getUTCHours();
+    const pad = (n, width) => String(n).padStart(width, '0');
+    let text = '';
+
+    for (const token of section.tokens) {
+        const v = token.value;
+        if (token.type === 'literal') {
+            text += v;
+        } else if (token.type === 'ampm') {
+            const pm = hours >= 12;
+            text += v === 'A/P' ? (pm ? 'P' : 'A') : pm ? 'PM' : 'AM';
+        } else if (token.type === 'elapsed') {
+            const totalSeconds = Math.round(serial * 86400);
+            const amount =
+                v[0] === 'h'
+                    ? Math.floor(totalSeconds / 3600)
+                    : v[0] === 'm'
+                      ? Math.floor(totalSeconds / 60)
+                      : totalSeconds;
+            text += pad(amount, v.length);
+        } else if (token.type === 'date') {
+            if (v[0] === 'y') {
+                text += v.length <= 2 ? pad(date.getUTCFullYear() % 100, 2) : date.getUTCFullYear();
+            } else if (v[0] === 'm' && token.minutes) {
+                text += pad(date.getUTCMinutes(), v.length);
+            } else if (v[0] === 'm') {
+                const month = date.getUTCMonth();
+                text +=
+                    v.length === 1
+                        ? month + 1
+                        : v.length === 2
+                          ? pad(month + 1, 2)
+                          : v.length === 3
+                            ? monthNames[month].slice(0, 3)
+                            : v.length === 5
+                              ? monthNames[month][0]
+                              : monthNames[month];
+            } else if (v[0] === 'd') {
+                const day = date.getUTCDay();
+                text +=
+                    v.length <= 2
+                        ? pad(date.getUTCDate(), v.length)
+                        : v.length === 3
+                          ? dayNames[day].slice(0, 3)
+                          : dayNames[day];
+            } else if (v[0] === 'h') {
+                const h = hasAmPm ? hours % 12 || 12 : hours;
+                text += pad(h, Math.min(v.length, 2));
+            } else if (v[0] === 's') {
+                text += pad(date.getUTCSeconds(), Math.min(v.length, 2));
+            }
+        } else if (token.type === 'digit' || token.type === 'point') {
+            // fractions of a second, e.g. 'ss.00', are not shown
+            continue;
+        } else {
+            text += v;
+        }
+    }
+    return text;
+}
+
+function matchesCondition(condition, value) {
+    switch (condition.operator) {
+        case '<':
+            return value < condition.value;
+        case '<=':
+            return value <= condition.value;
+        case '>':
+            return value > condition.value;
+        case '>=':
+            return value >= condition.value;
+        case '<>':
+            return value !== condition.value;
+        default:
+            return value === condition.value;
+    }
+}
+
+// Picks the section for a number, and whether the minus sign has to be added by hand
+function pickSection(sections, value) {
+    const numeric = sections.filter((section) => !section.isText || section.hasDigits);
+    if (numeric.some((section) => section.condition)) {
+        for (const section of numeric.slice(0, 2)) {
+            if (section.condition && matchesCondition(section.condition, value)) {
+                return { section, sign: value < 0 && section.condition.value >= 0 };
+            }
+        }
+        const fallback = numeric[2] || numeric[numeric.length - 1];
+        return { section: fallback, sign: value < 0 };
+    }
+    if (value < 0 && numeric.length >= 2) {
+        return { section: numeric[1], sign: false };
+    }
+    if (value === 0 && numeric.length >= 3) {
+        return { section: numeric[2], sign: false };
+    }
+    return { section: numeric[0] || sections[0], sign: value < 0 };
+}
+
+export function isDateFormat(format) {
+    return typeof format === 'string' && compile(format).some((section) => section.isDate);
+}
+
+export function formatValue(value, format) {
+    if (value === null || value === undefined || value === '') {
+        return { text: '', color: null };
+    }
+    if (isFormulaError(value)) {
+        return { text: value.type, color: null };
+    }
+    if (typeof value === 'boolean') {
+        return { text: value ? 'TRUE' : 'FALSE', color: null };
+    }
+    if (!format || format.toLowerCase() === 'general') {
+        return { text: typeof value === 'number' ? formatNumber(value) : String(value), color: null };
+    }
+
+    const sections = compile(format);
+    if (typeof value === 'string' && sections[0].isDate) {
+        // dates typed as text are shown in the date format too
+        const serial = parseDateText(value);
+        if (serial !== null) {
+            value = serial;
+        }
+    }
+
+    if (typeof value !== 'number') {
+        const textSection =
+            sections.find((section) => section.isText && !section.hasDigits) ||
+            (sections.length === 4 ? sections[3] : null);
+        if (!textSection) {
+            return { text: String(value), color: null };
+        }
+        const text = textSection.tokens
+            .map((token) => (token.type === 'text' ? value : token.type === 'literal' ? token.value : ''))
+            .join('');
+        return { text, color: textSection.color };
+    }
+
+    const { section, sign } = pickSection(sections, value);
+    let text;
+    if (section.isText && !section.hasDigits) {
+        text = formatNumber(value);
+    } else if (section.isGeneral) {
+        text = section.tokens
+            .map((token) => (token.type === 'general' ? formatNumber(Math.abs(value)) : token.value))
+            .join('');
+    } else if (section.isDate) {
+        if (value < 0) {
+            return { text: '#'.repeat(8), color: null };
+        }
+        text = formatDateSection(section, value);
+    } else if (section.hasDigits) {
+        text = formatNumberSection(section, Math.abs(value));
+    } else {
+        // a section with literals only, e.g. '0;"negative"'
+        text = section.tokens.map((token) => token.value).join('');
+    }
+    // no minus for values that round to zero or when the format writes its own, e.g. '[Red]-0.00'
+    if (
+        sign &&
+        /[1-9]/.test(text) &&
+        !section.tokens.some((token) => token.type === 'literal' && token.value === '-')
+    ) {
+        text = '-' + text;
+    }
+    return { text, color: section.color };
+}
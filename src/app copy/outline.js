@@ -0,0 +1,73 @@
+// Hidden lines and outline groups of one axis (rows or columns). Hidden lines are a list of
+// indices; groups are plain data too:
+//   { start, end, collapsed }
+// covering lines start .. end. Groups nest: a group inside another is one level deeper, and a
+// collapsed group hides its lines without touching the hidden list, so expanding it brings back
+// exactly what it hid.
+
+const contains = (outer, inner) => outer.start <= inner.start && inner.end <= outer.end;
+
+// 1-based level of every group: one more than the number of groups around it
+export function groupLevels(groups) {
+    return groups.map((group) => 1 + groups.filter((other) => other !== group && contains(other, group)).length);
+}
+
+export function outlineDepth(groups) {
+    return Math.max(0, ...groupLevels(groups));
+}
+
+// isHidden(i) for the explicitly hidden lines and the lines of collapsed groups
+export function createLineVisibility(hidden, groups) {
+    const hiddenLines = new Set(hidden);
+    const collapsed = groups.filter((group) => group.collapsed);
+    return {
+        isHidden: (i) => hiddenLines.has(i) || collapsed.some((group) => group.start <= i && i <= group.end),
+        isExplicitlyHidden: (i) => hiddenLines.has(i),
+    };
+}
+
+// The hidden list with start .. end hidden or shown again
+export function hideLines(hidden, start, end) {
+    const lines = new Set(hidden);
+    for (let i = start; i <= end; i++) {
+        lines.add(i);
+    }
+    return [...lines].sort((a, b) => a - b);
+}
+
+export function unhideLines(hidden, start, end) {
+    return hidden.filter((i) => i < start || i > end);
+}
+
+// The groups with start .. end grouped one level deeper; a group over the same lines is not added twice
+export function addGroup(groups, start, end) {
+    if (groups.some((group) => group.start === start && group.end === end)) {
+        return groups;
+    }
+    return [...groups, { start, end, collapsed: false }];
+}
+
+// The groups without the innermost one overlapping start .. end
+export function removeGroup(groups, start, end) {
+    const levels = groupLevels(groups);
+    let innermost = -1;
+    groups.forEach((group, i) => {
+        if (group.start <= end && start <= group.end && (innermost === -1 || levels[i] > levels[innermost])) {
+            innermost = i;
+        }
+    });
+    return innermost === -1 ? groups : groups.filter((group, i) => i !== innermost);
+}
+
+// The groups with the ones overlapping start .. end expanded
+export function expandGroups(groups, start, end) {
+    return groups.map((group) =>
+        group.collapsed && group.start <= end && start <= group.end ? { ...group, collapsed: false } : group
+    );
+}
+
+// The groups shown down to level: deeper ones collapse, the others expand
+export function showLevel(groups, level) {
+    const levels = groupLevels(groups);
+    return groups.map((group, i) => ({ ...group, collapsed: levels[i] >= level }));
+}
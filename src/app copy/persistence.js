@@ -0,0 +1,78 @@
+// Stores workbook documents in IndexedDB.
+// A document is { schemaVersion, savedAt, workbook } where workbook is what useSheetModel's
+// getWorkbook() returns. Bump documentSchemaVersion whenever that shape changes and add a
+// migration from the previous version.
+export const documentSchemaVersion = 1;
+
+const objectStoreName = 'documents';
+
+// Upgrades a stored document step by step: migrations[n] turns a version n document into
+// version n + 1. Throws when a step is missing.
+export function migrateDocument(document, migrations = {}) {
+    let current = document;
+    while (current.schemaVersion < documentSchemaVersion) {
+        const migrate = migrations[current.schemaVersion];
+        if (!migrate) {
+            throw new Error('No migration from schema version ' + current.schemaVersion);
+        }
+        current = { ...migrate(current), schemaVersion: current.schemaVersion + 1 };
+    }
+    return current;
+}
+
+function openDatabase(name) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(objectStoreName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export function createPersistence(options = {}) {
+    const databaseName = options.databaseName || 'my-google-sheets';
+    const documentId = options.documentId || 'default';
+    let database = null;
+
+    const transaction = async (mode, run) => {
+        database = database || (await openDatabase(databaseName));
+        return new Promise((resolve, reject) => {
+            const tx = database.transaction(objectStoreName, mode);
+            const request = run(tx.objectStore(objectStoreName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    };
+
+    return {
+        isAvailable: () => typeof indexedDB !== 'undefined',
+        load: async () => (await transaction('readonly', (store) => store.get(documentId))) || null,
+        save: (workbook) =>
+            transaction('readwrite', (store) =>
+                store.put({ schemaVersion: documentSchemaVersion, savedAt: Date.now(), workbook }, documentId)
+            ),
+        saveDocument: (document) => transaction('readwrite', (store) => store.put(document, documentId)),
+        clear: () => transaction('readwrite', (store) => store.delete(documentId)),
+    };
+}
+
+// Calls save once things have been quiet for delay ms; flush saves a pending change right away
+export function createAutosave(save, delay = 1000) {
+    let timer = null;
+
+    const flush = () => {
+        if (timer !== null) {
+            clearTimeout(timer);
+            timer = null;
+            save();
+        }
+    };
+
+    const schedule = () => {
+        clearTimeout(timer);
+        timer = setTimeout(flush, delay);
+    };
+
+    return { schedule, flush };
+}
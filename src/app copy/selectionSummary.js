@@ -0,0 +1,28 @@
+import { forEachCellInRanges } from './addressing.js';
+
+// Status bar figures for the selected ranges: count of filled cells, and the sum, average, min and
+// max of the numbers among them (null when there are none). Cells where ranges overlap count once.
+export function summarizeRanges(ranges, getValue) {
+    let count = 0;
+    let numbers = 0;
+    let sum = 0;
+    let min = Infinity;
+    let max = -Infinity;
+    forEachCellInRanges(ranges, (x, y) => {
+        const value = getValue(x, y);
+        if (value === null || value === undefined || value === '') {
+            return;
+        }
+        count++;
+        if (typeof value === 'number') {
+            numbers++;
+            sum += value;
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+        }
+    });
+    if (numbers === 0) {
+        return { count, numbers, sum: null, average: null, min: null, max: null };
+    }
+    return { count, numbers, sum, average: sum / numbers, min, max };
+}
@@ -0,0 +1,250 @@
+import { shiftFormula } from './formula/rewrite.js';
+import { isFormulaText } from './formula/engine.js';
+import { parseNumber } from './formula/values.js';
+
+const weekdays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const months = [
+    'january',
+    'february',
+    'march',
+    'april',
+    'may',
+    'june',
+    'july',
+    'august',
+    'september',
+    'october',
+    'november',
+    'december',
+];
+
+const isoDatePattern = /^(\d{4})-(\d{1,2})-(\d{1,2})$/;
+const usDatePattern = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+const timePattern = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/;
+const trailingNumberPattern = /^(.*?)(\d+)$/;
+const msPerDay = 24 * 60 * 60 * 1000;
+
+function mod(n, m) {
+    return ((n % m) + m) % m;
+}
+
+function cleanNumber(value) {
+    return parseFloat(value.toPrecision(15));
+}
+
+// Least squares fit of values against their index, so 1, 2 continues with 3, 4
+// and an uneven 1, 3, 4 follows its trend
+function linearTrend(values) {
+    const n = values.length;
+    if (n === 1) {
+        return (position) => values[0] + position;
+    }
+    const meanX = (n - 1) / 2;
+    const meanY = values.reduce((a, b) => a + b, 0) / n;
+    let num = 0;
+    let den = 0;
+    for (let i = 0; i < n; i++) {
+        num += (i - meanX) * (values[i] - meanY);
+        den += (i - meanX) * (i - meanX);
+    }
+    const slope = num / den;
+    const intercept = meanY - slope * meanX;
+    return (position) => cleanNumber(intercept + slope * position);
+}
+
+// Constant step between consecutive values, or 1 for a single value
+function constantStep(values) {
+    if (values.length === 1) {
+        return 1;
+    }
+    const step = values[1] - values[0];
+    for (let i = 2; i < values.length; i++) {
+        if (values[i] - values[i - 1] !== step) {
+            return null;
+        }
+    }
+    return step;
+}
+
+function parseDate(text) {
+    let match = isoDatePattern.exec(text);
+    if (match) {
+        return { time: Date.UTC(+match[1], +match[2] - 1, +match[3]), format: 'iso' };
+    }
+    match = usDatePattern.exec(text);
+    if (match) {
+        return { time: Date.UTC(+match[3], +match[1] - 1, +match[2]), format: 'us' };
+    }
+    return null;
+}
+
+function formatDate(time, format) {
+    const date = new Date(time);
+    const y = date.getUTCFullYear();
+    const m = date.getUTCMonth() + 1;
+    const d = date.getUTCDate();
+    if (format === 'us') {
+        return m + '/' + d + '/' + y;
+    }
+    return y + '-' + String(m).padStart(2, '0') + '-' + String(d).padStart(2, '0');
+}
+
+function dateSeries(texts) {
+    const dates = texts.map(parseDate);
+    if (dates.some((date) => !date)) {
+        return null;
+    }
+    const format = dates[dates.length - 1].format;
+    const first = new Date(dates[0].time);
+
+    // same day of month and whole months apart: step by months, e.g. 1st of every month
+    const monthIndexes = dates.map((date) => {
+        const d = new Date(date.time);
+        return d.getUTCFullYear() * 12 + d.getUTCMonth();
+    });
+    const sameDay = dates.every((date) => new Date(date.time).getUTCDate() === first.getUTCDate());
+    const monthStep = dates.length > 1 && sameDay ? constantStep(monthIndexes) : null;
+    if (monthStep) {
+        return (position) => {
+            const target = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + monthStep * position, 1));
+            const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+            target.setUTCDate(Math.min(first.getUTCDate(), lastDay));
+            return formatDate(target.getTime(), format);
+        };
+    }
+
+    const days = dates.map((date) => Math.round(date.time / msPerDay));
+    const step = constantStep(days);
+    if (step === null) {
+        return null;
+    }
+    return (position) => formatDate((days[0] + step * position) * msPerDay, format);
+}
+
+function timeSeries(texts) {
+    const times = [];
+    let withSeconds = false;
+    for (const text of texts) {
+        const match = timePattern.exec(text);
+        if (!match) {
+            return null;
+        }
+        withSeconds = withSeconds || match[3] !== undefined;
+        times.push(+match[1] * 3600 + +match[2] * 60 + (+match[3] || 0));
+    }
+    // a single time steps by one hour
+    const step = times.length === 1 ? 3600 : constantStep(times);
+    if (step === null) {
+        return null;
+    }
+    return (position) => {
+        const total = mod(times[0] + step * position, 24 * 3600);
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const s = total % 60;
+        const pad = (n) => String(n).padStart(2, '0');
+        return h + ':' + pad(m) + (withSeconds ? ':' + pad(s) : '');
+    };
+}
+
+// Weekday and month names, full or abbreviated, keeping the case of the source
+function nameSeries(texts, names) {
+    const indexes = [];
+    let abbreviated = false;
+    for (const text of texts) {
+        const lower = text.toLowerCase();
+        let index = names.indexOf(lower);
+        if (index === -1 && lower.length === 3) {
+            index = names.findIndex((name) => name.slice(0, 3) === lower);
+            abbreviated = true;
+        }
+        if (index === -1) {
+            return null;
+        }
+        indexes.push(index);
+    }
+    const step = constantStep(indexes);
+    if (step === null) {
+        return null;
+    }
+    const sample = texts[texts.length - 1];
+    const applyCase = (name) => {
+        if (sample === sample.toUpperCase()) {
+            return name.toUpperCase();
+        }
+        if (sample === sample.toLowerCase()) {
+            return name;
+        }
+        return name[0].toUpperCase() + name.slice(1);
+    };
+    return (position) => {
+        const name = names[mod(indexes[0] + step * position, names.length)];
+        return applyCase(abbreviated ? name.slice(0, 3) : name);
+    };
+}
+
+// Text ending in a number with a common prefix, e.g. 'Item 9' continues with 'Item 10'
+function trailingNumberSeries(texts) {
+    let prefix = null;
+    let width = 0;
+    const numbers = [];
+    for (const text of texts) {
+        const match = trailingNumberPattern.exec(text);
+        if (!match || (prefix !== null && match[1] !== prefix)) {
+            return null;
+        }
+        prefix = match[1];
+        width = match[2][0] === '0' ? match[2].length : width;
+        numbers.push(parseInt(match[2], 10));
+    }
+    const step = constantStep(numbers);
+    if (step === null) {
+        return null;
+    }
+    return (position) => {
+        const number = Math.abs(numbers[0] + step * position);
+        return prefix + String(number).padStart(width, '0');
+    };
+}
+
+function detectSeries(values) {
+    const numbers = values.map((value) => (typeof value === 'number' ? value : typeof value === 'string' ? parseNumber(value) : null));
+    if (numbers.every((number) => number !== null)) {
+        // a single number is copied, like spreadsheets do
+        return values.length > 1 ? linearTrend(numbers) : null;
+    }
+    if (!values.every((value) => typeof value === 'string' && value.trim() !== '')) {
+        return null;
+    }
+    const texts = values.map((value) => value.trim());
+    return (
+        dateSeries(texts) ||
+        timeSeries(texts) ||
+        nameSeries(texts, weekdays) ||
+        nameSeries(texts, months) ||
+        trailingNumberSeries(texts)
+    );
+}
+
+// Returns a function giving the fill value at a position relative to the first source value:
+// positions past the end extend the series, negative positions extend it backwards.
+// Formulas are copied with their relative references shifted; with copy set every other value
+// is repeated as is.
+export function createFillSeries(sources, options = {}) {
+    const { vertical = true, copy = false } = options;
+    const hasFormulas = sources.some(isFormulaText);
+    const series = copy || hasFormulas || sources.length === 0 ? null : detectSeries(sources);
+
+    return (position) => {
+        if (series) {
+            return series(position);
+        }
+        const index = mod(position, sources.length);
+        const value = sources[index];
+        if (isFormulaText(value)) {
+            const offset = position - index;
+            return vertical ? shiftFormula(value, 0, offset) : shiftFormula(value, offset, 0);
+        }
+        return value;
+    };
+}
@@ -0,0 +1,430 @@
+import { createFormulaEngine, isFormulaText, parseLiteral, valueToDisplay } from './formula/engine.js';
+import { rangesIntersect } from './merges.js';
+import { invertStructuralChange, isStructuralChange, shiftSheetData } from './structure.js';
+
+// Sparse cell store: rows map to columns map to cells, so only cells that hold something
+// are allocated. A cell is { value, formula, style, format, meta } where value is the literal or
+// the computed formula result, formula is the formula text (or null) and format is a display
+// format string like '#,##0.00' (or null).
+export function createSheetStore(options = {}) {
+    const rows = new Map();
+    const columnWidths = new Map();
+    const rowHeights = new Map();
+    const autoRowHeights = new Set(); // rows sized to fit wrapped text rather than by the user
+    const defaultColumnWidth = options.defaultColumnWidth || 100;
+    const defaultRowHeight = options.defaultRowHeight || 22;
+    const engine = createFormulaEngine({ functions: options.functions });
+    const listeners = new Set();
+    let freeze = { rows: 0, columns: 0 };
+    let merges = [];
+    let conditionalFormats = []; // rules in the shape conditionalFormat.js describes, in priority order
+    let dataValidations = []; // rules in the shape dataValidation.js describes
+    // hidden lines and outline groups as outline.js describes them, each list replaced as a whole
+    const outline = { hiddenRows: [], hiddenColumns: [], rowGroups: [], columnGroups: [] };
+    let extent = { x: -1, y: -1 };
+    let extentDirty = false;
+    let version = 0;
+
+    const notify = () => {
+        version++;
+        for (const listener of listeners) {
+            listener(version);
+        }
+    };
+
+    const getCell = (x, y) => {
+        const row = rows.get(y);
+        if (!row) {
+            return null;
+        }
+        return row.get(x) || null;
+    };
+
+    const ensureCell = (x, y) => {
+        let row = rows.get(y);
+        if (!row) {
+            row = new Map();
+            rows.set(y, row);
+        }
+        let cell = row.get(x);
+        if (!cell) {
+            cell = { value: null, formula: null, style: null, format: null, meta: null };
+            row.set(x, cell);
+            extent = { x: Math.max(extent.x, x), y: Math.max(extent.y, y) };
+        }
+        return cell;
+    };
+
+    // drops cells that no longer hold anything so the store stays sparse
+    const pruneCell = (x, y) => {
+        const row = rows.get(y);
+        const cell = row && row.get(x);
+        if (
+            cell &&
+            cell.value === null &&
+            cell.formula === null &&
+            cell.style === null &&
+            cell.format === null &&
+            cell.meta === null
+        ) {
+            row.delete(x);
+            if (row.size === 0) {
+                rows.delete(y);
+            }
+            extentDirty = true;
+        }
+    };
+
+    const getInput = (x, y) => {
+        const cell = getCell(x, y);
+        if (!cell) {
+            return null;
+        }
+        return cell.formula !== null ? cell.formula : cell.value;
+    };
+
+    const getStyle = (x, y) => {
+        const cell = getCell(x, y);
+        return cell ? cell.style : null;
+    };
+
+    const getFormat = (x, y) => {
+        const cell = getCell(x, y);
+        return cell ? cell.format : null;
+    };
+
+    // removes the merges overlapping range and returns them
+    const removeMerges = (range) => {
+        const removed = merges.filter((merge) => rangesIntersect(merge, range));
+        merges = merges.filter((merge) => !rangesIntersect(merge, range));
+        return removed;
+    };
+
+    // Applies an onChange batch and returns the batch that reverts it.
+    // A change is { x, y, value }, { x, y, style } and/or { x, y, format }; missing keys are left untouched.
+    // { merge: range } merges a range (replacing merges it overlaps), { unmerge: range } removes
+    // every merge overlapping the range. { conditionalFormats: rules } and { dataValidations: rules }
+    // replace those rule lists, and so do { hiddenRows }, { hiddenColumns }, { rowGroups } and
+    // { columnGroups } for the outline lists. { insert } and { delete } add or remove rows or columns
+    // (see structure.js).
+    const applyChanges = (changes) => {
+        const inverse = [];
+        let valueChanges = [];
+
+        // recalculates the formulas after the value changes so far
+        const flushValueChanges = () => {
+            for (const { x, y } of engine.applyChanges(valueChanges)) {
+                const cell = getCell(x, y);
+                if (cell && cell.formula !== null) {
+                    cell.value = engine.getValue(x, y);
+                }
+            }
+            valueChanges = [];
+        };
+
+        for (const change of changes) {
+            if (isStructuralChange(change)) {
+                // the engine has to know every earlier value before the sheet is rebuilt around the change
+                if (valueChanges.length > 0) {
+                    flushValueChanges();
+                }
+                const data = serialize();
+                inverse.push(...invertStructuralChange(data, change).reverse());
+                load(shiftSheetData(data, change));
+                continue;
+            }
+            if (change.conditionalFormats) {
+                inverse.push({ conditionalFormats });
+                conditionalFormats = change.conditionalFormats;
+                continue;
+            }
+            if (change.dataValidations) {
+                inverse.push({ dataValidations });
+                dataValidations = change.dataValidations;
+                continue;
+            }
+            const outlineKey = Object.keys(outline).find((key) => change[key]);
+            if (outlineKey) {
+                inverse.push({ [outlineKey]: outline[outlineKey] });
+                outline[outlineKey] = change[outlineKey];
+                continue;
+            }
+            if (change.merge || change.unmerge) {
+                const range = change.merge || change.unmerge;
+                for (const removed of removeMerges(range)) {
+                    inverse.push({ merge: removed });
+                }
+                if (change.merge) {
+                    merges = [...merges, { x1: range.x1, y1: range.y1, x2: range.x2, y2: range.y2 }];
+                    inverse.push({ unmerge: range });
+                }
+                continue;
+            }
+            if (change.x === undefined || change.y === undefined) {
+                continue;
+            }
+            const { x, y } = change;
+            const undoChange = { x, y };
+
+            if ('value' in change) {
+                undoChange.value = getInput(x, y);
+                const input = change.value === undefined ? null : change.value;
+                const cell = input === null || input === '' ? getCell(x, y) : ensureCell(x, y);
+                if (cell) {
+                    cell.formula = isFormulaText(input) ? input : null;
+                    cell.value = cell.formula === null ? parseLiteral(input) : cell.value;
+                }
+                valueChanges.push({ x, y, value: input });
+            }
+
+            if ('style' in change) {
+                undoChange.style = getStyle(x, y);
+                const style = change.style ? { ...change.style } : null;
+                if (style || getCell(x, y)) {
+                    ensureCell(x, y).style = style;
+                }
+            }
+
+            if ('format' in change) {
+                undoChange.format = getFormat(x, y);
+                const format = change.format || null;
+                if (format || getCell(x, y)) {
+                    ensureCell(x, y).format = format;
+                }
+            }
+
+            inverse.push(undoChange);
+        }
+
+        if (valueChanges.length > 0) {
+            flushValueChanges();
+        }
+
+        for (const change of changes) {
+            pruneCell(change.x, change.y);
+        }
+
+        notify();
+        return inverse.reverse();
+    };
+
+    const setMeta = (x, y, meta) => {
+        if (meta === null || meta === undefined) {
+            const cell = getCell(x, y);
+            if (cell) {
+                cell.meta = null;
+                pruneCell(x, y);
+            }
+        } else {
+            ensureCell(x, y).meta = meta;
+        }
+        notify();
+    };
+
+    const getExtent = () => {
+        if (extentDirty) {
+            let maxX = -1;
+            let maxY = -1;
+            for (const [y, row] of rows) {
+                maxY = Math.max(maxY, y);
+                for (const x of row.keys()) {
+                    maxX = Math.max(maxX, x);
+                }
+            }
+            extent = { x: maxX, y: maxY };
+            extentDirty = false;
+        }
+        return { ...extent };
+    };
+
+    const forEachCell = (fn) => {
+        for (const [y, row] of rows) {
+            for (const [x, cell] of row) {
+                fn(cell, x, y);
+            }
+        }
+    };
+
+    const setColumnWidth = (column, width) => {
+        columnWidths.set(column, width);
+        notify();
+    };
+
+    // auto heights (fitting wrapped text) never replace a height the user set and never go below the default
+    const setRowHeight = (row, height, auto = false) => {
+        if (auto) {
+            if (rowHeights.has(row) && !autoRowHeights.has(row)) {
+                return;
+            }
+            height = Math.max(height, defaultRowHeight);
+            if (height === defaultRowHeight) {
+                if (!rowHeights.has(row)) {
+                    return;
+                }
+                rowHeights.delete(row);
+                autoRowHeights.delete(row);
+            } else {
+                if (rowHeights.get(row) === height) {
+                    return;
+                }
+                rowHeights.set(row, height);
+                autoRowHeights.add(row);
+            }
+        } else {
+            rowHeights.set(row, height);
+            autoRowHeights.delete(row);
+        }
+        notify();
+    };
+
+    const setFreeze = (rowCount, columnCount) => {
+        freeze = { rows: rowCount, columns: columnCount };
+        notify();
+    };
+
+    // Plain data copy of the sheet: cells with their inputs, styles and formats, sizes, frozen panes,
+    // merges, conditional formats, validation rules (custom predicates are code and are left out),
+    // hidden lines and outline groups
+    const serialize = () => {
+        const cells = [];
+        forEachCell((cell, x, y) => {
+            const item = { x, y };
+            if (cell.formula !== null || cell.value !== null) {
+                item.value = cell.formula !== null ? cell.formula : cell.value;
+            }
+            if (cell.style !== null) {
+                item.style = { ...cell.style };
+            }
+            if (cell.format !== null) {
+                item.format = cell.format;
+            }
+            if (cell.meta !== null) {
+                item.meta = cell.meta;
+            }
+            cells.push(item);
+        });
+        return {
+            cells,
+            columnWidths: Object.fromEntries(columnWidths),
+            rowHeights: Object.fromEntries(rowHeights),
+            autoRowHeights: [...autoRowHeights],
+            freezeRows: freeze.rows,
+            freezeColumns: freeze.columns,
+            merges: merges.map((merge) => ({ ...merge })),
+            // structuredClone keeps the Infinity ends of whole-row and whole-column ranges, JSON would not
+            conditionalFormats: structuredClone(conditionalFormats),
+            dataValidations: structuredClone(dataValidations),
+            ...structuredClone(outline),
+        };
+    };
+
+    // Replaces the whole content with data in the shape serialize returns
+    const load = (data) => {
+        const cleared = [];
+        forEachCell((cell, x, y) => cleared.push({ x, y, value: null }));
+        engine.applyChanges(cleared);
+        rows.clear();
+        merges = (data.merges || []).map((merge) => ({ ...merge }));
+        conditionalFormats = structuredClone(data.conditionalFormats || []);
+        dataValidations = structuredClone(data.dataValidations || []);
+        for (const key of Object.keys(outline)) {
+            outline[key] = structuredClone(data[key] || []);
+        }
+        columnWidths.clear();
+        rowHeights.clear();
+        autoRowHeights.clear();
+        extent = { x: -1, y: -1 };
+        extentDirty = false;
+        for (const [column, width] of Object.entries(data.columnWidths || {})) {
+            columnWidths.set(Number(column), width);
+        }
+        for (const [row, height] of Object.entries(data.rowHeights || {})) {
+            rowHeights.set(Number(row), height);
+        }
+        for (const row of data.autoRowHeights || []) {
+            autoRowHeights.add(row);
+        }
+        freeze = { rows: data.freezeRows || 0, columns: data.freezeColumns || 0 };
+        const cells = data.cells || [];
+        applyChanges(cells.map(({ x, y, value, style, format }) => ({ x, y, value, style, format })));
+        for (const { x, y, meta } of cells) {
+            if (meta !== undefined && meta !== null) {
+                ensureCell(x, y).meta = meta;
+            }
+        }
+    };
+
+    const subscribe = (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    };
+
+    if (options.data) {
+        load(options.data);
+    }
+
+    return {
+        applyChanges,
+        getCell,
+        getInput,
+        getValue: (x, y) => {
+            const cell = getCell(x, y);
+            return cell ? cell.value : null;
+        },
+        getFormula: (x, y) => {
+            const cell = getCell(x, y);
+            return cell ? cell.formula : null;
+        },
+        getStyle,
+        getFormat,
+        getMeta: (x, y) => {
+            const cell = getCell(x, y);
+            return cell ? cell.meta : null;
+        },
+        setMeta,
+        getExtent,
+        forEachCell,
+        evaluateFormula: engine.evaluateFormula,
+        getColumnWidth: (column) => (columnWidths.has(column) ? columnWidths.get(column) : defaultColumnWidth),
+        getRowHeight: (row) => (rowHeights.has(row) ? rowHeights.get(row) : defaultRowHeight),
+        setColumnWidth,
+        setRowHeight,
+        getFreeze: () => ({ ...freeze }),
+        getMerges: () => merges,
+        getConditionalFormats: () => conditionalFormats,
+        getDataValidations: () => dataValidations,
+        getHiddenRows: () => outline.hiddenRows,
+        getHiddenColumns: () => outline.hiddenColumns,
+        getRowGroups: () => outline.rowGroups,
+        getColumnGroups: () => outline.columnGroups,
+        isRowHeightAuto: (row) => autoRowHeights.has(row),
+        setFreeze,
+        serialize,
+        load,
+        subscribe,
+        getVersion: () => version,
+        // cell prop functions in the shape Sheet expects
+        sourceData: getInput,
+        editData: (x, y) => {
+            const cell = getCell(x, y);
+            if (!cell) {
+                return null;
+            }
+            return cell.formula !== null ? cell.formula : valueToDisplay(cell.value);
+        },
+        displayData: (x, y) => {
+            const cell = getCell(x, y);
+            return cell ? valueToDisplay(cell.value) : null;
+        },
+        cellStyle: (x, y) => {
+            const style = getStyle(x, y);
+            // Sheet fills in defaults on the object it gets, so hand out a copy
+            return style ? { ...style } : {};
+        },
+        cellFormat: getFormat,
+        valueData: (x, y) => {
+            const cell = getCell(x, y);
+            return cell ? cell.value : null;
+        },
+    };
+}
@@ -0,0 +1,123 @@
+import { isFormulaText } from './formula/engine.js';
+import { isFormulaError } from './formula/errors.js';
+import { parseDateText } from './formula/functions/date.js';
+import { shiftFormula } from './formula/rewrite.js';
+import { isDateFormat } from './numberFormat.js';
+
+// Sorting the rows of a range. A sort key is { column, descending } where column is a sheet column;
+// later keys break ties of earlier ones. Values are grouped by kind in the order below and blanks
+// always come last, whichever the direction.
+const kindOrder = { number: 0, date: 1, text: 2, boolean: 3, error: 4, blank: 5 };
+
+// { kind, value } of a cell for comparing: numbers shown with a date format and date text are dates
+function sortValue(value, format) {
+    if (value === null || value === undefined || value === '') {
+        return { kind: 'blank', value: null };
+    }
+    if (isFormulaError(value)) {
+        return { kind: 'error', value: value.type };
+    }
+    if (typeof value === 'number') {
+        return { kind: format && isDateFormat(format) ? 'date' : 'number', value };
+    }
+    if (typeof value === 'boolean') {
+        return { kind: 'boolean', value: Number(value) };
+    }
+    const text = String(value);
+    const serial = parseDateText(text.trim());
+    return serial !== null ? { kind: 'date', value: serial } : { kind: 'text', value: text };
+}
+
+// compares two non-blank sort values in ascending order
+function compareSortValues(a, b, collator) {
+    if (a.kind !== b.kind) {
+        return kindOrder[a.kind] - kindOrder[b.kind];
+    }
+    if (a.kind === 'text' || a.kind === 'error') {
+        return collator.compare(a.value, b.value);
+    }
+    return a.value - b.value;
+}
+
+// Guesses whether the first row of a range is a header: it holds only text while the row below
+// has something else in one of the columns, or it is bold and the row below is not
+export function detectHeader(store, range) {
+    if (range.y2 <= range.y1) {
+        return false;
+    }
+    let filled = false;
+    let differs = false;
+    for (let x = range.x1; x <= range.x2; x++) {
+        const top = sortValue(store.getValue(x, range.y1), store.getFormat(x, range.y1));
+        if (top.kind !== 'text' && top.kind !== 'blank') {
+            return false;
+        }
+        filled = filled || top.kind === 'text';
+        const below = sortValue(store.getValue(x, range.y1 + 1), store.getFormat(x, range.y1 + 1));
+        const topStyle = store.getStyle(x, range.y1) || {};
+        const belowStyle = store.getStyle(x, range.y1 + 1) || {};
+        if (
+            (top.kind === 'text' && below.kind !== 'text' && below.kind !== 'blank') ||
+            (String(topStyle.weight).trim() === 'bold' && String(belowStyle.weight).trim() !== 'bold')
+        ) {
+            differs = true;
+        }
+    }
+    return filled && differs;
+}
+
+// Returns the onChange batch that sorts the rows of range by keys, or an empty batch when the order
+// does not change. Every cell of a moved row takes its value, style and format along; formulas keep
+// pointing at the same rows relative to themselves, as when they are copied.
+// options: header (true, false or 'auto' to detect one; a header row stays where it is) and locale
+// for comparing text. store needs getInput, getValue, getStyle and getFormat.
+export function sortRangeChanges(store, range, keys, options = {}) {
+    const header =
+        options.header === 'auto' || options.header === undefined ? detectHeader(store, range) : options.header;
+    const first = header ? range.y1 + 1 : range.y1;
+    const collator = new Intl.Collator(options.locale, { numeric: true, sensitivity: 'base' });
+
+    const rows = [];
+    for (let y = first; y <= range.y2; y++) {
+        rows.push({
+            y,
+            values: keys.map((key) => sortValue(store.getValue(key.column, y), store.getFormat(key.column, y))),
+        });
+    }
+    rows.sort((a, b) => {
+        for (let i = 0; i < keys.length; i++) {
+            const left = a.values[i];
+            const right = b.values[i];
+            if (left.kind === 'blank' || right.kind === 'blank') {
+                if (left.kind !== right.kind) {
+                    return left.kind === 'blank' ? 1 : -1;
+                }
+                continue;
+            }
+            const result = compareSortValues(left, right, collator);
+            if (result !== 0) {
+                return keys[i].descending ? -result : result;
+            }
+        }
+        return a.y - b.y;
+    });
+
+    const changes = [];
+    rows.forEach((row, index) => {
+        const y = first + index;
+        if (row.y === y) {
+            return;
+        }
+        for (let x = range.x1; x <= range.x2; x++) {
+            const input = store.getInput(x, row.y);
+            changes.push({
+                x,
+                y,
+                value: isFormulaText(input) ? shiftFormula(input, 0, y - row.y) : input,
+                style: store.getStyle(x, row.y),
+                format: store.getFormat(x, row.y),
+            });
+        }
+    });
+    return changes;
+}
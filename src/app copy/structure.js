@@ -0,0 +1,230 @@
+import { isWholeColumn, isWholeRow } from './addressing.js';
+import { rewriteReferences } from './formula/rewrite.js';
+
+// Inserting and deleting whole rows or columns. A structural change is one item of a change batch:
+//   { insert: { axis, index, count, sizes } }   count empty lines go in before line index
+//   { delete: { axis, index, count } }          lines index .. index + count - 1 go
+// where axis is 'rows' or 'columns' and the optional sizes are heights / widths for the inserted
+// lines (undo uses them to bring back the sizes of deleted lines). Everything positional moves
+// with the lines: cells, sizes, merges, rule ranges, formula references, hidden lines and outline
+// groups. Frozen panes keep their row and column counts.
+
+export function isStructuralChange(change) {
+    return Boolean(change && (change.insert || change.delete));
+}
+
+// the coordinate keys a change moves: y for rows, x for columns
+function axisKeys(change) {
+    const { axis } = change.insert || change.delete;
+    return axis === 'rows' ? ['y', 'y1', 'y2'] : ['x', 'x1', 'x2'];
+}
+
+// New position of line i, or -1 when the change deletes it
+export function shiftIndex(change, i) {
+    if (change.insert) {
+        return i >= change.insert.index ? i + change.insert.count : i;
+    }
+    const { index, count } = change.delete;
+    if (i < index) {
+        return i;
+    }
+    return i >= index + count ? i - count : -1;
+}
+
+// The span start .. end of lines after the change: an insert inside the span grows it, a delete
+// shrinks it. null when every line of it is deleted.
+function shiftSpan(change, start, end) {
+    if (change.insert) {
+        return [shiftIndex(change, start), shiftIndex(change, end)];
+    }
+    const { index, count } = change.delete;
+    const last = index + count - 1;
+    const newStart = start < index ? start : start > last ? start - count : index;
+    const newEnd = end < index ? end : end > last ? end - count : index - 1;
+    return newEnd < newStart ? null : [newStart, newEnd];
+}
+
+// { x1, y1, x2, y2 } after the change (other fields kept), null when it is deleted entirely
+export function shiftRange(change, range) {
+    const [, start, end] = axisKeys(change);
+    const span = shiftSpan(change, range[start], range[end]);
+    if (!span) {
+        return null;
+    }
+    if (span[0] === range[start] && span[1] === range[end]) {
+        return range;
+    }
+    return { ...range, [start]: span[0], [end]: span[1] };
+}
+
+// Rewrites the references of a formula for the change; references to deleted cells become #REF!.
+// Absolute references move too, since the cells they point at move.
+export function shiftFormulaReferences(change, formula) {
+    const rows = (change.insert || change.delete).axis === 'rows';
+    return rewriteReferences(formula, (ref) => {
+        // whole columns span every row and whole rows every column
+        if ((rows && isWholeColumn(ref)) || (!rows && isWholeRow(ref))) {
+            return ref;
+        }
+        return shiftRange(change, ref);
+    });
+}
+
+// A conditional format or validation rule after the change, null when none of its ranges is left
+// (or, for a list, its source range)
+export function shiftRule(change, rule) {
+    const ranges = rule.ranges.map((range) => shiftRange(change, range)).filter(Boolean);
+    if (ranges.length === 0) {
+        return null;
+    }
+    const shifted = { ...rule, ranges };
+    if (rule.formula) {
+        shifted.formula = shiftFormulaReferences(change, rule.formula);
+    }
+    if (rule.source) {
+        shifted.source = shiftRange(change, rule.source);
+        if (!shifted.source) {
+            return null;
+        }
+    }
+    return shifted;
+}
+
+// A filter (see filter.js) after the change: its range moves and its column criteria with it.
+// null when its header row or every column is deleted.
+export function shiftFilter(change, filter) {
+    const range = shiftRange(change, filter.range);
+    const rows = axisKeys(change)[0] === 'y';
+    if (!range || (rows && shiftIndex(change, filter.range.y1) === -1)) {
+        return null;
+    }
+    if (rows) {
+        return range === filter.range ? filter : { ...filter, range };
+    }
+    const columns = {};
+    for (const [x, criterion] of Object.entries(filter.columns || {})) {
+        const column = shiftIndex(change, Number(x));
+        if (column !== -1) {
+            columns[column] = criterion;
+        }
+    }
+    return { ...filter, range, columns };
+}
+
+// Sizes keyed by line ({ [line]: size } as serialized) after the change
+function shiftSizes(change, sizes) {
+    const shifted = {};
+    for (const [line, size] of Object.entries(sizes || {})) {
+        const index = shiftIndex(change, Number(line));
+        if (index !== -1) {
+            shifted[index] = size;
+        }
+    }
+    if (change.insert && change.insert.sizes) {
+        change.insert.sizes.forEach((size, i) => {
+            if (size !== null && size !== undefined) {
+                shifted[change.insert.index + i] = size;
+            }
+        });
+    }
+    return shifted;
+}
+
+// Serialized sheet data (see sheetStore.js) with the change applied
+export function shiftSheetData(data, change) {
+    const [key] = axisKeys(change);
+    const rows = key === 'y';
+    const cells = [];
+    for (const cell of data.cells || []) {
+        const index = shiftIndex(change, cell[key]);
+        if (index === -1) {
+            continue;
+        }
+        const shifted = { ...cell, [key]: index };
+        if (typeof cell.value === 'string' && cell.value[0] === '=') {
+            shifted.value = shiftFormulaReferences(change, cell.value);
+        }
+        cells.push(shifted);
+    }
+    const sizes = rows ? 'rowHeights' : 'columnWidths';
+    const hidden = rows ? 'hiddenRows' : 'hiddenColumns';
+    const groups = rows ? 'rowGroups' : 'columnGroups';
+    const shiftRules = (rules) => (rules || []).map((rule) => shiftRule(change, rule)).filter(Boolean);
+    return {
+        ...data,
+        cells,
+        [sizes]: shiftSizes(change, data[sizes]),
+        autoRowHeights: rows
+            ? (data.autoRowHeights || []).map((row) => shiftIndex(change, row)).filter((row) => row !== -1)
+            : data.autoRowHeights,
+        // merges left a single cell are no merges any more
+        merges: (data.merges || [])
+            .map((merge) => shiftRange(change, merge))
+            .filter((merge) => merge && (merge.x1 !== merge.x2 || merge.y1 !== merge.y2)),
+        conditionalFormats: shiftRules(data.conditionalFormats),
+        dataValidations: shiftRules(data.dataValidations),
+        [hidden]: (data[hidden] || []).map((i) => shiftIndex(change, i)).filter((i) => i !== -1),
+        [groups]: (data[groups] || [])
+            .map((group) => {
+                const span = shiftSpan(change, group.start, group.end);
+                return span && { ...group, start: span[0], end: span[1] };
+            })
+            .filter(Boolean),
+    };
+}
+
+// The batch that takes data back from shiftSheetData(data, change): an insert is undone by a
+// delete; a delete by an insert of the lost lines (with their sizes) followed by their cells, the
+// formulas the delete rewrote, the merges past the deleted lines, the rule lists and the outline.
+export function invertStructuralChange(data, change) {
+    if (change.insert) {
+        const { axis, index, count } = change.insert;
+        return [{ delete: { axis, index, count } }];
+    }
+    const { axis, index, count } = change.delete;
+    const [key, start, end] = axisKeys(change);
+    const rows = key === 'y';
+    const lineSizes = (rows ? data.rowHeights : data.columnWidths) || {};
+    const autoHeights = new Set(rows ? data.autoRowHeights || [] : []);
+    const sizes = [];
+    for (let i = index; i < index + count; i++) {
+        sizes.push(i in lineSizes && !autoHeights.has(i) ? lineSizes[i] : null);
+    }
+
+    const inverse = [{ insert: { axis, index, count, sizes } }];
+    for (const cell of data.cells || []) {
+        const deleted = shiftIndex(change, cell[key]) === -1;
+        const formula = typeof cell.value === 'string' && cell.value[0] === '=';
+        if (deleted) {
+            inverse.push({
+                x: cell.x,
+                y: cell.y,
+                value: cell.value ?? null,
+                style: cell.style || null,
+                format: cell.format || null,
+            });
+        } else if (formula && shiftFormulaReferences(change, cell.value) !== cell.value) {
+            inverse.push({ x: cell.x, y: cell.y, value: cell.value });
+        }
+    }
+    // every merge reaching past the deleted lines comes back as it was
+    const merges = (data.merges || []).filter((merge) => merge[end] >= index);
+    if (merges.length > 0) {
+        const past = {
+            x1: 0,
+            y1: 0,
+            x2: Math.max(...merges.map((merge) => merge.x2)),
+            y2: Math.max(...merges.map((merge) => merge.y2)),
+            [start]: index,
+        };
+        inverse.push({ unmerge: past }, ...merges.map((merge) => ({ merge: { ...merge } })));
+    }
+    inverse.push({ conditionalFormats: data.conditionalFormats || [] });
+    inverse.push({ dataValidations: data.dataValidations || [] });
+    if (rows) {
+        inverse.push({ hiddenRows: data.hiddenRows || [] }, { rowGroups: data.rowGroups || [] });
+    } else {
+        inverse.push({ hiddenColumns: data.hiddenColumns || [] }, { columnGroups: data.columnGroups || [] });
+    }
+    return inverse;
+}
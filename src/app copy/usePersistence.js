@@ -0,0 +1,113 @@
+import { useEffect, useRef, useState } from 'react';
+import { createAutosave, createPersistence, documentSchemaVersion, migrateDocument } from './persistence.js';
+import { downloadBlob } from './delimited.js';
+
+// Restores the workbook of a useSheetModel model from IndexedDB and autosaves it after changes.
+// status is 'loading', 'ready', 'unavailable' (no IndexedDB, nothing is saved), 'outdated'
+// (stored by an older version, see upgrade / discard), 'unsupported' (stored by a newer version) or
+// 'error' (discarding the stored document failed).
+export function usePersistence(model, options = {}) {
+    const [persistence] = useState(() => options.persistence || createPersistence(options));
+    const [state, setState] = useState(() => ({
+        status: persistence.isAvailable() ? 'loading' : 'unavailable',
+        stored: null,
+        error: null,
+    }));
+    const modelRef = useRef(model);
+    modelRef.current = model;
+
+    useEffect(() => {
+        if (!persistence.isAvailable()) {
+            return;
+        }
+        let cancelled = false;
+        persistence
+            .load()
+            .then((document) => {
+                if (cancelled) {
+                    return;
+                }
+                if (!document) {
+                    setState({ status: 'ready', stored: null, error: null });
+                } else if (document.schemaVersion < documentSchemaVersion) {
+                    setState({ status: 'outdated', stored: document, error: null });
+                } else if (document.schemaVersion > documentSchemaVersion) {
+                    setState({ status: 'unsupported', stored: document, error: null });
+                } else {
+                    modelRef.current.loadWorkbook(document.workbook);
+                    setState({ status: 'ready', stored: null, error: null });
+                }
+            })
+            .catch((error) => {
+                if (!cancelled) {
+                    setState({ status: 'unavailable', stored: null, error });
+                }
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [persistence]);
+
+    const { subscribe } = model;
+    const delay = options.delay || 1000;
+    useEffect(() => {
+        if (state.status !== 'ready') {
+            return;
+        }
+        const autosave = createAutosave(() => {
+            persistence.save(modelRef.current.getWorkbook()).catch((error) => {
+                setState({ status: 'unavailable', stored: null, error });
+            });
+        }, delay);
+        const onHide = () => {
+            if (document.visibilityState === 'hidden') {
+                autosave.flush();
+            }
+        };
+        const unsubscribe = subscribe(autosave.schedule);
+        document.addEventListener('visibilitychange', onHide);
+        window.addEventListener('pagehide', autosave.flush);
+        return () => {
+            unsubscribe();
+            document.removeEventListener('visibilitychange', onHide);
+            window.removeEventListener('pagehide', autosave.flush);
+            autosave.flush();
+        };
+    }, [state.status, persistence, subscribe, delay]);
+
+    // Runs the migrations over the stored document and opens it
+    const upgrade = async () => {
+        try {
+            const document = migrateDocument(state.stored, options.migrations);
+            modelRef.current.loadWorkbook(document.workbook);
+            await persistence.saveDocument(document);
+            setState({ status: 'ready', stored: null, error: null });
+        } catch (error) {
+            setState({ ...state, error });
+        }
+    };
+
+    // Drops the stored document and starts with an empty workbook
+    const discard = async () => {
+        try {
+            await persistence.clear();
+            setState({ status: 'ready', stored: null, error: null });
+        } catch (error) {
+            setState({ ...state, status: 'error', error });
+        }
+    };
+
+    const downloadBackup = () => {
+        const json = JSON.stringify(state.stored);
+        downloadBlob(new Blob([json], { type: 'application/json' }), 'workbook-backup.json');
+    };
+
+    return {
+        status: state.status,
+        storedVersion: state.stored ? state.stored.schemaVersion : null,
+        error: state.error,
+        upgrade,
+        discard,
+        downloadBackup,
+    };
+}
@@ -0,0 +1,426 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { createSheetStore } from './sheetStore.js';
+import { createHistory } from './history.js';
+import { forEachCellInRanges, normalizeRange } from './addressing.js';
+import { downloadBlob, encodeText, rangeToRows, readDelimitedFile, stringifyDelimited } from './delimited.js';
+import { readXlsx, writeXlsx } from './xlsx.js';
+import { rangesIntersect } from './merges.js';
+import { createFilterViewStore } from './filterViews.js';
+import { summarizeRanges } from './selectionSummary.js';
+
+const noSelection = { x1: -1, y1: -1, x2: -1, y2: -1 };
+const xlsxMimeType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+let nextSheetId = 1;
+
+// A worksheet of the workbook: every sheet keeps its own store and undo history
+function createWorksheet(name, options, data, scroll) {
+    return {
+        id: nextSheetId++,
+        name,
+        store: options.store || createSheetStore({ ...options, data }),
+        history: options.history || createHistory(),
+        scroll: scroll || { x: 0, y: 0 },
+    };
+}
+
+// Wires a workbook of sparse sheet stores into Sheet. Spread sheetProps onto <Sheet /> (keyed by
+// activeSheet.id) and the grid becomes editable with formulas, undo / redo and resizable rows and columns.
+export function useSheetModel(options = {}) {
+    const [sheets, setSheets] = useState(() => [createWorksheet('Sheet1', options)]);
+    const [activeIndex, setActiveIndex] = useState(0);
+    const [selection, setSelection] = useState(noSelection);
+    const activeSheet = sheets[Math.min(activeIndex, sheets.length - 1)];
+    const { store, history } = activeSheet;
+    const [, setVersion] = useState(() => store.getVersion());
+    const [listeners] = useState(() => new Set());
+    // filters are a view of the data: kept per sheet id, outside the stores, undo and saving
+    const [filters, setFilters] = useState({});
+    const [filterViews] = useState(
+        () => options.filterViews || createFilterViewStore({ user: options.user, storage: options.storage })
+    );
+    const [, setFilterViewsVersion] = useState(0);
+    // cut cells waiting to be pasted, { sheetId, range, id }: kept here so they can go to another sheet
+    const [cut, setCut] = useState(null);
+    const sheetRef = useRef(null);
+
+    // re-render on every store change; the fresh function identities below make Sheet redraw
+    useEffect(() => store.subscribe(setVersion), [store]);
+
+    // tells subscribers (e.g. autosave) about any change to the workbook
+    useEffect(() => {
+        const notify = () => listeners.forEach((listener) => listener());
+        notify();
+        const unsubscribes = sheets.map((sheet) => sheet.store.subscribe(notify));
+        return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+    }, [sheets, activeIndex, listeners]);
+
+    const subscribe = useCallback(
+        (listener) => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+        [listeners]
+    );
+
+    // applies a batch that did not come from the grid and records it as one undo step
+    const commit = (changes) => {
+        const inverse = store.applyChanges(changes);
+        history.record({ changes, inverse, selection });
+    };
+
+    const selectedRange = () => {
+        if (selection.x1 === -1 || selection.y1 === -1) {
+            return null;
+        }
+        return normalizeRange(selection.x1, selection.y1, selection.x2, selection.y2);
+    };
+
+    // every range of a multi-selection (Ctrl / Cmd-click), the active one last
+    const selectedRanges = () => selection.ranges || (selectedRange() ? [selectedRange()] : []);
+
+    // Sets style fields on every cell of the selected ranges as one undo step
+    const setSelectionStyle = (fields) => {
+        const changes = [];
+        forEachCellInRanges(selectedRanges(), (x, y) => {
+            changes.push({ x, y, style: { ...store.getStyle(x, y), ...fields } });
+        });
+        if (changes.length > 0) {
+            commit(changes);
+        }
+    };
+
+    // style of the active cell, for toolbars
+    const activeStyle = () => (selection.x1 === -1 ? {} : store.getStyle(selection.x1, selection.y1) || {});
+
+    // Sets the display format of the selected ranges as one undo step; null goes back to General
+    const setSelectionFormat = (format) => {
+        const changes = [];
+        forEachCellInRanges(selectedRanges(), (x, y) => {
+            changes.push({ x, y, format });
+        });
+        if (changes.length > 0) {
+            commit(changes);
+        }
+    };
+
+    const activeFormat = () => (selection.x1 === -1 ? null : store.getFormat(selection.x1, selection.y1));
+
+    // sum, average, count, min and max over the selected ranges for the status bar (see selectionSummary.js)
+    const selectionSummary = () => summarizeRanges(selectedRanges(), store.getValue);
+
+    // Merges the selection into one block; like other spreadsheets only the top-left value is kept
+    const mergeSelection = () => {
+        const range = selectedRange();
+        if (!range || (range.x1 === range.x2 && range.y1 === range.y2)) {
+            return;
+        }
+        const changes = [];
+        for (let y = range.y1; y <= range.y2; y++) {
+            for (let x = range.x1; x <= range.x2; x++) {
+                if ((x !== range.x1 || y !== range.y1) && store.getInput(x, y) !== null) {
+                    changes.push({ x, y, value: null });
+                }
+            }
+        }
+        changes.push({ merge: range });
+        commit(changes);
+    };
+
+    const unmergeSelection = () => {
+        const range = selectedRange();
+        if (range) {
+            commit([{ unmerge: range }]);
+        }
+    };
+
+    // Adds a conditional formatting rule (see conditionalFormat.js) for the selection, after the existing ones
+    const addConditionalFormat = (rule) => {
+        const range = selectedRange();
+        if (range) {
+            commit([{ conditionalFormats: [...store.getConditionalFormats(), { ...rule, ranges: [range] }] }]);
+        }
+    };
+
+    // Drops the conditional formatting rules that touch the selection
+    const clearConditionalFormats = () => {
+        const range = selectedRange();
+        if (!range) {
+            return;
+        }
+        const rules = store.getConditionalFormats();
+        const kept = rules.filter((rule) => !rule.ranges.some((ruleRange) => rangesIntersect(ruleRange, range)));
+        if (kept.length !== rules.length) {
+            commit([{ conditionalFormats: kept }]);
+        }
+    };
+
+    // Adds a data validation rule (see dataValidation.js) for the selection; it takes precedence
+    // over older rules on the same cells
+    const addDataValidation = (rule) => {
+        const range = selectedRange();
+        if (range) {
+            commit([{ dataValidations: [{ ...rule, ranges: [range] }, ...store.getDataValidations()] }]);
+        }
+    };
+
+    // Drops the validation rules that touch the selection
+    const clearDataValidations = () => {
+        const range = selectedRange();
+        if (!range) {
+            return;
+        }
+        const rules = store.getDataValidations();
+        const kept = rules.filter((rule) => !rule.ranges.some((ruleRange) => rangesIntersect(ruleRange, range)));
+        if (kept.length !== rules.length) {
+            commit([{ dataValidations: kept }]);
+        }
+    };
+
+    // Sorting goes through the mounted Sheet (sheetProps passes the ref), which sends the sorted rows
+    // as one onChange batch and undo step; see sort.js for keys and sortOptions
+    const sortRange = (keys, sortOptions = {}) => sheetRef.current && sheetRef.current.sortRange(keys, sortOptions);
+
+    const sortSheet = (keys, sortOptions = {}) => sheetRef.current && sheetRef.current.sortSheet(keys, sortOptions);
+
+    const filter = filters[activeSheet.id] || null;
+
+    const setFilter = (next) => setFilters({ ...filters, [activeSheet.id]: next });
+
+    // Turns the filter off, or on for the selection (or the used area when a single cell is
+    // selected) with its first row as the header
+    const toggleFilter = () => {
+        if (filter) {
+            setFilter(null);
+            return;
+        }
+        const extent = store.getExtent();
+        let range = selectedRange();
+        if (!range || (range.x1 === range.x2 && range.y1 === range.y2)) {
+            range = extent.y >= 0 ? { x1: 0, y1: 0, x2: extent.x, y2: extent.y } : null;
+        }
+        if (range) {
+            setFilter({ range, columns: {} });
+        }
+    };
+
+    // Named filter views of the active sheet, saved for the current user (options.user)
+    const filterViewNames = () => filterViews.names(activeSheet.name);
+
+    const saveFilterView = (name) => {
+        if (filter) {
+            filterViews.save(activeSheet.name, name, filter);
+            setFilterViewsVersion((version) => version + 1);
+        }
+    };
+
+    const applyFilterView = (name) => {
+        const view = filterViews.get(activeSheet.name, name);
+        if (view) {
+            setFilter(view);
+        }
+    };
+
+    const deleteFilterView = (name) => {
+        filterViews.remove(activeSheet.name, name);
+        setFilterViewsVersion((version) => version + 1);
+    };
+
+    // Streams a CSV / TSV file into the sheet starting at the active cell. The chunks become one undo
+    // step, recorded when the import ends so edits made meanwhile keep their own steps.
+    const importDelimited = async (file, importOptions = {}) => {
+        const originX = Math.max(selection.x1, 0);
+        const originY = Math.max(selection.y1, 0);
+        const imported = [];
+        const inverses = [];
+        try {
+            return await readDelimitedFile(file, {
+                ...importOptions,
+                onRows: (rows, firstRow) => {
+                    const changes = [];
+                    rows.forEach((row, r) => {
+                        const y = originY + firstRow + r;
+                        const isHeader = importOptions.header && firstRow + r === 0;
+                        row.forEach((value, c) => {
+                            const change = { x: originX + c, y, value };
+                            if (isHeader) {
+                                change.style = { ...store.getStyle(originX + c, y), weight: 'bold ' };
+                            }
+                            changes.push(change);
+                        });
+                    });
+                    imported.push(...changes);
+                    inverses.push(store.applyChanges(changes));
+                },
+            });
+        } finally {
+            // later chunks have to be reverted first
+            history.record({ changes: imported, inverse: inverses.reverse().flat(), selection });
+        }
+    };
+
+    // Returns the sheet or the selection as CSV / TSV text, and downloads it when a file name is given
+    const exportDelimited = (exportOptions = {}) => {
+        const delimiter = exportOptions.delimiter || ',';
+        const extent = store.getExtent();
+        const range =
+            exportOptions.scope === 'selection' && selectedRange()
+                ? selectedRange()
+                : { x1: 0, y1: 0, x2: extent.x, y2: extent.y };
+        const rows = rangeToRows(range, store.displayData);
+        const text = stringifyDelimited(rows, { delimiter });
+        if (exportOptions.fileName) {
+            const mimeType = delimiter === '\t' ? 'text/tab-separated-values' : 'text/csv';
+            downloadBlob(
+                new Blob([encodeText(text, exportOptions.encoding)], { type: mimeType }),
+                exportOptions.fileName
+            );
+        }
+        return text;
+    };
+
+    // A cut pasted on another sheet than it came from: its cells are cleared on their own sheet,
+    // as an undo step there
+    const clearCutSource = (id) => {
+        const source = cut && cut.id === id && sheets.find((sheet) => sheet.id === cut.sheetId);
+        setCut(null);
+        if (!source) {
+            return;
+        }
+        const { range } = cut;
+        const changes = source.store
+            .getMerges()
+            .filter((merge) => rangesIntersect(merge, range))
+            .map((merge) => ({ unmerge: merge }));
+        forEachCellInRanges([range], (x, y) => changes.push({ x, y, value: null, style: null, format: null }));
+        const inverse = source.store.applyChanges(changes);
+        source.history.record({ changes, inverse, selection: { ...range, others: [] } });
+    };
+
+    const selectSheet = (index) => {
+        setActiveIndex(index);
+        setSelection(noSelection);
+    };
+
+    const addSheet = () => {
+        let number = sheets.length + 1;
+        while (sheets.some((sheet) => sheet.name === 'Sheet' + number)) {
+            number++;
+        }
+        setSheets([...sheets, createWorksheet('Sheet' + number, {})]);
+        selectSheet(sheets.length);
+    };
+
+    // Plain data copy of the whole workbook, the shape loadWorkbook takes back
+    const getWorkbook = () => ({
+        activeIndex: sheets.indexOf(activeSheet),
+        sheets: sheets.map((sheet) => ({ name: sheet.name, data: sheet.store.serialize(), scroll: sheet.scroll })),
+    });
+
+    const loadWorkbook = (workbook) => {
+        setSheets(workbook.sheets.map((sheet) => createWorksheet(sheet.name, {}, sheet.data, sheet.scroll)));
+        setCut(null);
+        selectSheet(Math.min(workbook.activeIndex || 0, workbook.sheets.length - 1));
+    };
+
+    // Replaces the workbook with the sheets of an .xlsx file and resolves with its fidelity report
+    const importXlsx = async (file) => {
+        const workbook = readXlsx(await file.arrayBuffer());
+        if (workbook.sheets.length === 0) {
+            throw new Error('The workbook has no worksheets that can be shown');
+        }
+        loadWorkbook({ activeIndex: 0, sheets: workbook.sheets });
+        return workbook.report;
+    };
+
+    // Downloads every sheet as one .xlsx workbook and returns the fidelity report
+    const exportXlsx = (fileName = 'workbook.xlsx') => {
+        const { bytes, report } = writeXlsx(
+            sheets.map((sheet) => ({ name: sheet.name, data: sheet.store.serialize(), getValue: sheet.store.getValue }))
+        );
+        downloadBlob(new Blob([bytes], { type: xlsxMimeType }), fileName);
+        return report;
+    };
+
+    const freeze = store.getFreeze();
+    const sheetProps = {
+        sourceData: (x, y) => store.sourceData(x, y),
+        displayData: (x, y) => store.displayData(x, y),
+        editData: (x, y) => store.editData(x, y),
+        cellStyle: (x, y) => store.cellStyle(x, y),
+        cellFormat: (x, y) => store.cellFormat(x, y),
+        valueData: (x, y) => store.valueData(x, y),
+        cellWidth: (column) => store.getColumnWidth(column),
+        cellHeight: (row) => store.getRowHeight(row),
+        autoRowHeight: (row) => store.isRowHeightAuto(row),
+        onChange: (changes) => store.applyChanges(changes),
+        onCellWidthChange: (column, width) => store.setColumnWidth(column, width),
+        onCellHeightChange: (row, height, auto) => store.setRowHeight(row, height, auto),
+        onSelectionChanged: (x1, y1, x2, y2, ranges) => setSelection({ x1, y1, x2, y2, ranges }),
+        onScrollChange: (x, y) => {
+            activeSheet.scroll = { x, y };
+            listeners.forEach((listener) => listener());
+        },
+        initialScroll: activeSheet.scroll,
+        mergedCells: store.getMerges(),
+        conditionalFormats: store.getConditionalFormats(),
+        dataValidations: store.getDataValidations(),
+        hiddenRows: store.getHiddenRows(),
+        hiddenColumns: store.getHiddenColumns(),
+        rowGroups: store.getRowGroups(),
+        columnGroups: store.getColumnGroups(),
+        evaluateFormula: (formula) => store.evaluateFormula(formula),
+        freezeRows: freeze.rows,
+        freezeColumns: freeze.columns,
+        history,
+        filter,
+        onFilterChange: setFilter,
+        cutArea: cut && cut.sheetId === activeSheet.id ? cut : null,
+        onCutAreaChange: (area) => setCut(area && { ...area, sheetId: activeSheet.id }),
+        onCutPaste: clearCutSource,
+        ref: sheetRef,
+        dataExtent: store.getExtent(),
+        dataVersion: store.getVersion(),
+        forEachCell: (fn) => store.forEachCell((cell, x, y) => fn(x, y)),
+    };
+
+    return {
+        sheets,
+        activeSheet,
+        store,
+        history,
+        selection,
+        selectedRanges,
+        selectSheet,
+        addSheet,
+        getWorkbook,
+        loadWorkbook,
+        subscribe,
+        commit,
+        setSelectionStyle,
+        activeStyle,
+        setSelectionFormat,
+        activeFormat,
+        selectionSummary,
+        mergeSelection,
+        unmergeSelection,
+        addConditionalFormat,
+        clearConditionalFormats,
+        addDataValidation,
+        clearDataValidations,
+        sortRange,
+        sortSheet,
+        filter,
+        setFilter,
+        toggleFilter,
+        filterViewNames,
+        saveFilterView,
+        applyFilterView,
+        deleteFilterView,
+        importDelimited,
+        exportDelimited,
+        importXlsx,
+        exportXlsx,
+        sheetProps,
+    };
+}
@@ -0,0 +1,1366 @@
+import { strFromU8, strToU8, unzipSync, zipSync } from 'fflate';
+import { childElement, childElements, escapeXml, parseXml } from './xml.js';
+import { formatCellAddress, formatRangeAddress, parseCellAddress, parseRangeAddress } from './addressing.js';
+import { shiftFormula } from './formula/rewrite.js';
+import { isFormulaError } from './formula/errors.js';
+import { parseDateText } from './formula/functions/date.js';
+
+// Client-side .xlsx (Office Open XML) reading and writing.
+// A sheet is exchanged as { name, data } where data has the shape sheetStore.serialize() returns.
+// Anything a workbook holds that the grid can't represent is listed in a fidelity report
+// ({ sheet, message, count }) instead of being dropped silently.
+
+const mainNamespace = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const relationshipNamespace = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const packageRelationshipNamespace = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// functions newer than Excel 2007 are stored with a prefix
+const prefixedFunctions = ['CONCAT', 'TEXTJOIN', 'IFS', 'XOR', 'XLOOKUP', 'DAYS', 'IFNA'];
+
+const namedColors = {
+    black: '#000000',
+    white: '#ffffff',
+    red: '#ff0000',
+    green: '#008000',
+    blue: '#0000ff',
+    yellow: '#ffff00',
+    orange: '#ffa500',
+    purple: '#800080',
+    gray: '#808080',
+    grey: '#808080',
+    silver: '#c0c0c0',
+    navy: '#000080',
+    teal: '#008080',
+    maroon: '#800000',
+    lime: '#00ff00',
+    aqua: '#00ffff',
+    cyan: '#00ffff',
+    fuchsia: '#ff00ff',
+    magenta: '#ff00ff',
+};
+
+const genericFonts = {
+    'sans-serif': 'Arial',
+    serif: 'Times New Roman',
+    monospace: 'Courier New',
+};
+
+// style keys that map onto the workbook; the margins are only reported when they differ from Sheet's defaults
+const styleKeys = ['color', 'fontSize', 'fontFamily', 'weight', 'textAlign', 'fillColor', 'backgroundColor', 'wrap'];
+const defaultMargin = 5;
+
+// number formats every reader knows by id; custom ones are listed in <numFmts> from id 164 on
+const builtinFormats = {
+    1: '0',
+    2: '0.00',
+    3: '#,##0',
+    4: '#,##0.00',
+    9: '0%',
+    10: '0.00%',
+    11: '0.00E+00',
+    12: '# ?/?',
+    13: '# ??/??',
+    14: 'm/d/yyyy',
+    15: 'd-mmm-yy',
+    16: 'd-mmm',
+    17: 'mmm-yy',
+    18: 'h:mm AM/PM',
+    19: 'h:mm:ss AM/PM',
+    20: 'h:mm',
+    21: 'h:mm:ss',
+    22: 'm/d/yyyy h:mm',
+    37: '#,##0 ;(#,##0)',
+    38: '#,##0 ;[Red](#,##0)',
+    39: '#,##0.00;(#,##0.00)',
+    40: '#,##0.00;[Red](#,##0.00)',
+    45: 'mm:ss',
+    46: '[h]:mm:ss',
+    47: 'mm:ss.0',
+    48: '##0.0E+0',
+    49: '@',
+};
+const firstCustomFormatId = 164;
+
+function createReport() {
+    const entries = new Map();
+    return {
+        add: (sheet, message) => {
+            const key = sheet + '\u0000' + message;
+            const entry = entries.get(key);
+            if (entry) {
+                entry.count++;
+            } else {
+                entries.set(key, { sheet, message, count: 1 });
+            }
+        },
+        entries: () => [...entries.values()],
+    };
+}
+
+// '#rgb', '#rrggbb', 'rgb(r, g, b)' or a basic color name to 'FFRRGGBB', null when not understood
+export function cssColorToArgb(color) {
+    if (typeof color !== 'string') {
+        return null;
+    }
+    let text = color.trim().toLowerCase();
+    text = namedColors[text] || text;
+    let match = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/.exec(text);
+    if (match) {
+        return ('FF' + match[1] + match[1] + match[2] + match[2] + match[3] + match[3]).toUpperCase();
+    }
+    match = /^#([0-9a-f]{6})$/.exec(text);
+    if (match) {
+        return ('FF' + match[1]).toUpperCase();
+    }
+    match = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)$/.exec(text);
+    if (match) {
+        const hex = (n) => Math.min(255, Math.round(n)).toString(16).padStart(2, '0');
+        const alpha = match[4] === undefined ? 1 : parseFloat(match[4]);
+        return (hex(alpha * 255) + hex(+match[1]) + hex(+match[2]) + hex(+match[3])).toUpperCase();
+    }
+    return null;
+}
+
+function argbToCssColor(argb) {
+    if (!argb || !/^[0-9a-fA-F]{8}$/.test(argb)) {
+        return null;
+    }
+    return '#' + argb.slice(2).toLowerCase();
+}
+
+// Excel column widths are in characters of the default font, heights in points
+const widthToPixels = (width) => Math.round(width * 7 + 5);
+const pixelsToWidth = (pixels) => Math.max(0, Math.round(((pixels - 5) / 7) * 100) / 100);
+const pointsToPixels = (points) => Math.round(points / 0.75);
+const pixelsToPoints = (pixels) => Math.round(pixels * 0.75 * 100) / 100;
+
+function formulaFromXlsx(text) {
+    return '=' + text.replace(/_xl(fn|ws)\./g, '');
+}
+
+function formulaToXlsx(formula) {
+    let text = formula.slice(1);
+    for (const name of prefixedFunctions) {
+        text = text.replace(new RegExp('(^|[^\\w.])(' + name + ')\\s*\\(', 'gi'), '$1_xlfn.$2(');
+    }
+    return text;
+}
+
+// Resolves a relationship target against the folder of the part that owns it
+function resolvePath(base, target) {
+    if (target[0] === '/') {
+        return target.slice(1);
+    }
+    const parts = base.split('/').slice(0, -1);
+    for (const part of target.split('/')) {
+        if (part === '..') {
+            parts.pop();
+        } else if (part !== '.') {
+            parts.push(part);
+        }
+    }
+    return parts.join('/');
+}
+
+function readRelationships(files, partPath) {
+    const slash = partPath.lastIndexOf('/');
+    const relsPath = partPath.slice(0, slash + 1) + '_rels/' + partPath.slice(slash + 1) + '.rels';
+    const relationships = new Map();
+    if (files[relsPath]) {
+        for (const rel of childElements(parseXml(strFromU8(files[relsPath])), 'Relationship')) {
+            relationships.set(rel.attributes.Id, {
+                type: rel.attributes.Type.slice(rel.attributes.Type.lastIndexOf('/') + 1),
+                target:
+                    rel.attributes.TargetMode === 'External'
+                        ? rel.attributes.Target
+                        : resolvePath(partPath, rel.attributes.Target),
+            });
+        }
+    }
+    return relationships;
+}
+
+function readSharedStrings(files, path, report) {
+    if (!path || !files[path]) {
+        return [];
+    }
+    return childElements(parseXml(strFromU8(files[path])), 'si').map((si) => {
+        const runs = childElements(si, 'r');
+        if (runs.length > 0) {
+            if (runs.some((run) => childElement(run, 'rPr'))) {
+                report.add('', 'Rich text formatting inside cells was flattened to plain text');
+            }
+            return runs.map((run) => childElement(run, 't')?.text || '').join('');
+        }
+        return childElement(si, 't')?.text || '';
+    });
+}
+
+function readColor(element, report, what) {
+    if (!element) {
+        return null;
+    }
+    if (element.attributes.rgb) {
+        return argbToCssColor(element.attributes.rgb);
+    }
+    // theme 1 and indexed 64 are the automatic text colors
+    if (element.attributes.theme === '1' || element.attributes.indexed === '64' || element.attributes.auto === '1') {
+        return null;
+    }
+    report.add('', 'Theme and indexed ' + what + ' colors are not supported');
+    return null;
+}
+
+// Turns the workbook's cellXfs into the cellStyle objects and number formats they stand for, and
+// its dxfs (the styles conditional formatting applies) into cellStyle objects
+function readStyles(files, path, report) {
+    if (!path || !files[path]) {
+        return { cellFormats: [], differentialStyles: [] };
+    }
+    const root = parseXml(strFromU8(files[path]));
+    const numberFormats = { ...builtinFormats };
+    for (const numFmt of childElements(childElement(root, 'numFmts'), 'numFmt')) {
+        numberFormats[+numFmt.attributes.numFmtId] = numFmt.attributes.formatCode;
+    }
+    const fonts = childElements(childElement(root, 'fonts'), 'font').map((font) => {
+        const style = {};
+        const bold = childElement(font, 'b');
+        const italic = childElement(font, 'i');
+        const weight =
+            (italic && italic.attributes.val !== '0' ? 'italic ' : '') +
+            (bold && bold.attributes.val !== '0' ? 'bold ' : '');
+        if (weight) {
+            style.weight = weight;
+        }
+        const size = childElement(font, 'sz');
+        if (size) {
+            style.fontSize = pointsToPixels(parseFloat(size.attributes.val));
+        }
+        const name = childElement(font, 'name');
+        if (name) {
+            style.fontFamily = name.attributes.val;
+        }
+        const color = readColor(childElement(font, 'color'), report, 'font');
+        if (color) {
+            style.color = color;
+        }
+        const underline = childElement(font, 'u');
+        const strike = childElement(font, 'strike');
+        style.unsupported = [];
+        if (underline && underline.attributes.val !== 'none') {
+            style.unsupported.push('Underlined text');
+        }
+        if (strike && strike.attributes.val !== '0') {
+            style.unsupported.push('Strikethrough text');
+        }
+        return style;
+    });
+    const defaultFont = fonts[0] || {};
+
+    const fills = childElements(childElement(root, 'fills'), 'fill').map((fill) => {
+        const pattern = childElement(fill, 'patternFill');
+        if (!pattern) {
+            return { unsupported: childElement(fill, 'gradientFill') ? 'Gradient fills' : null };
+        }
+        const type = pattern.attributes.patternType || 'none';
+        if (type === 'none' || type === 'gray125') {
+            return {};
+        }
+        const color = readColor(childElement(pattern, 'fgColor'), report, 'fill');
+        return { fillColor: color, unsupported: type !== 'solid' ? 'Patterned fills (kept as solid fills)' : null };
+    });
+
+    const borders = childElements(childElement(root, 'borders'), 'border').map((border) =>
+        border.children.some((side) => side.attributes.style && side.attributes.style !== 'none')
+    );
+
+    const differentialStyles = childElements(childElement(root, 'dxfs'), 'dxf').map((dxf) => {
+        const style = {};
+        const font = childElement(dxf, 'font');
+        if (font) {
+            const bold = childElement(font, 'b');
+            const italic = childElement(font, 'i');
+            const weight =
+                (italic && italic.attributes.val !== '0' ? 'italic ' : '') +
+                (bold && bold.attributes.val !== '0' ? 'bold ' : '');
+            if (weight) {
+                style.weight = weight;
+            }
+            const color = readColor(childElement(font, 'color'), report, 'font');
+            if (color) {
+                style.color = color;
+            }
+        }
+        // a dxf fill keeps its color in bgColor
+        const pattern = childElement(childElement(dxf, 'fill'), 'patternFill');
+        const fillColor =
+            pattern && readColor(childElement(pattern, 'bgColor') || childElement(pattern, 'fgColor'), report, 'fill');
+        if (fillColor) {
+            style.fillColor = fillColor;
+        }
+        return style;
+    });
+
+    const cellFormats = childElements(childElement(root, 'cellXfs'), 'xf').map((xf) => {
+        const style = {};
+        const unsupported = [];
+        const font = fonts[+xf.attributes.fontId || 0] || {};
+        // only keep font properties that differ from the workbook's default font,
+        // so plain cells keep the grid's own look
+        for (const key of ['weight', 'fontSize', 'fontFamily', 'color']) {
+            if (
+                font[key] !== undefined &&
+                (font === defaultFont ? key === 'weight' || key === 'color' : font[key] !== defaultFont[key])
+            ) {
+                style[key] = font[key];
+            }
+        }
+        unsupported.push(...(font.unsupported || []));
+
+        const fill = fills[+xf.attributes.fillId || 0] || {};
+        if (fill.fillColor) {
+            style.fillColor = fill.fillColor;
+        }
+        if (fill.unsupported) {
+            unsupported.push(fill.unsupported);
+        }
+
+        if (borders[+xf.attributes.borderId || 0]) {
+            unsupported.push('Cell borders');
+        }
+
+        const alignment = childElement(xf, 'alignment');
+        if (alignment) {
+            const horizontal = alignment.attributes.horizontal;
+            if (horizontal === 'left' || horizontal === 'right' || horizontal === 'center') {
+                style.textAlign = horizontal;
+            }
+            if (alignment.attributes.vertical && alignment.attributes.vertical !== 'bottom') {
+                unsupported.push('Vertical alignment');
+            }
+            if (alignment.attributes.wrapText === '1') {
+                style.wrap = 'wrap';
+            }
+            if (alignment.attributes.textRotation && alignment.attributes.textRotation !== '0') {
+                unsupported.push('Rotated text');
+            }
+        }
+
+        const numberFormat = +xf.attributes.numFmtId || 0;
+        let format = null;
+        if (numberFormat !== 0) {
+            format = numberFormats[numberFormat] || null;
+            if (!format) {
+                unsupported.push('Unknown built-in number formats (values are shown unformatted)');
+            } else if (format.toLowerCase() === 'general') {
+                format = null;
+            } else if (/\?\/\?/.test(format)) {
+                unsupported.push('Fraction number formats');
+            }
+        }
+        return { style, format, unsupported };
+    });
+    return { cellFormats, differentialStyles };
+}
+
+// Conditional formatting operands are numbers, quoted text or formulas
+function operandFromXlsx(text) {
+    if (/^-?\d+(\.\d+)?(E[+-]?\d+)?$/i.test(text)) {
+        return parseFloat(text);
+    }
+    if (/^".*"$/.test(text)) {
+        return text.slice(1, -1).replace(/""/g, '"');
+    }
+    return formulaFromXlsx(text);
+}
+
+// One <cfRule> as a rule in the shape conditionalFormat.js evaluates, or null for unsupported types
+function readConditionalRule(cfRule, name, differentialStyles, report) {
+    const attributes = cfRule.attributes;
+    const formulas = childElements(cfRule, 'formula').map((formula) => formula.text);
+    const type = attributes.type;
+    let rule;
+    if (type === 'cellIs') {
+        rule = { type, operator: attributes.operator || 'equal', values: formulas.map(operandFromXlsx) };
+    } else if (type === 'containsText' || type === 'notContainsText' || type === 'beginsWith' || type === 'endsWith') {
+        rule = { type, text: attributes.text || '' };
+    } else if (type === 'duplicateValues' || type === 'uniqueValues') {
+        rule = { type };
+    } else if (type === 'top10') {
+        rule = {
+            type,
+            rank: +attributes.rank || 10,
+            bottom: attributes.bottom === '1',
+            percent: attributes.percent === '1',
+        };
+    } else if (type === 'expression' && formulas.length > 0) {
+        rule = { type, formula: formulaFromXlsx(formulas[0]) };
+    } else if (type === 'colorScale') {
+        const scale = childElement(cfRule, 'colorScale');
+        const stops = childElements(scale, 'cfvo').map((cfvo) => cfvo.attributes.type + (cfvo.attributes.val || ''));
+        if (
+            stops.some(
+                (stop, index) => stop !== (index === 0 ? 'min' : index === stops.length - 1 ? 'max' : 'percentile50')
+            )
+        ) {
+            report.add(name, 'Color scale stops other than minimum, median and maximum');
+        }
+        rule = {
+            type,
+            colors: childElements(scale, 'color').map((color) => readColor(color, report, 'color scale') || '#ffffff'),
+        };
+    } else if (type === 'dataBar') {
+        const color = readColor(childElement(childElement(cfRule, 'dataBar'), 'color'), report, 'data bar');
+        rule = { type, color: color || '#638ec6' };
+    } else {
+        return null;
+    }
+    if (attributes.dxfId !== undefined && differentialStyles[+attributes.dxfId]) {
+        rule.style = { ...differentialStyles[+attributes.dxfId] };
+    }
+    if (attributes.stopIfTrue === '1') {
+        rule.stopIfTrue = true;
+    }
+    return rule;
+}
+
+const validationTypes = {
+    whole: 'number',
+    decimal: 'number',
+    list: 'list',
+    date: 'date',
+    textLength: 'textLength',
+    custom: 'custom',
+};
+
+// Reads <dataValidations> into rules in the shape dataValidation.js checks
+function readDataValidations(root, name, report) {
+    const rules = [];
+    for (const validation of childElements(childElement(root, 'dataValidations'), 'dataValidation')) {
+        const attributes = validation.attributes;
+        const type = validationTypes[attributes.type];
+        const ranges = (attributes.sqref || '')
+            .split(/\s+/)
+            .map(parseRangeAddress)
+            .filter(Boolean)
+            .map((range) => ({ x1: range.x1, y1: range.y1, x2: range.x2, y2: range.y2 }));
+        if (!attributes.type || attributes.type === 'none' || ranges.length === 0) {
+            continue;
+        }
+        if (!type) {
+            report.add(name, 'Data validation of type "' + attributes.type + '"');
+            continue;
+        }
+        const formulas = ['formula1', 'formula2']
+            .map((element) => childElement(validation, element))
+            .filter(Boolean)
+            .map((element) => element.text);
+        const rule = { ranges, type };
+        if (type === 'list') {
+            const source = formulas[0] || '';
+            if (/^".*"$/.test(source)) {
+                rule.values = source.slice(1, -1).split(',');
+            } else if (parseRangeAddress(source)) {
+                const range = parseRangeAddress(source);
+                rule.source = { x1: range.x1, y1: range.y1, x2: range.x2, y2: range.y2 };
+            } else {
+                report.add(name, 'Dropdown lists from other sheets or named ranges');
+                continue;
+            }
+        } else if (type === 'custom') {
+            rule.formula = formulaFromXlsx(formulas[0] || 'TRUE');
+        } else {
+            rule.operator = attributes.operator || 'between';
+            rule.values = formulas.map(operandFromXlsx);
+            if (attributes.type === 'whole') {
+                rule.integer = true;
+            }
+        }
+        rule.mode =
+            attributes.showErrorMessage === '1' && (attributes.errorStyle || 'stop') === 'stop' ? 'reject' : 'warning';
+        if (attributes.error) {
+            rule.message = attributes.error;
+        }
+        rules.push(rule);
+    }
+    return rules;
+}
+
+// Reads the sheet's conditional formatting into rules ordered by priority. Whole rows and columns
+// are cut down to the used part of the sheet.
+function readConditionalFormats(root, name, data, differentialStyles, report) {
+    let maxX = 0;
+    let maxY = 0;
+    for (const cell of data.cells) {
+        maxX = Math.max(maxX, cell.x);
+        maxY = Math.max(maxY, cell.y);
+    }
+    const rules = [];
+    for (const block of childElements(root, 'conditionalFormatting')) {
+        const ranges = (block.attributes.sqref || '')
+            .split(/\s+/)
+            .map(parseRangeAddress)
+            .filter(Boolean)
+            .map((range) => ({
+                x1: range.x1,
+                y1: range.y1,
+                x2: range.x2 === Infinity ? Math.max(maxX, range.x1) : range.x2,
+                y2: range.y2 === Infinity ? Math.max(maxY, range.y1) : range.y2,
+            }));
+        for (const cfRule of childElements(block, 'cfRule')) {
+            const rule = ranges.length > 0 ? readConditionalRule(cfRule, name, differentialStyles, report) : null;
+            if (rule) {
+                rules.push({ priority: +cfRule.attributes.priority || 0, rule: { ranges, ...rule } });
+            } else {
+                report.add(name, 'Conditional formatting of type "' + cfRule.attributes.type + '"');
+            }
+        }
+    }
+    return rules.sort((a, b) => a.priority - b.priority).map(({ rule }) => rule);
+}
+
+function readWorksheet(files, path, name, sharedStrings, styles, report) {
+    const root = parseXml(strFromU8(files[path]));
+    const data = { cells: [], columnWidths: {}, rowHeights: {}, freezeRows: 0, freezeColumns: 0, merges: [] };
+    const sharedFormulas = new Map();
+
+    const pane = childElement(childElement(childElement(root, 'sheetViews'), 'sheetView'), 'pane');
+    if (pane) {
+        if (pane.attributes.state === 'frozen' || pane.attributes.state === 'frozenSplit') {
+            data.freezeColumns = Math.round(+pane.attributes.xSplit || 0);
+            data.freezeRows = Math.round(+pane.attributes.ySplit || 0);
+        } else {
+            report.add(name, 'Split panes (only frozen panes are supported)');
+        }
+    }
+
+    for (const col of childElements(childElement(root, 'cols'), 'col')) {
+        if (col.attributes.hidden === '1') {
+            report.add(name, 'Hidden columns are shown');
+        }
+        if (+col.attributes.outlineLevel > 0) {
+            report.add(name, 'Column groups');
+        }
+        if (!col.attributes.width) {
+            continue;
+        }
+        const width = widthToPixels(parseFloat(col.attributes.width));
+        // a <col> can span the whole sheet, only keep the columns a grid would reasonably show
+        const max = Math.min(+col.attributes.max, +col.attributes.min + 1000);
+        for (let column = +col.attributes.min; column <= max; column++) {
+            data.columnWidths[column - 1] = width;
+        }
+    }
+
+    let nextRow = 0;
+    for (const row of childElements(childElement(root, 'sheetData'), 'row')) {
+        const y = row.attributes.r ? +row.attributes.r - 1 : nextRow;
+        nextRow = y + 1;
+        if (row.attributes.customHeight === '1' && row.attributes.ht) {
+            data.rowHeights[y] = pointsToPixels(parseFloat(row.attributes.ht));
+        }
+        if (row.attributes.hidden === '1') {
+            report.add(name, 'Hidden rows are shown');
+        }
+        if (+row.attributes.outlineLevel > 0) {
+            report.add(name, 'Row groups');
+        }
+
+        let nextColumn = 0;
+        for (const c of childElements(row, 'c')) {
+            const address = c.attributes.r ? parseCellAddress(c.attributes.r) : { x: nextColumn, y };
+            const x = address.x;
+            nextColumn = x + 1;
+            const cell = { x, y };
+
+            const f = childElement(c, 'f');
+            const v = childElement(c, 'v');
+            const type = c.attributes.t || 'n';
+            if (f) {
+                let formula = f.text ? formulaFromXlsx(f.text) : null;
+                if (f.attributes.t === 'shared') {
+                    if (formula) {
+                        sharedFormulas.set(f.attributes.si, { formula, x, y });
+                    } else {
+                        const master = sharedFormulas.get(f.attributes.si);
+                        formula = master ? shiftFormula(master.formula, x - master.x, y - master.y) : null;
+                    }
+                } else if (f.attributes.t === 'array') {
+                    report.add(name, 'Array formulas (kept as single-cell formulas)');
+                } else if (f.attributes.t === 'dataTable') {
+                    report.add(name, 'Data tables (kept as values)');
+                    formula = null;
+                }
+                if (formula && formula.includes('!')) {
+                    report.add(name, 'Formulas referring to other worksheets');
+                }
+                if (formula) {
+                    cell.value = formula;
+                }
+            }
+            if (!('value' in cell)) {
+                if (type === 'inlineStr') {
+                    const is = childElement(c, 'is');
+                    const runs = childElements(is, 'r');
+                    cell.value =
+                        runs.length > 0
+                            ? runs.map((run) => childElement(run, 't')?.text || '').join('')
+                            : childElement(is, 't')?.text || '';
+                } else if (v) {
+                    if (type === 's') {
+                        cell.value = sharedStrings[+v.text] ?? '';
+                    } else if (type === 'b') {
+                        cell.value = v.text === '1';
+                    } else if (type === 'str' || type === 'e') {
+                        cell.value = v.text;
+                    } else {
+                        cell.value = parseFloat(v.text);
+                    }
+                }
+            }
+
+            const xf = styles.cellFormats[+c.attributes.s || 0];
+            if (xf) {
+                if (Object.keys(xf.style).length > 0) {
+                    cell.style = { ...xf.style };
+                }
+                if (xf.format) {
+                    cell.format = xf.format;
+                }
+                for (const message of xf.unsupported) {
+                    report.add(name, message);
+                }
+            }
+            if ('value' in cell || cell.style || cell.format) {
+                data.cells.push(cell);
+            }
+        }
+    }
+
+    for (const mergeCell of childElements(childElement(root, 'mergeCells'), 'mergeCell')) {
+        const range = parseRangeAddress(mergeCell.attributes.ref || '');
+        if (range) {
+            data.merges.push({ x1: range.x1, y1: range.y1, x2: range.x2, y2: range.y2 });
+        }
+    }
+
+    data.conditionalFormats = readConditionalFormats(root, name, data, styles.differentialStyles, report);
+    data.dataValidations = readDataValidations(root, name, report);
+
+    const features = [
+        ['hyperlinks', 'Hyperlinks (kept as text)'],
+        ['autoFilter', 'Filters'],
+        ['sheetProtection', 'Sheet protection'],
+        ['drawing', 'Charts, images and shapes'],
+        ['legacyDrawing', 'Comments and notes'],
+        ['tableParts', 'Excel tables (kept as plain ranges)'],
+    ];
+    for (const [element, message] of features) {
+        if (childElement(root, element)) {
+            report.add(name, message);
+        }
+    }
+    return data;
+}
+
+// Reads an .xlsx file (ArrayBuffer or Uint8Array) into { sheets: [{ name, data }], report }
+export function readXlsx(buffer) {
+    const files = unzipSync(buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer));
+    const report = createReport();
+    const rootRelationships = readRelationships(files, '');
+    const workbookRelation = [...rootRelationships.values()].find((rel) => rel.type === 'officeDocument');
+    const workbookPath = workbookRelation ? workbookRelation.target : 'xl/workbook.xml';
+    if (!files[workbookPath]) {
+        throw new Error('Not an .xlsx workbook');
+    }
+
+    const workbook = parseXml(strFromU8(files[workbookPath]));
+    const relationships = readRelationships(files, workbookPath);
+    const targetOfType = (type) => [...relationships.values()].find((rel) => rel.type === type)?.target;
+    const sharedStrings = readSharedStrings(files, targetOfType('sharedStrings'), report);
+    const styles = readStyles(files, targetOfType('styles'), report);
+
+    if (childElements(childElement(workbook, 'definedNames'), 'definedName').length > 0) {
+        report.add('', 'Named ranges');
+    }
+
+    const sheets = [];
+    for (const sheet of childElements(childElement(workbook, 'sheets'), 'sheet')) {
+        const name = sheet.attributes.name;
+        const relation = relationships.get(sheet.attributes.id);
+        if (!relation || relation.type !== 'worksheet' || !files[relation.target]) {
+            report.add(name, 'Chart sheets and dialog sheets were skipped');
+            continue;
+        }
+        if (sheet.attributes.state && sheet.attributes.state !== 'visible') {
+            report.add(name, 'Hidden worksheets are shown');
+        }
+        sheets.push({ name, data: readWorksheet(files, relation.target, name, sharedStrings, styles, report) });
+    }
+    return { sheets, report: report.entries() };
+}
+
+// Collects the distinct fonts, fills, number formats and cell formats used by the cells being written
+function createStyleTable(report) {
+    const defaultFont = { name: 'Arial', size: 10, color: null, bold: false, italic: false };
+    const fonts = [defaultFont];
+    const fills = [null, null]; // 'none' and 'gray125' are required first entries
+    const formats = [{ fontId: 0, fillId: 0, numFmtId: 0, align: null, wrap: false }];
+    const numberFormats = []; // custom format codes, numbered from firstCustomFormatId
+    const differentialStyles = [];
+    const keyOf = (value) => JSON.stringify(value);
+    const indexIn = (list, value) => {
+        const key = keyOf(value);
+        const index = list.findIndex((item) => item && keyOf(item) === key);
+        return index !== -1 ? index : list.push(value) - 1;
+    };
+
+    const numFmtId = (format) => {
+        if (!format) {
+            return 0;
+        }
+        // 14 and 22 are shown in the reader's locale, so those are written out as custom formats
+        const builtin = Object.keys(builtinFormats).find(
+            (id) => builtinFormats[id] === format && id !== '14' && id !== '22'
+        );
+        return builtin ? +builtin : firstCustomFormatId + indexIn(numberFormats, format);
+    };
+
+    const styleIndex = (style, format, sheetName) => {
+        if (!style && !format) {
+            return 0;
+        }
+        style = style || {};
+        for (const key of Object.keys(style)) {
+            if (key === 'marginLeft' || key === 'marginRight') {
+                if (style[key] !== defaultMargin) {
+                    report.add(sheetName, 'Cell padding');
+                }
+            } else if (!styleKeys.includes(key)) {
+                report.add(sheetName, 'Cell style "' + key + '"');
+            }
+        }
+
+        const weight = style.weight || '';
+        const font = {
+            name: genericFonts[style.fontFamily] || style.fontFamily || defaultFont.name,
+            size: style.fontSize ? Math.round(pixelsToPoints(style.fontSize) * 2) / 2 : defaultFont.size,
+            color: null,
+            bold: /bold|[6-9]00/.test(weight),
+            italic: /italic/.test(weight),
+        };
+        if (style.color) {
+            font.color = cssColorToArgb(style.color);
+            if (!font.color) {
+                report.add(sheetName, 'Text color "' + style.color + '"');
+            }
+        }
+        let fillId = 0;
+        const fillColor = style.fillColor || style.backgroundColor;
+        if (fillColor) {
+            const argb = cssColorToArgb(fillColor);
+            if (argb) {
+                fillId = indexIn(fills, argb);
+            } else {
+                report.add(sheetName, 'Fill color "' + fillColor + '"');
+            }
+        }
+        const align = ['left', 'right', 'center'].includes(style.textAlign) ? style.textAlign : null;
+        if (style.wrap === 'clip') {
+            report.add(sheetName, 'Clipped text (saved as overflowing text)');
+        }
+        return indexIn(formats, {
+            fontId: indexIn(fonts, font),
+            fillId,
+            numFmtId: numFmtId(format),
+            align,
+            wrap: style.wrap === 'wrap',
+        });
+    };
+
+    // index of the dxf for a conditional formatting style
+    const differentialStyleId = (style, sheetName) => {
+        const dxf = { bold: /bold|[6-9]00/.test(style.weight || ''), italic: /italic/.test(style.weight || '') };
+        for (const key of ['color', 'fillColor']) {
+            if (style[key]) {
+                dxf[key] = cssColorToArgb(style[key]);
+                if (!dxf[key]) {
+                    report.add(sheetName, 'Conditional formatting color "' + style[key] + '"');
+                }
+            }
+        }
+        for (const key of Object.keys(style)) {
+            if (!['weight', 'color', 'fillColor'].includes(key)) {
+                report.add(sheetName, 'Conditional formatting style "' + key + '"');
+            }
+        }
+        return indexIn(differentialStyles, dxf);
+    };
+
+    const toXml = () => {
+        const fontXml = fonts.map(
+            (font) =>
+                '<font>' +
+                (font.bold ? '<b/>' : '') +
+                (font.italic ? '<i/>' : '') +
+                '<sz val="' +
+                font.size +
+                '"/>' +
+                (font.color ? '<color rgb="' + font.color + '"/>' : '') +
+                '<name val="' +
+                escapeXml(font.name) +
+                '"/>' +
+                '</font>'
+        );
+        const dxfXml = differentialStyles.map(
+            (dxf) =>
+                '<dxf>' +
+                (dxf.bold || dxf.italic || dxf.color
+                    ? '<font>' +
+                      (dxf.bold ? '<b/>' : '') +
+                      (dxf.italic ? '<i/>' : '') +
+                      (dxf.color ? '<color rgb="' + dxf.color + '"/>' : '') +
+                      '</font>'
+                    : '') +
+                (dxf.fillColor
+                    ? '<fill><patternFill><bgColor rgb="' + dxf.fillColor + '"/></patternFill></fill>'
+                    : '') +
+                '</dxf>'
+        );
+        const fillXml = fills.map((argb, index) => {
+            if (index < 2) {
+                return '<fill><patternFill patternType="' + (index === 0 ? 'none' : 'gray125') + '"/></fill>';
+            }
+            return (
+                '<fill><patternFill patternType="solid"><fgColor rgb="' +
+                argb +
+                '"/><bgColor indexed="64"/></patternFill></fill>'
+            );
+        });
+        const formatXml = formats.map(
+            (format) =>
+                '<xf numFmtId="' +
+                format.numFmtId +
+                '" fontId="' +
+                format.fontId +
+                '" fillId="' +
+                format.fillId +
+                '" borderId="0" xfId="0"' +
+                (format.fontId ? ' applyFont="1"' : '') +
+                (format.fillId ? ' applyFill="1"' : '') +
+                (format.numFmtId ? ' applyNumberFormat="1"' : '') +
+                (format.align || format.wrap
+                    ? ' applyAlignment="1"><alignment' +
+                      (format.align ? ' horizontal="' + format.align + '"' : '') +
+                      (format.wrap ? ' wrapText="1"' : '') +
+                      '/></xf>'
+                    : '/>')
+        );
+        return (
+            xmlHeader +
+            '<styleSheet xmlns="' +
+            mainNamespace +
+            '">' +
+            (numberFormats.length > 0
+                ? '<numFmts count="' +
+                  numberFormats.length +
+                  '">' +
+                  numberFormats
+                      .map(
+                          (code, index) =>
+                              '<numFmt numFmtId="' +
+                              (firstCustomFormatId + index) +
+                              '" formatCode="' +
+                              escapeXml(code) +
+                              '"/>'
+                      )
+                      .join('') +
+                  '</numFmts>'
+                : '') +
+            '<fonts count="' +
+            fontXml.length +
+            '">' +
+            fontXml.join('') +
+            '</fonts>' +
+            '<fills count="' +
+            fillXml.length +
+            '">' +
+            fillXml.join('') +
+            '</fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="' +
+            formatXml.length +
+            '">' +
+            formatXml.join('') +
+            '</cellXfs>' +
+            '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+            (dxfXml.length > 0 ? '<dxfs count="' + dxfXml.length + '">' + dxfXml.join('') + '</dxfs>' : '') +
+            '</styleSheet>'
+        );
+    };
+
+    return { styleIndex, differentialStyleId, toXml };
+}
+
+function createSharedStrings() {
+    const strings = [];
+    const indexes = new Map();
+    return {
+        indexOf: (text) => {
+            if (!indexes.has(text)) {
+                indexes.set(text, strings.push(text) - 1);
+            }
+            return indexes.get(text);
+        },
+        toXml: () =>
+            xmlHeader +
+            '<sst xmlns="' +
+            mainNamespace +
+            '" count="' +
+            strings.length +
+            '" uniqueCount="' +
+            strings.length +
+            '">' +
+            strings.map((text) => '<si><t xml:space="preserve">' + escapeXml(text) + '</t></si>').join('') +
+            '</sst>',
+    };
+}
+
+function cellXml(x, y, input, cachedValue, styleId, sharedStrings) {
+    const reference = formatCellAddress(x, y);
+    const styleAttribute = styleId ? ' s="' + styleId + '"' : '';
+    const open = (type) => '<c r="' + reference + '"' + styleAttribute + (type ? ' t="' + type + '"' : '') + '>';
+
+    if (typeof input === 'string' && input[0] === '=') {
+        const formula = '<f>' + escapeXml(formulaToXlsx(input)) + '</f>';
+        if (isFormulaError(cachedValue)) {
+            return open('e') + formula + '<v>' + escapeXml(cachedValue.type) + '</v></c>';
+        }
+        if (typeof cachedValue === 'boolean') {
+            return open('b') + formula + '<v>' + (cachedValue ? 1 : 0) + '</v></c>';
+        }
+        if (typeof cachedValue === 'string') {
+            return open('str') + formula + '<v>' + escapeXml(cachedValue) + '</v></c>';
+        }
+        if (typeof cachedValue === 'number' && isFinite(cachedValue)) {
+            return open() + formula + '<v>' + cachedValue + '</v></c>';
+        }
+        return open() + formula + '</c>';
+    }
+    if (typeof input === 'number' && isFinite(input)) {
+        return open() + '<v>' + input + '</v></c>';
+    }
+    if (typeof input === 'boolean') {
+        return open('b') + '<v>' + (input ? 1 : 0) + '</v></c>';
+    }
+    if (input === null || input === undefined || input === '') {
+        return styleId ? '<c r="' + reference + '"' + styleAttribute + '/>' : '';
+    }
+    return open('s') + '<v>' + sharedStrings.indexOf(String(input)) + '</v></c>';
+}
+
+function worksheetXml(sheet, styles, sharedStrings, report) {
+    const { data, getValue } = sheet;
+    const rows = new Map();
+    for (const cell of data.cells) {
+        if (cell.meta !== undefined && cell.meta !== null) {
+            report.add(sheet.name, 'Cell metadata');
+        }
+        if (!rows.has(cell.y)) {
+            rows.set(cell.y, []);
+        }
+        rows.get(cell.y).push(cell);
+    }
+    for (const row of Object.keys(data.rowHeights || {})) {
+        if (!rows.has(+row)) {
+            rows.set(+row, []);
+        }
+    }
+
+    let maxX = 0;
+    let maxY = 0;
+    const rowXml = [...rows.keys()]
+        .sort((a, b) => a - b)
+        .map((y) => {
+            const cells = rows
+                .get(y)
+                .sort((a, b) => a.x - b.x)
+                .map((cell) => {
+                    maxX = Math.max(maxX, cell.x);
+                    maxY = Math.max(maxY, y);
+                    const cached = getValue ? getValue(cell.x, y) : null;
+                    return cellXml(
+                        cell.x,
+                        y,
+                        cell.value,
+                        cached,
+                        styles.styleIndex(cell.style, cell.format, sheet.name),
+                        sharedStrings
+                    );
+                })
+                .join('');
+            const height = data.rowHeights && data.rowHeights[y];
+            // rows fitted to wrapped text are left for Excel to fit again
+            const custom = !(data.autoRowHeights || []).includes(y);
+            const heightAttributes = height
+                ? ' ht="' + pixelsToPoints(height) + '"' + (custom ? ' customHeight="1"' : '')
+                : '';
+            return '<row r="' + (y + 1) + '"' + heightAttributes + '>' + cells + '</row>';
+        });
+
+    let views = '<sheetView workbookViewId="0"/>';
+    const freezeColumns = data.freezeColumns || 0;
+    const freezeRows = data.freezeRows || 0;
+    if (freezeColumns > 0 || freezeRows > 0) {
+        const activePane =
+            freezeColumns > 0 && freezeRows > 0 ? 'bottomRight' : freezeRows > 0 ? 'bottomLeft' : 'topRight';
+        views =
+            '<sheetView workbookViewId="0"><pane' +
+            (freezeColumns > 0 ? ' xSplit="' + freezeColumns + '"' : '') +
+            (freezeRows > 0 ? ' ySplit="' + freezeRows + '"' : '') +
+            ' topLeftCell="' +
+            formatCellAddress(freezeColumns, freezeRows) +
+            '" activePane="' +
+            activePane +
+            '" state="frozen"/></sheetView>';
+    }
+
+    const merges = data.merges || [];
+    const mergeXml =
+        merges.length > 0
+            ? '<mergeCells count="' +
+              merges.length +
+              '">' +
+              merges.map((merge) => '<mergeCell ref="' + formatRangeAddress(merge) + '"/>').join('') +
+              '</mergeCells>'
+            : '';
+
+    const columns = Object.keys(data.columnWidths || {})
+        .map(Number)
+        .sort((a, b) => a - b)
+        .map((column) => {
+            const width = pixelsToWidth(data.columnWidths[column]);
+            return '<col min="' + (column + 1) + '" max="' + (column + 1) + '" width="' + width + '" customWidth="1"/>';
+        });
+
+    return (
+        xmlHeader +
+        '<worksheet xmlns="' +
+        mainNamespace +
+        '" xmlns:r="' +
+        relationshipNamespace +
+        '">' +
+        '<dimension ref="A1' +
+        (maxX > 0 || maxY > 0 ? ':' + formatCellAddress(maxX, maxY) : '') +
+        '"/>' +
+        '<sheetViews>' +
+        views +
+        '</sheetViews>' +
+        '<sheetFormatPr defaultColWidth="' +
+        pixelsToWidth(100) +
+        '" defaultRowHeight="' +
+        pixelsToPoints(22) +
+        '" customHeight="1"/>' +
+        (columns.length > 0 ? '<cols>' + columns.join('') + '</cols>' : '') +
+        '<sheetData>' +
+        rowXml.join('') +
+        '</sheetData>' +
+        mergeXml +
+        conditionalFormattingXml(data.conditionalFormats || [], styles, sheet.name, report) +
+        dataValidationsXml(data.dataValidations || [], sheet.name, report) +
+        '</worksheet>'
+    );
+}
+
+function operandToXlsx(operand) {
+    if (typeof operand === 'number') {
+        return String(operand);
+    }
+    if (typeof operand === 'string' && operand[0] === '=') {
+        return formulaToXlsx(operand);
+    }
+    return '"' + String(operand ?? '').replace(/"/g, '""') + '"';
+}
+
+// Excel wants a formula next to text rules, written for the top-left cell of the range
+function textRuleFormula(rule, cell) {
+    const text = operandToXlsx(String(rule.text ?? ''));
+    switch (rule.type) {
+        case 'containsText':
+            return 'NOT(ISERROR(SEARCH(' + text + ',' + cell + ')))';
+        case 'notContainsText':
+            return 'ISERROR(SEARCH(' + text + ',' + cell + '))';
+        case 'beginsWith':
+            return 'LEFT(' + cell + ',LEN(' + text + '))=' + text;
+        default:
+            return 'RIGHT(' + cell + ',LEN(' + text + '))=' + text;
+    }
+}
+
+// <conditionalFormatting> blocks for the rules of conditionalFormat.js, priority in list order
+function conditionalFormattingXml(rules, styles, sheetName, report) {
+    return rules
+        .map((rule, index) => {
+            const ranges = rule.ranges || [];
+            if (ranges.length === 0) {
+                return '';
+            }
+            const formula = (text) => '<formula>' + escapeXml(text) + '</formula>';
+            let attributes = ' type="' + rule.type + '" priority="' + (index + 1) + '"';
+            let body = '';
+            switch (rule.type) {
+                case 'cellIs':
+                    attributes += ' operator="' + (rule.operator || 'equal') + '"';
+                    body = (rule.values || []).map((operand) => formula(operandToXlsx(operand))).join('');
+                    break;
+                case 'containsText':
+                case 'notContainsText':
+                case 'beginsWith':
+                case 'endsWith':
+                    attributes +=
+                        ' operator="' +
+                        (rule.type === 'notContainsText' ? 'notContains' : rule.type) +
+                        '" text="' +
+                        escapeXml(String(rule.text ?? '')) +
+                        '"';
+                    body = formula(textRuleFormula(rule, formatCellAddress(ranges[0].x1, ranges[0].y1)));
+                    break;
+                case 'top10':
+                    attributes +=
+                        ' rank="' +
+                        (rule.rank || 10) +
+                        '"' +
+                        (rule.bottom ? ' bottom="1"' : '') +
+                        (rule.percent ? ' percent="1"' : '');
+                    break;
+                case 'expression':
+                    body = formula(formulaToXlsx(rule.formula));
+                    break;
+                case 'colorScale': {
+                    const colors = rule.colors || [];
+                    const stops = colors.map((color, i) =>
+                        i === 0
+                            ? '<cfvo type="min"/>'
+                            : i === colors.length - 1
+                              ? '<cfvo type="max"/>'
+                              : '<cfvo type="percentile" val="50"/>'
+                    );
+                    body =
+                        '<colorScale>' +
+                        stops.join('') +
+                        colors.map((color) => '<color rgb="' + (cssColorToArgb(color) || 'FFFFFFFF') + '"/>').join('') +
+                        '</colorScale>';
+                    break;
+                }
+                case 'dataBar':
+                    body =
+                        '<dataBar><cfvo type="min"/><cfvo type="max"/><color rgb="' +
+                        (cssColorToArgb(rule.color) || 'FF638EC6') +
+                        '"/></dataBar>';
+                    break;
+                case 'duplicateValues':
+                case 'uniqueValues':
+                    break;
+                default:
+                    report.add(sheetName, 'Conditional formatting of type "' + rule.type + '"');
+                    return '';
+            }
+            if (rule.style && rule.type !== 'colorScale' && rule.type !== 'dataBar') {
+                attributes += ' dxfId="' + styles.differentialStyleId(rule.style, sheetName) + '"';
+            }
+            if (rule.stopIfTrue) {
+                attributes += ' stopIfTrue="1"';
+            }
+            return (
+                '<conditionalFormatting sqref="' +
+                ranges.map(formatRangeAddress).join(' ') +
+                '"><cfRule' +
+                attributes +
+                '>' +
+                body +
+                '</cfRule></conditionalFormatting>'
+            );
+        })
+        .join('');
+}
+
+// <dataValidations> for the rules of dataValidation.js; patterns and predicates have no XLSX form
+function dataValidationsXml(rules, sheetName, report) {
+    const items = [];
+    for (const rule of rules) {
+        const ranges = rule.ranges || [];
+        let type = rule.type;
+        let formulas = [];
+        if (rule.type === 'list') {
+            formulas = [
+                rule.source
+                    ? formatRangeAddress({ ...rule.source, absX1: true, absY1: true, absX2: true, absY2: true })
+                    : '"' + (rule.values || []).join(',') + '"',
+            ];
+        } else if (rule.type === 'custom' && rule.formula) {
+            formulas = [formulaToXlsx(rule.formula)];
+        } else if (rule.type === 'number' || rule.type === 'date' || rule.type === 'textLength') {
+            if (rule.type === 'number') {
+                type = rule.integer ? 'whole' : 'decimal';
+            }
+            formulas = (rule.values || []).map((value) => {
+                const serial = rule.type === 'date' && typeof value === 'string' ? parseDateText(value) : null;
+                return operandToXlsx(serial !== null ? serial : value);
+            });
+        } else {
+            report.add(sheetName, rule.type === 'regex' ? 'Pattern validation' : 'Custom validation code');
+            continue;
+        }
+        if (ranges.length === 0) {
+            continue;
+        }
+        const operator = rule.operator && rule.operator !== 'between' ? ' operator="' + rule.operator + '"' : '';
+        items.push(
+            '<dataValidation type="' +
+                type +
+                '"' +
+                operator +
+                (rule.mode === 'warning' ? ' errorStyle="warning"' : '') +
+                (rule.allowBlank === false ? '' : ' allowBlank="1"') +
+                ' showErrorMessage="1"' +
+                (rule.message ? ' error="' + escapeXml(rule.message) + '"' : '') +
+                ' sqref="' +
+                ranges.map(formatRangeAddress).join(' ') +
+                '">' +
+                formulas
+                    .map(
+                        (formula, index) =>
+                            '<formula' + (index + 1) + '>' + escapeXml(formula) + '</formula' + (index + 1) + '>'
+                    )
+                    .join('') +
+                '</dataValidation>'
+        );
+    }
+    return items.length > 0
+        ? '<dataValidations count="' + items.length + '">' + items.join('') + '</dataValidations>'
+        : '';
+}
+
+// Excel rejects sheet names longer than 31 characters, with []:*?/\ or used twice
+function validSheetNames(sheets, report) {
+    const used = new Set();
+    return sheets.map((sheet, index) => {
+        let name =
+            String(sheet.name || 'Sheet' + (index + 1))
+                .replace(/[[\]:*?/\\]/g, ' ')
+                .slice(0, 31)
+                .trim() || 'Sheet' + (index + 1);
+        while (used.has(name.toLowerCase())) {
+            name = name.slice(0, 28) + ' ' + (index + 1);
+        }
+        if (name !== sheet.name) {
+            report.add(sheet.name, 'Worksheet renamed to "' + name + '"');
+        }
+        used.add(name.toLowerCase());
+        return name;
+    });
+}
+
+// Writes sheets ([{ name, data, getValue }], getValue giving cached formula results)
+// to .xlsx bytes. Returns { bytes, report }.
+export function writeXlsx(sheets) {
+    const report = createReport();
+    const styles = createStyleTable(report);
+    const sharedStrings = createSharedStrings();
+    const names = validSheetNames(sheets, report);
+    const files = {};
+
+    sheets.forEach((sheet, index) => {
+        files['xl/worksheets/sheet' + (index + 1) + '.xml'] = strToU8(
+            worksheetXml(sheet, styles, sharedStrings, report)
+        );
+    });
+
+    const sheetCount = sheets.length;
+    const worksheetRelation = relationshipNamespace + '/worksheet';
+    files['[Content_Types].xml'] = strToU8(
+        xmlHeader +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            sheets
+                .map(
+                    (sheet, index) =>
+                        '<Override PartName="/xl/worksheets/sheet' +
+                        (index + 1) +
+                        '.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+                )
+                .join('') +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            '<Override PartName="/xl/sharedStrings.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sharedStrings+xml"/>' +
+            '</Types>'
+    );
+    files['_rels/.rels'] = strToU8(
+        xmlHeader +
+            '<Relationships xmlns="' +
+            packageRelationshipNamespace +
+            '">' +
+            '<Relationship Id="rId1" Type="' +
+            relationshipNamespace +
+            '/officeDocument" Target="xl/workbook.xml"/>' +
+            '</Relationships>'
+    );
+    files['xl/workbook.xml'] = strToU8(
+        xmlHeader +
+            '<workbook xmlns="' +
+            mainNamespace +
+            '" xmlns:r="' +
+            relationshipNamespace +
+            '">' +
+            '<bookViews><workbookView/></bookViews><sheets>' +
+            names
+                .map(
+                    (name, index) =>
+                        '<sheet name="' +
+                        escapeXml(name) +
+                        '" sheetId="' +
+                        (index + 1) +
+                        '" r:id="rId' +
+                        (index + 1) +
+                        '"/>'
+                )
+                .join('') +
+            '</sheets></workbook>'
+    );
+    files['xl/_rels/workbook.xml.rels'] = strToU8(
+        xmlHeader +
+            '<Relationships xmlns="' +
+            packageRelationshipNamespace +
+            '">' +
+            names
+                .map(
+                    (name, index) =>
+                        '<Relationship Id="rId' +
+                        (index + 1) +
+                        '" Type="' +
+                        worksheetRelation +
+                        '" Target="worksheets/sheet' +
+                        (index + 1) +
+                        '.xml"/>'
+                )
+                .join('') +
+            '<Relationship Id="rId' +
+            (sheetCount + 1) +
+            '" Type="' +
+            relationshipNamespace +
+            '/styles" Target="styles.xml"/>' +
+            '<Relationship Id="rId' +
+            (sheetCount + 2) +
+            '" Type="' +
+            relationshipNamespace +
+            '/sharedStrings" Target="sharedStrings.xml"/>' +
+            '</Relationships>'
+    );
+    files['xl/styles.xml'] = strToU8(styles.toXml());
+    files['xl/sharedStrings.xml'] = strToU8(sharedStrings.toXml());
+
+    return { bytes: zipSync(files, { level: 6 }), report: report.entries() };
+}
@@ -0,0 +1,99 @@
+// Small XML reader / writer helpers for the OOXML parts of .xlsx files.
+// Elements are { name, attributes, children, text } where name has its namespace prefix
+// removed and text is the concatenated text of the element's own text nodes.
+
+const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+export function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return entity in entities ? entities[entity] : match;
+    });
+}
+
+// control characters other than tab, line feed and carriage return are not allowed in XML 1.0
+const allowedInXml = (char) => char.charCodeAt(0) >= 0x20 || char === '\t' || char === '\n' || char === '\r';
+
+export function escapeXml(value) {
+    return [...String(value)]
+        .filter(allowedInXml)
+        .join('')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+// index of the end token of the markup starting at from; a truncated document has none
+function markupEnd(text, token, from) {
+    const end = text.indexOf(token, from);
+    if (end === -1) {
+        throw new Error('Malformed XML: no ' + token + ' after position ' + from);
+    }
+    return end;
+}
+
+const attributePattern = /([^\s=/]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+
+export function parseXml(text) {
+    const root = { name: '#document', attributes: {}, children: [], text: '' };
+    const stack = [root];
+    let i = 0;
+
+    while (i < text.length) {
+        const lt = text.indexOf('<', i);
+        const current = stack[stack.length - 1];
+        if (lt === -1) {
+            current.text += decodeEntities(text.slice(i));
+            break;
+        }
+        if (lt > i) {
+            current.text += decodeEntities(text.slice(i, lt));
+        }
+
+        if (text.startsWith('<!--', lt)) {
+            i = markupEnd(text, '-->', lt) + 3;
+        } else if (text.startsWith('<![CDATA[', lt)) {
+            const end = markupEnd(text, ']]>', lt);
+            current.text += text.slice(lt + 9, end);
+            i = end + 3;
+        } else if (text[lt + 1] === '?' || text[lt + 1] === '!') {
+            i = markupEnd(text, '>', lt) + 1;
+        } else if (text[lt + 1] === '/') {
+            // a closing tag with no open element would pop the document itself
+            if (stack.length === 1) {
+                throw new Error('Malformed XML: unexpected closing tag at position ' + lt);
+            }
+            stack.pop();
+            i = markupEnd(text, '>', lt) + 1;
+        } else {
+            const gt = markupEnd(text, '>', lt);
+            const selfClosing = text[gt - 1] === '/';
+            const tag = text.slice(lt + 1, selfClosing ? gt - 1 : gt);
+            const nameEnd = tag.search(/[\s/]|$/);
+            const element = { name: localName(tag.slice(0, nameEnd)), attributes: {}, children: [], text: '' };
+            for (const match of tag.slice(nameEnd).matchAll(attributePattern)) {
+                element.attributes[localName(match[1])] = decodeEntities(match[3] ?? match[4]);
+            }
+            current.children.push(element);
+            if (!selfClosing) {
+                stack.push(element);
+            }
+            i = gt + 1;
+        }
+    }
+    return root.children[0] || null;
+}
+
+export function childElement(element, name) {
+    return (element && element.children.find((child) => child.name === name)) || null;
+}
+
+export function childElements(element, name) {
+    return element ? element.children.filter((child) => child.name === name) : [];
+}